@@ -0,0 +1,225 @@
+import { parseArgs } from 'util';
+import { loadEnv } from './helpers/loadEnv.mjs';
+import { createOwnerOctokits } from './helpers/common.mjs';
+import { createBackupWriter, createBackupIndex } from './helpers/backup.mjs';
+import { getContentSource } from './helpers/contentSources.mjs';
+import { loadPlan } from './helpers/plan.mjs';
+import { printRateLimitSummary } from './helpers/rateLimit.mjs';
+
+// Parse command line arguments: the plan file to apply
+const { positionals: PLAN_FILES } = parseArgs({ allowPositionals: true });
+const PLAN_FILE = PLAN_FILES[0];
+
+// Load environment variables
+const { GITHUB_TOKEN } = loadEnv(['GITHUB_TOKEN']);
+
+// Octokit clients per owner (GITHUB_TOKEN_<OWNER> or GITHUB_TOKEN)
+const getOctokit = createOwnerOctokits(GITHUB_TOKEN);
+
+/**
+ * Re-fetch the planned items of a repository and check them for drift. The
+ * items that are ready are checked once more right before each write.
+ * @returns {Promise<Object>} Items safe to apply and the drifted/failed ones
+ */
+async function checkRepositoryDrift(owner, repo, source, plannedChanges) {
+  const ready = [];
+  const drifted = [];
+  const failed = [];
+  const octokit = await getOctokit(owner);
+
+  for (const planned of plannedChanges) {
+    try {
+      const live = await source.get(octokit, owner, repo, planned);
+
+      if (live.body !== planned.before) {
+        console.log(
+          `  ⚠️  ${source.label} ${planned.label} has changed since the plan was created - skipping`
+        );
+        drifted.push(planned);
+      } else {
+        ready.push({ planned, live });
+      }
+    } catch (error) {
+      console.error(
+        `  ❌ Error fetching ${source.label} ${planned.label}:`,
+        error.message
+      );
+      failed.push(planned);
+    }
+  }
+
+  return { ready, drifted, failed };
+}
+
+/**
+ * Apply the planned edits of one content type of a repository
+ */
+async function applyRepositoryPlan(owner, repo, source, plannedChanges) {
+  try {
+    console.log(
+      `  🔍 Checking ${plannedChanges.length} ${source.type} for drift...`
+    );
+    const { ready, drifted, failed } = await checkRepositoryDrift(
+      owner,
+      repo,
+      source,
+      plannedChanges
+    );
+
+    if (ready.length === 0) {
+      return { applied: 0, drifted: drifted.length, failed: failed.length };
+    }
+
+    // Backup the live items before making any changes
+    console.log(`  💾 Creating backup...`);
+    const backup = createBackupWriter(owner, repo, {
+      contentType: source.type,
+    });
+    try {
+      backup.append(ready.map(({ live }) => live));
+    } catch (error) {
+      throw new Error(
+        `backup failed, no ${source.type} were updated (${error.message})`
+      );
+    }
+    console.log(`  💾 Backup created: ${backup.file}`);
+
+    const octokit = await getOctokit(owner);
+    let appliedCount = 0;
+    for (const { planned } of ready) {
+      try {
+        // Check again right before the write: the item may have been edited
+        // since the check above
+        const live = await source.get(octokit, owner, repo, planned);
+        if (live.body !== planned.before) {
+          console.log(
+            `  ⚠️  ${source.label} ${planned.label} has changed since the plan was created - skipping`
+          );
+          drifted.push(planned);
+          continue;
+        }
+
+        console.log(`  Updating ${source.label} ${planned.label}...`);
+
+        await source.update(octokit, owner, repo, planned, planned.after);
+        backup.markUpdated(planned, planned.after);
+
+        console.log(
+          `  ✅ Successfully updated ${source.label} ${planned.label}`
+        );
+        appliedCount++;
+      } catch (error) {
+        console.error(
+          `  ❌ Error updating ${source.label} ${planned.label}:`,
+          error.message
+        );
+        failed.push(planned);
+      }
+    }
+    const backupFile = backup.finish();
+
+    return {
+      applied: appliedCount,
+      drifted: drifted.length,
+      failed: failed.length,
+      backupFile,
+    };
+  } catch (error) {
+    console.error(
+      `  ❌ Error applying plan for ${owner}/${repo}:`,
+      error.message
+    );
+    return {
+      applied: 0,
+      drifted: 0,
+      failed: plannedChanges.length,
+      error: true,
+    };
+  }
+}
+
+/**
+ * Main function to apply a previously generated plan
+ */
+async function main() {
+  if (!PLAN_FILE) {
+    console.error('❌ Please pass the plan file to apply');
+    console.error('   npm run apply -- ./plans/plan-{timestamp}.json');
+    process.exit(1);
+  }
+
+  console.log('🚀 Applying release notes update plan...');
+  console.log(`📁 Plan file: ${PLAN_FILE}`);
+
+  try {
+    const plan = loadPlan(PLAN_FILE);
+
+    console.log(`📅 Plan created at: ${plan.created_at}`);
+    console.log(
+      `📋 ${plan.total_changes} change(s) in ${plan.total_repositories} repository(ies)`
+    );
+    console.log('');
+
+    let totalApplied = 0;
+    let totalDrifted = 0;
+    let totalFailed = 0;
+
+    for (let i = 0; i < plan.repositories.length; i++) {
+      const { owner, repo, content_type, changes } = plan.repositories[i];
+
+      console.log(
+        `[${i + 1}/${plan.repositories.length}] Applying ${content_type} of ${owner}/${repo}...`
+      );
+
+      const result = await applyRepositoryPlan(
+        owner,
+        repo,
+        getContentSource(content_type),
+        changes
+      );
+
+      totalApplied += result.applied;
+      totalDrifted += result.drifted;
+      totalFailed += result.failed;
+
+      console.log(
+        `  📊 Summary: ${result.applied} applied, ${result.drifted} drifted, ${result.failed} failed`
+      );
+      if (result.backupFile) {
+        console.log(`  💾 Backup saved to: ${result.backupFile}`);
+      }
+      console.log('');
+    }
+
+    console.log('🎉 Apply completed!');
+    console.log(`📊 Final Summary:`);
+    console.log(`   Changes applied: ${totalApplied}`);
+    console.log(`   Changes skipped due to drift: ${totalDrifted}`);
+    console.log(`   Changes failed: ${totalFailed}`);
+    printRateLimitSummary();
+
+    if (totalDrifted > 0) {
+      console.log('');
+      console.log(
+        '⚠️  Some items were edited after the plan was created. Run `npm run update:plan` again to review them.'
+      );
+    }
+
+    // Create backup index
+    console.log('');
+    console.log('📋 Creating backup index...');
+    createBackupIndex();
+
+    if (totalDrifted > 0 || totalFailed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(console.error);
+}
@@ -0,0 +1,218 @@
+import { parseArgs } from 'util';
+import { loadEnv } from './helpers/loadEnv.mjs';
+import {
+  createOwnerOctokits,
+  loadMappingConfig,
+  loadRepositorySelection,
+  parseOptionOrExit,
+} from './helpers/common.mjs';
+import {
+  getContentSource,
+  iterateContentPages,
+  parseContentTypes,
+} from './helpers/contentSources.mjs';
+import {
+  classifyMentions,
+  createAuditReport,
+  createMentionCollector,
+  writeAuditReport,
+} from './helpers/audit.mjs';
+import { checkTargetAccounts } from './helpers/mappingValidation.mjs';
+import { resolveAllRepositories } from './helpers/repositorySelection.mjs';
+import { parseConcurrency } from './helpers/concurrency.mjs';
+import { printRateLimitSummary } from './helpers/rateLimit.mjs';
+
+// Parse command line arguments: `--repo owner/repo` scans only the given
+// repositories instead of the whitelist, `--content` selects content types
+// and `--concurrency` sets the number of GHEC account lookups at once
+const { values: ARGS } = parseArgs({
+  options: {
+    repo: { type: 'string', multiple: true },
+    content: { type: 'string' },
+    concurrency: { type: 'string' },
+  },
+});
+const CONTENT_TYPES = parseOptionOrExit(() => parseContentTypes(ARGS.content));
+const CONCURRENCY = parseOptionOrExit(() =>
+  parseConcurrency(ARGS.concurrency, 'concurrency', 4)
+);
+
+// Load environment variables
+const { GITHUB_TOKEN, GITHUB_OWNER } = loadEnv([
+  'GITHUB_TOKEN',
+  'GITHUB_OWNER',
+]);
+
+// Load username, organization and repository mappings from configuration file
+const MAPPING = loadMappingConfig();
+
+// Scan the given repositories, or the whitelist and selectors
+const REPOSITORY_SELECTION = ARGS.repo
+  ? { whitelist: ARGS.repo, selectors: null }
+  : loadRepositorySelection();
+
+// Octokit clients per owner (GITHUB_TOKEN_<OWNER> or GITHUB_TOKEN)
+const getOctokit = createOwnerOctokits(GITHUB_TOKEN);
+
+/**
+ * Collect the mentions of every item of one repository
+ * @param {Object} collector - Collector from createMentionCollector
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<number>} Number of scanned items
+ */
+async function scanRepository(collector, owner, repo) {
+  const octokit = await getOctokit(owner);
+  let scanned = 0;
+
+  for (const type of CONTENT_TYPES) {
+    const source = getContentSource(type);
+    for await (const items of iterateContentPages(
+      octokit,
+      owner,
+      repo,
+      source
+    )) {
+      for (const item of items) {
+        collector.add(
+          owner,
+          repo,
+          item,
+          `${owner}/${repo} ${source.label} ${source.describe(item)}`
+        );
+      }
+      scanned += items.length;
+    }
+  }
+
+  return scanned;
+}
+
+/**
+ * Print the mentions of one category
+ * @param {string} title - Heading
+ * @param {Array} mentions - Report entries
+ * @param {Function} describe - Returns the details of an entry
+ */
+function printCategory(title, mentions, describe) {
+  if (mentions.length === 0) return;
+
+  console.log('');
+  console.log(title);
+  for (const mention of mentions) {
+    console.log(
+      `   @${mention.login} (${mention.count}x in ${mention.repositories.join(', ')})${describe(mention)}`
+    );
+  }
+}
+
+/**
+ * Main audit function
+ */
+async function main() {
+  console.log('🔎 Auditing @mentions (read-only)...');
+  console.log(`📝 Content types: ${CONTENT_TYPES.join(', ')}`);
+  console.log('');
+
+  try {
+    const repos = await resolveAllRepositories(
+      getOctokit,
+      GITHUB_OWNER,
+      REPOSITORY_SELECTION
+    );
+    if (repos.length === 0) {
+      console.log('❌ No repositories found');
+      return;
+    }
+
+    const collector = createMentionCollector();
+    for (const { owner, name } of repos) {
+      try {
+        const scanned = await scanRepository(collector, owner, name);
+        console.log(`📚 ${owner}/${name}: ${scanned} item(s) scanned`);
+      } catch (error) {
+        console.error(`❌ ${owner}/${name}: ${error.message}`);
+        process.exitCode = 1;
+      }
+    }
+
+    const { classified, unresolved } = classifyMentions(
+      collector.getMentions(),
+      MAPPING
+    );
+
+    // Look up the unmapped logins and their rule candidates on GHEC
+    const logins = new Map();
+    for (const { login, rule_target } of unresolved) {
+      for (const value of [login, rule_target].filter(Boolean)) {
+        logins.set(value.toLowerCase(), value);
+      }
+    }
+    console.log('');
+    console.log(`👤 Looking up ${logins.size} unmapped login(s) on GHEC...`);
+    const results = await checkTargetAccounts(
+      await getOctokit(GITHUB_OWNER),
+      [...logins.values()],
+      { concurrency: CONCURRENCY }
+    );
+
+    const report = createAuditReport({
+      repositories: repos.map(({ owner, name }) => `${owner}/${name}`),
+      contentTypes: CONTENT_TYPES,
+      classified,
+      unresolved,
+      accounts: new Map(
+        results.map(result => [result.login.toLowerCase(), result])
+      ),
+    });
+    const reportFile = writeAuditReport(report);
+
+    printCategory('❓ Not found on GHEC:', report.not_found, mention => {
+      if (!mention.candidate) return ' - no rule candidate';
+      return mention.candidate.exists
+        ? ` - suggested: @${mention.candidate.login}`
+        : ` - rule candidate @${mention.candidate.login} does not exist either`;
+    });
+    printCategory(
+      '👀 Not mapped, but existing on GHEC:',
+      report.unknown_existing,
+      mention =>
+        `${mention.account_type === 'User' ? '' : ` - ${mention.account_type}`}${mention.rule_target ? ` - rules rewrite it to @${mention.rule_target}` : ''}`
+    );
+    printCategory(
+      '⚠️  Lookup failed, run the audit again:',
+      report.error,
+      mention => ` - ${mention.error}`
+    );
+
+    const { totals } = report;
+    console.log('');
+    console.log('📊 Audit Summary:');
+    console.log(`   Repositories scanned: ${report.repositories.length}`);
+    console.log(`   Mentions: ${totals.mentions}`);
+    console.log(`   Mapped: ${totals.mapped} login(s)`);
+    console.log(`   Already new: ${totals.already_new} login(s)`);
+    console.log(`   Unknown but existing: ${totals.unknown_existing} login(s)`);
+    console.log(`   Not found on GHEC: ${totals.not_found} login(s)`);
+    console.log(`   Lookup failed: ${totals.error} login(s)`);
+    console.log(
+      `   Suggested mappings: ${Object.keys(report.username_mapping).length}`
+    );
+    console.log(`📄 Report: ${reportFile}`);
+    if (Object.keys(report.username_mapping).length > 0) {
+      console.log(
+        `   Review its username_mapping, then copy it into username-mapping.json or add { "path": "${reportFile}", "key": "username_mapping" } to mapping_sources`
+      );
+    }
+    printRateLimitSummary();
+    if (totals.error > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the audit
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(console.error);
+}
@@ -0,0 +1,229 @@
+import fs from 'fs';
+import { getOwnerMapping } from './common.mjs';
+import { extractMentions } from './markdown.mjs';
+import { applyUsernameRules } from './mappingRules.mjs';
+
+/**
+ * Mention categories of an audit report
+ * - mapped: the login has an explicit mapping entry
+ * - already_new: the login is the target of an explicit entry
+ * - unknown_existing: no entry, but the login exists on GHEC (with the
+ *   `rule_target` the username rules would still rewrite it to)
+ * - not_found: no entry and no GHEC account with that login
+ * - error: the GHEC lookup of the login or its rule candidate failed (rate
+ *   limit, network), so it is unknown whether the account exists
+ */
+export const AUDIT_CATEGORIES = [
+  'mapped',
+  'already_new',
+  'unknown_existing',
+  'not_found',
+  'error',
+];
+
+/**
+ * Maximum number of items listed per mention in the report
+ */
+const MAX_EXAMPLES = 5;
+
+/**
+ * Create a collector for the @mentions of scanned items. Mentions are
+ * grouped per owner, since owners can have their own mappings.
+ * @returns {Object} Collector ({ add, getMentions })
+ */
+export function createMentionCollector() {
+  const mentions = new Map();
+
+  return {
+    /**
+     * Collect the mentions of one item
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object} item - Item with a body ({ body, html_url })
+     * @param {string} label - Item label used in the report
+     */
+    add(owner, repo, item, label) {
+      for (const login of extractMentions(item.body)) {
+        const key = `${owner.toLowerCase()}/${login.toLowerCase()}`;
+        const mention = mentions.get(key) || {
+          owner,
+          login,
+          count: 0,
+          repositories: new Set(),
+          examples: [],
+        };
+        mention.count++;
+        mention.repositories.add(`${owner}/${repo}`);
+        if (
+          mention.examples.length < MAX_EXAMPLES &&
+          !mention.examples.some(example => example.label === label)
+        ) {
+          mention.examples.push({ label, url: item.html_url || null });
+        }
+        mentions.set(key, mention);
+      }
+    },
+
+    /**
+     * Get the collected mentions
+     * @returns {Array} Mentions ({ owner, login, count, repositories, examples })
+     */
+    getMentions() {
+      return [...mentions.values()].map(mention => ({
+        ...mention,
+        repositories: [...mention.repositories].sort(),
+      }));
+    },
+  };
+}
+
+/**
+ * Sort the collected mentions into audit categories with the mapping that
+ * applies to their owner. Like the rewrite, organization mappings count as
+ * entries. Logins without an entry still need to be looked up on GHEC, see
+ * createAuditReport.
+ * @param {Array} mentions - Mentions from createMentionCollector
+ * @param {Object} mapping - Mapping config from loadMappingConfig
+ * @returns {Object} { classified, unresolved } where unresolved mentions
+ *   carry the candidate of the username rules (rule_target)
+ */
+export function classifyMentions(mentions, mapping) {
+  const classified = [];
+  const unresolved = [];
+
+  for (const mention of mentions) {
+    const {
+      usernameMapping,
+      orgMapping = {},
+      usernameRules,
+    } = getOwnerMapping(mapping, mention.owner);
+    const mentionMapping = { ...orgMapping, ...usernameMapping };
+    const key = mention.login.toLowerCase();
+    const entry = Object.entries(mentionMapping)
+      .reverse()
+      .find(([oldLogin]) => oldLogin.toLowerCase() === key);
+    const isTarget = Object.values(mentionMapping).some(
+      newLogin => newLogin.toLowerCase() === key
+    );
+
+    if (entry) {
+      classified.push({ ...mention, category: 'mapped', target: entry[1] });
+    } else if (isTarget) {
+      classified.push({ ...mention, category: 'already_new' });
+    } else {
+      unresolved.push({
+        ...mention,
+        rule_target: applyUsernameRules(usernameRules, mention.login),
+      });
+    }
+  }
+
+  return { classified, unresolved };
+}
+
+/**
+ * Build the audit report. Logins without an entry are `unknown_existing`
+ * or `not_found` depending on their GHEC account, or `error` when the
+ * lookup of the login or its rule candidate failed. For not found logins
+ * with a rule candidate that exists on GHEC, the candidate is suggested in
+ * `username_mapping`, so the report can be used as a mapping source.
+ * @param {Object} audit - Audit data
+ * @param {Array} audit.repositories - Scanned repositories (full names)
+ * @param {Array<string>} audit.contentTypes - Scanned content types
+ * @param {Array} audit.classified - Mentions from classifyMentions
+ * @param {Array} audit.unresolved - Mentions from classifyMentions
+ * @param {Map<string, Object>} audit.accounts - GHEC lookup results by
+ *   lowercased login (from checkTargetAccounts)
+ * @returns {Object} Report
+ */
+export function createAuditReport(audit) {
+  const { repositories, contentTypes, classified, unresolved, accounts } =
+    audit;
+  const getAccount = login => accounts.get(login.toLowerCase()) || null;
+  const exists = login => {
+    const account = getAccount(login);
+    return Boolean(account) && !['not_found', 'error'].includes(account.status);
+  };
+
+  const mentions = [...classified];
+  for (const mention of unresolved) {
+    const account = getAccount(mention.login);
+    const candidateAccount = mention.rule_target
+      ? getAccount(mention.rule_target)
+      : null;
+    const candidate = mention.rule_target
+      ? { login: mention.rule_target, exists: exists(mention.rule_target) }
+      : null;
+
+    if (account && account.status === 'error') {
+      mentions.push({ ...mention, category: 'error', error: account.error });
+    } else if (exists(mention.login)) {
+      mentions.push({
+        ...mention,
+        category: 'unknown_existing',
+        account_type: account.type || 'User',
+      });
+    } else if (candidateAccount && candidateAccount.status === 'error') {
+      // Without the candidate's account, a suggestion could be wrong
+      mentions.push({
+        ...mention,
+        category: 'error',
+        error: `@${mention.rule_target}: ${candidateAccount.error}`,
+      });
+    } else {
+      mentions.push({ ...mention, category: 'not_found', candidate });
+    }
+  }
+
+  const report = {
+    created_at: new Date().toISOString(),
+    content_types: contentTypes,
+    repositories,
+    totals: { mentions: 0 },
+  };
+  for (const category of AUDIT_CATEGORIES) {
+    const entries = mentions
+      .filter(mention => mention.category === category)
+      .sort((a, b) => b.count - a.count || a.login.localeCompare(b.login))
+      .map(mention => {
+        const entry = { ...mention };
+        delete entry.category;
+        // Existing logins a rule would still rewrite are worth a look
+        if (category !== 'unknown_existing' || !entry.rule_target) {
+          delete entry.rule_target;
+        }
+        return entry;
+      });
+    report[category] = entries;
+    report.totals[category] = entries.length;
+    report.totals.mentions += entries.reduce(
+      (sum, { count }) => sum + count,
+      0
+    );
+  }
+
+  // Suggested entries, in the format of username-mapping.json
+  report.username_mapping = {};
+  for (const { login, candidate } of report.not_found) {
+    if (candidate && candidate.exists) {
+      report.username_mapping[login] = candidate.login;
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Write an audit report
+ * @param {Object} report - Report from createAuditReport
+ * @param {string} reportDir - Directory to write the report to
+ * @returns {string} Path of the report file
+ */
+export function writeAuditReport(report, reportDir = './audit-reports') {
+  fs.mkdirSync(reportDir, { recursive: true });
+
+  const timestamp = report.created_at.replace(/[:.]/g, '-');
+  const reportFile = `${reportDir}/audit-${timestamp}.json`;
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+  return reportFile;
+}
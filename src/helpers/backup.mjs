@@ -1,4 +1,13 @@
 import fs from 'fs';
+import path from 'path';
+import {
+  BACKUP_SCHEMA_VERSION,
+  TOOL_VERSION,
+  readVerifiedBackup,
+  sealBackup,
+} from './backupIntegrity.mjs';
+import {encryptBackup, isBackupEncryptionEnabled} from './backupEncryption.mjs';
+import {getContentSource} from './contentSources.mjs';
 
 /**
  * Create backup directory structure
@@ -27,59 +36,153 @@ export function generateBackupTimestamp() {
 }
 
 /**
- * Create backup of releases
+ * Resolve the backup file location for a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {boolean} isTest - Whether this is a test backup
+ * @param {string} contentType - Content type being backed up
+ * @returns {Object} Backup directory and file path
+ */
+function getBackupLocation(owner, repo, isTest, contentType) {
+  const baseDir = isTest ? './test-backups' : './backups';
+  const backupDir = `${baseDir}/${owner}/${repo}`;
+  const prefix = contentType === 'releases' ? '' : `${contentType}-`;
+  const filename = isTest ? `test-${prefix}backup` : `${contentType}-backup`;
+  const timestamp = generateBackupTimestamp();
+
+  return {backupDir, backupFile: `${backupDir}/${filename}-${timestamp}.json`};
+}
+
+/**
+ * Get the content type of a backup file from its name
+ * @param {string} file - Backup file name
+ * @returns {string} Content type
+ */
+export function getBackupContentType(file) {
+  const match = file.match(/^(?:test-)?(?:([a-z_]+)-)?backup-/);
+  return match && match[1] ? match[1] : 'releases';
+}
+
+/**
+ * Create a backup writer that receives items page by page.
+ * The backup file is created on the first append and rewritten after every
+ * page, so items are always on disk before they are updated.
+ * When `options.file` points to an existing backup (resumed runs), that file
+ * is extended and items it already holds keep their original content.
+ * After an item is updated, `markUpdated` records the body the tool wrote
+ * (`updated_body`), so a later restore can tell whether it was edited since.
+ * Every write stamps the format version, item hashes and file checksum, and
+ * encrypts the backup when BACKUP_KEY_FILE or BACKUP_PASSPHRASE is set.
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @param {Array} releases - Array of releases to backup
  * @param {Object} options - Backup options
  * @param {string} options.type - Backup type ('test' or 'release')
+ * @param {string} options.contentType - Content type (defaults to 'releases')
  * @param {string} options.note - Optional note for test backups
- * @returns {string} Path to the backup file
+ * @param {string} options.file - Existing backup file to continue
+ * @returns {Object} Writer with append(items), returning the newly backed up
+ *   items, markUpdated(item, body), hasUpdatedBody(item), save() and
+ *   finish(stats) methods
  */
-export function createBackup(owner, repo, releases, options = {}) {
-  try {
-    const {type = 'release', note} = options;
-    const isTest = type === 'test';
+export function createBackupWriter(owner, repo, options = {}) {
+  const {type = 'release', contentType = 'releases', note, file} = options;
+  const isTest = type === 'test';
+  const source = getContentSource(contentType);
+  const resumed = Boolean(file && fs.existsSync(file));
+  const {backupDir, backupFile} = resumed
+    ? {backupDir: path.dirname(file), backupFile: file}
+    : getBackupLocation(owner, repo, isTest, contentType);
 
-    // Determine backup directory and filename
-    const baseDir = isTest ? './test-backups' : './backups';
-    const backupDir = `${baseDir}/${owner}/${repo}`;
-    const filename = isTest ? 'test-backup' : 'releases-backup';
+  const backupData = resumed
+    ? readVerifiedBackup(file)
+    : {
+        schema_version: BACKUP_SCHEMA_VERSION,
+        tool_version: TOOL_VERSION,
+        repository: `${owner}/${repo}`,
+        content_type: contentType,
+        backup_timestamp: new Date().toISOString(),
+        [`total_${contentType}`]: 0,
+        complete: false,
+        [contentType]: [],
+      };
+  const backedUpItems = new Map(
+    backupData[contentType].map(item => [item.id, item]),
+  );
 
-    // Create backup directory structure
-    createBackupDirectory(backupDir);
+  if (isTest) {
+    backupData.note =
+      note || 'This is a TEST backup - no actual updates were made';
+  }
 
-    // Create backup file with timestamp
-    const timestamp = generateBackupTimestamp();
-    const backupFile = `${backupDir}/${filename}-${timestamp}.json`;
-
-    // Prepare backup data
-    const backupData = {
-      repository: `${owner}/${repo}`,
-      backup_timestamp: new Date().toISOString(),
-      total_releases: releases.length,
-      releases: releases.map(release => ({
-        id: release.id,
-        tag_name: release.tag_name,
-        name: release.name,
-        body: release.body,
-        created_at: release.created_at,
-        published_at: release.published_at,
-        html_url: release.html_url,
-      })),
-    };
+  const write = () => {
+    createBackupDirectory(backupDir);
+    sealBackup(backupData);
+    const fileData = isBackupEncryptionEnabled()
+      ? encryptBackup(backupData)
+      : backupData;
+    fs.writeFileSync(backupFile, JSON.stringify(fileData, null, 2));
+  };
 
-    // Add test-specific fields
-    if (isTest) {
-      backupData.note =
-        note || 'This is a TEST backup - no actual updates were made';
-    }
+  return {
+    file: backupFile,
+    resumed,
+    append(items) {
+      const newItems = items.filter(item => !backedUpItems.has(item.id));
+      for (const item of newItems) {
+        const entry = source.serialize(item);
+        backedUpItems.set(item.id, entry);
+        backupData[contentType].push(entry);
+      }
+      backupData[`total_${contentType}`] = backupData[contentType].length;
+      write();
+      return newItems;
+    },
+    markUpdated(item, body) {
+      const entry = backedUpItems.get(item.id);
+      if (entry) {
+        entry.updated_body = body;
+      }
+    },
+    hasUpdatedBody(item) {
+      const entry = backedUpItems.get(item.id);
+      return Boolean(entry && entry.updated_body !== undefined);
+    },
+    getBackedUpItem(item) {
+      return backedUpItems.get(item.id) || null;
+    },
+    save() {
+      write();
+    },
+    finish(stats = {}) {
+      backupData.complete = true;
+      if (stats.pages !== undefined) {
+        backupData.pages_fetched = stats.pages;
+      }
+      write();
+      return backupFile;
+    },
+  };
+}
 
-    // Write backup file
-    fs.writeFileSync(backupFile, JSON.stringify(backupData, null, 2));
+/**
+ * Create backup of releases (or another content type)
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array} releases - Array of releases (or other items) to backup
+ * @param {Object} options - Backup options
+ * @param {string} options.type - Backup type ('test' or 'release')
+ * @param {string} options.contentType - Content type (defaults to 'releases')
+ * @param {string} options.note - Optional note for test backups
+ * @returns {string} Path to the backup file
+ */
+export function createBackup(owner, repo, releases, options = {}) {
+  try {
+    const writer = createBackupWriter(owner, repo, options);
+    writer.append(releases);
+    const backupFile = writer.finish();
 
     // Log appropriate message
-    if (isTest) {
+    if (options.type === 'test') {
       console.log(`  💾 Test backup created: ${backupFile}`);
     } else {
       console.log(`  💾 Backup created: ${backupFile}`);
@@ -177,14 +280,14 @@ export function createBackupIndex() {
 }
 
 /**
- * Load backup data from file
+ * Load backup data from file. Encrypted backups are decrypted; corrupted
+ * backups and backups from an unknown format version are rejected.
  * @param {string} backupFilePath - Path to the backup file
  * @returns {Object|null} Backup data object or null if failed
  */
 export function loadBackupData(backupFilePath) {
   try {
-    const backupContent = fs.readFileSync(backupFilePath, 'utf8');
-    return JSON.parse(backupContent);
+    return readVerifiedBackup(backupFilePath);
   } catch (error) {
     console.error(
       `❌ Error loading backup file ${backupFilePath}:`,
@@ -196,39 +299,41 @@ export function loadBackupData(backupFilePath) {
 
 /**
  * List all available backups
+ * @param {string} baseDir - Backup directory ('./backups' or './test-backups')
  * @returns {Array} Array of backup information
  */
-export function listAvailableBackups() {
+export function listAvailableBackups(baseDir = './backups') {
   try {
     const backups = [];
 
-    if (fs.existsSync('./backups')) {
+    if (fs.existsSync(baseDir)) {
       const ownerDirs = fs
-        .readdirSync('./backups')
+        .readdirSync(baseDir)
         .filter(
           dir =>
-            fs.statSync(`./backups/${dir}`).isDirectory() &&
+            fs.statSync(`${baseDir}/${dir}`).isDirectory() &&
             dir !== 'backup-index.json',
         );
 
       for (const ownerDir of ownerDirs) {
         const repoDirs = fs
-          .readdirSync(`./backups/${ownerDir}`)
+          .readdirSync(`${baseDir}/${ownerDir}`)
           .filter(dir =>
-            fs.statSync(`./backups/${ownerDir}/${dir}`).isDirectory(),
+            fs.statSync(`${baseDir}/${ownerDir}/${dir}`).isDirectory(),
           );
 
         for (const repoDir of repoDirs) {
           const backupFiles = fs
-            .readdirSync(`./backups/${ownerDir}/${repoDir}`)
+            .readdirSync(`${baseDir}/${ownerDir}/${repoDir}`)
             .filter(file => file.endsWith('.json'))
             .map(file => ({
               file: file,
-              path: `./backups/${ownerDir}/${repoDir}/${file}`,
-              size: fs.statSync(`./backups/${ownerDir}/${repoDir}/${file}`)
+              path: `${baseDir}/${ownerDir}/${repoDir}/${file}`,
+              size: fs.statSync(`${baseDir}/${ownerDir}/${repoDir}/${file}`)
                 .size,
+              content_type: getBackupContentType(file),
               timestamp: file
-                .replace('releases-backup-', '')
+                .replace(/^.*backup-/, '')
                 .replace('.json', ''),
             }));
 
@@ -247,3 +352,60 @@ export function listAvailableBackups() {
     return [];
   }
 }
+
+/**
+ * Parse a backup selector. Timestamps are given as in the file name or as an
+ * ISO date and must name at least a day, so a selector such as `2024` or
+ * `lastest` is rejected instead of matching any backup.
+ * @param {string} selector - 'latest' or a timestamp
+ * @returns {string} Timestamp prefix as in the file names ('' for latest)
+ * @throws {Error} When the selector is neither 'latest' nor a timestamp
+ */
+export function parseBackupSelector(selector = 'latest') {
+  if (selector === 'latest') return '';
+
+  const timestamp = selector.replace(/[:.]/g, '-');
+  if (!/^\d{4}-\d{2}-\d{2}(?:T[\d-]*Z?)?$/.test(timestamp)) {
+    throw new Error(
+      `Invalid backup "${selector}" (expected latest or a timestamp of at least a day, e.g. 2024-01-15 or 2024-01-15T10:30:00.000Z)`,
+    );
+  }
+  return timestamp;
+}
+
+/**
+ * Pick one backup file per content type.
+ * Test backups are never picked. The selector is either 'latest' or a
+ * backup timestamp, given as in the file name or as an ISO date; a prefix
+ * such as `2024-01-15` picks the newest backup of that day.
+ * @param {Array} backupFiles - Backup files from listAvailableBackups
+ * @param {string} selector - 'latest' or a timestamp (see parseBackupSelector)
+ * @param {Array<string>} contentTypes - Content types to keep (all when empty)
+ * @returns {Map<string, Object>} Backup file per content type
+ * @throws {Error} When the selector is invalid
+ */
+export function selectBackupFiles(
+  backupFiles,
+  selector = 'latest',
+  contentTypes = [],
+) {
+  const timestamp = parseBackupSelector(selector);
+  const selected = new Map();
+
+  const candidates = backupFiles
+    .filter(file => !file.file.startsWith('test-'))
+    .filter(
+      file =>
+        contentTypes.length === 0 || contentTypes.includes(file.content_type),
+    )
+    .filter(file => file.timestamp.startsWith(timestamp))
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+  for (const file of candidates) {
+    if (!selected.has(file.content_type)) {
+      selected.set(file.content_type, file);
+    }
+  }
+
+  return selected;
+}
@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Backup fields kept readable in encrypted backups, so backups can be listed,
+ * indexed and pruned without the key. They are authenticated with the
+ * encrypted data.
+ */
+const METADATA_FIELDS = [
+  'schema_version',
+  'tool_version',
+  'repository',
+  'content_type',
+  'backup_timestamp',
+  'complete',
+];
+
+/**
+ * Environment variables holding the backup key settings
+ */
+export const BACKUP_KEY_VARIABLES = ['BACKUP_KEY_FILE', 'BACKUP_PASSPHRASE'];
+
+/**
+ * Salt used for the backups written by this process, so the key is only
+ * derived once
+ */
+const processSalt = crypto.randomBytes(16);
+
+/**
+ * Keys derived in this process, by key source and salt
+ */
+const derivedKeys = new Map();
+
+/**
+ * Get the secret backups are encrypted with, from BACKUP_KEY_FILE (a file
+ * holding the key) or BACKUP_PASSPHRASE
+ * @returns {Object|null} { source, secret } where source is 'key_file' or
+ *   'passphrase', or null when encryption is not configured
+ */
+export function getBackupEncryptionSecret() {
+  const { BACKUP_KEY_FILE, BACKUP_PASSPHRASE } = process.env;
+
+  if (BACKUP_KEY_FILE && BACKUP_PASSPHRASE) {
+    throw new Error(
+      'Set either BACKUP_KEY_FILE or BACKUP_PASSPHRASE, not both'
+    );
+  }
+  if (BACKUP_KEY_FILE) {
+    let secret;
+    try {
+      secret = fs.readFileSync(BACKUP_KEY_FILE, 'utf8').trim();
+    } catch (error) {
+      throw new Error(
+        `Could not read backup key file ${BACKUP_KEY_FILE}: ${error.message}`
+      );
+    }
+    if (!secret) throw new Error(`Backup key file ${BACKUP_KEY_FILE} is empty`);
+    return { source: 'key_file', secret };
+  }
+  if (BACKUP_PASSPHRASE) {
+    return { source: 'passphrase', secret: BACKUP_PASSPHRASE };
+  }
+  return null;
+}
+
+/**
+ * Check whether new backups are encrypted
+ * @returns {boolean} True if BACKUP_KEY_FILE or BACKUP_PASSPHRASE is set
+ */
+export function isBackupEncryptionEnabled() {
+  return getBackupEncryptionSecret() !== null;
+}
+
+/**
+ * Check whether backup file contents are encrypted
+ * @param {Object} fileData - Parsed backup file
+ * @returns {boolean} True for encrypted backups
+ */
+export function isEncryptedBackup(fileData) {
+  return fileData.encrypted === true;
+}
+
+/**
+ * Derive the encryption key from the configured secret
+ * @param {Object} secret - Secret from getBackupEncryptionSecret
+ * @param {Buffer} salt - Salt
+ * @param {Object} kdf - Key derivation parameters
+ * @returns {Buffer} Key
+ */
+function deriveKey({ source, secret }, salt, kdf = SCRYPT_OPTIONS) {
+  const secretHash = crypto.createHash('sha256').update(secret).digest('hex');
+  const cacheKey = `${source}:${secretHash}:${salt.toString('base64')}:${kdf.N}:${kdf.r}:${kdf.p}`;
+  if (!derivedKeys.has(cacheKey)) {
+    derivedKeys.set(
+      cacheKey,
+      crypto.scryptSync(secret, salt, KEY_LENGTH, {
+        N: kdf.N,
+        r: kdf.r,
+        p: kdf.p,
+      })
+    );
+  }
+  return derivedKeys.get(cacheKey);
+}
+
+/**
+ * Pick the readable metadata of a backup
+ * @param {Object} backupData - Backup data
+ * @returns {Object} Metadata
+ */
+function pickMetadata(backupData) {
+  const contentType = backupData.content_type || 'releases';
+  const metadata = {};
+  for (const field of [...METADATA_FIELDS, `total_${contentType}`]) {
+    if (backupData[field] !== undefined) metadata[field] = backupData[field];
+  }
+  return metadata;
+}
+
+/**
+ * Encrypt backup data with the configured secret
+ * @param {Object} backupData - Backup data
+ * @returns {Object} Encrypted backup (readable metadata, encryption
+ *   parameters and the encrypted data)
+ */
+export function encryptBackup(backupData) {
+  const secret = getBackupEncryptionSecret();
+  if (!secret) {
+    throw new Error('Set BACKUP_KEY_FILE or BACKUP_PASSPHRASE to encrypt');
+  }
+
+  const metadata = pickMetadata(backupData);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(
+    ALGORITHM,
+    deriveKey(secret, processSalt),
+    iv
+  );
+  cipher.setAAD(Buffer.from(JSON.stringify(metadata)));
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(backupData), 'utf8'),
+    cipher.final(),
+  ]);
+
+  return {
+    encrypted: true,
+    ...metadata,
+    encryption: {
+      algorithm: ALGORITHM,
+      kdf: { name: 'scrypt', ...SCRYPT_OPTIONS },
+      key_source: secret.source,
+      salt: processSalt.toString('base64'),
+      iv: iv.toString('base64'),
+      auth_tag: cipher.getAuthTag().toString('base64'),
+    },
+    data: data.toString('base64'),
+  };
+}
+
+/**
+ * Decrypt an encrypted backup with the configured secret
+ * @param {Object} fileData - Encrypted backup
+ * @returns {Object} Backup data
+ * @throws {Error} When no secret is configured, the secret is wrong or the
+ *   backup was modified
+ */
+export function decryptBackup(fileData) {
+  const { encryption, data } = fileData;
+  if (!encryption || encryption.algorithm !== ALGORITHM) {
+    throw new Error(
+      `unsupported backup encryption ${encryption && encryption.algorithm}`
+    );
+  }
+
+  const variable =
+    encryption.key_source === 'key_file'
+      ? 'BACKUP_KEY_FILE'
+      : 'BACKUP_PASSPHRASE';
+  const secret = getBackupEncryptionSecret();
+  if (!secret || secret.source !== encryption.key_source) {
+    throw new Error(`backup is encrypted, set ${variable} to read it`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      deriveKey(secret, Buffer.from(encryption.salt, 'base64'), encryption.kdf),
+      Buffer.from(encryption.iv, 'base64')
+    );
+    decipher.setAAD(Buffer.from(JSON.stringify(pickMetadata(fileData))));
+    decipher.setAuthTag(Buffer.from(encryption.auth_tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(data, 'base64')),
+      decipher.final(),
+    ]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch {
+    throw new Error(
+      'backup could not be decrypted (wrong key or modified file)'
+    );
+  }
+}
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { decryptBackup, isEncryptedBackup } from './backupEncryption.mjs';
+
+/**
+ * Version of the backup file format written by this tool.
+ * Version 1 is the original format without version, hashes or checksum.
+ */
+export const BACKUP_SCHEMA_VERSION = 2;
+
+/**
+ * Backup format versions this tool can read
+ */
+export const SUPPORTED_SCHEMA_VERSIONS = [1, 2];
+
+/**
+ * Get the version of this tool from package.json
+ * @returns {string} Tool version, or 'unknown' when package.json is missing
+ */
+function getToolVersion() {
+  try {
+    const packageFile = new URL('../../package.json', import.meta.url);
+    return JSON.parse(fs.readFileSync(packageFile, 'utf8')).version;
+  } catch {
+    return 'unknown';
+  }
+}
+
+export const TOOL_VERSION = getToolVersion();
+
+/**
+ * Compute a SHA-256 hash of JSON data
+ * @param {*} data - Data to hash
+ * @returns {string} Hash as `sha256:<hex>`
+ */
+function sha256(data) {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify(data));
+  return `sha256:${hash.digest('hex')}`;
+}
+
+/**
+ * Compute the content hash of a backed up item (every field except the hash)
+ * @param {Object} item - Backed up item
+ * @returns {string} Content hash
+ */
+export function hashBackupItem(item) {
+  const content = { ...item };
+  delete content.content_hash;
+  return sha256(content);
+}
+
+/**
+ * Compute the checksum of a backup (all data except the checksum)
+ * @param {Object} backupData - Backup data
+ * @returns {string} Checksum
+ */
+export function computeBackupChecksum(backupData) {
+  const data = { ...backupData };
+  delete data.checksum;
+  return sha256(data);
+}
+
+/**
+ * Stamp backup data with the format version, the tool version, the content
+ * hash of every item and the checksum of the whole backup. Called every time
+ * the backup is written.
+ * @param {Object} backupData - Backup data (modified in place)
+ * @returns {Object} The backup data
+ */
+export function sealBackup(backupData) {
+  backupData.schema_version = BACKUP_SCHEMA_VERSION;
+  backupData.tool_version = TOOL_VERSION;
+
+  for (const item of backupData[backupData.content_type || 'releases'] || []) {
+    item.content_hash = hashBackupItem(item);
+  }
+
+  backupData.checksum = computeBackupChecksum(backupData);
+  return backupData;
+}
+
+/**
+ * Check the format version, checksum and item hashes of backup data
+ * @param {Object} backupData - Parsed backup data
+ * @returns {Object} { version, legacy, errors } where `legacy` is true for
+ *   version 1 backups, which have nothing to verify
+ */
+export function verifyBackupData(backupData) {
+  const errors = [];
+  const version = backupData.schema_version ?? 1;
+
+  if (!SUPPORTED_SCHEMA_VERSIONS.includes(version)) {
+    errors.push(
+      `unknown backup format version ${version} (supported: ${SUPPORTED_SCHEMA_VERSIONS.join(', ')})`
+    );
+    return { version, legacy: false, errors };
+  }
+
+  const contentType = backupData.content_type || 'releases';
+  const items = backupData[contentType];
+  if (!Array.isArray(items)) {
+    errors.push(`missing ${contentType} list`);
+    return { version, legacy: version === 1, errors };
+  }
+  if (version === 1) {
+    return { version, legacy: true, errors };
+  }
+
+  if (backupData.checksum !== computeBackupChecksum(backupData)) {
+    errors.push('checksum mismatch');
+  }
+  if (backupData[`total_${contentType}`] !== items.length) {
+    errors.push(
+      `total_${contentType} is ${backupData[`total_${contentType}`]} but the backup holds ${items.length}`
+    );
+  }
+  for (const item of items) {
+    if (item.content_hash !== hashBackupItem(item)) {
+      errors.push(`content hash mismatch for item ${item.id}`);
+    }
+  }
+
+  return { version, legacy: false, errors };
+}
+
+/**
+ * Read a backup file, decrypting encrypted backups
+ * @param {string} backupFile - Path to the backup file
+ * @returns {Object} Backup data
+ * @throws {Error} When the file is not valid JSON or can't be decrypted
+ */
+export function readBackupFile(backupFile) {
+  try {
+    const fileData = JSON.parse(fs.readFileSync(backupFile, 'utf8'));
+    return isEncryptedBackup(fileData) ? decryptBackup(fileData) : fileData;
+  } catch (error) {
+    throw new Error(`Backup ${backupFile} is not readable: ${error.message}`);
+  }
+}
+
+/**
+ * Read and verify a backup file
+ * @param {string} backupFile - Path to the backup file
+ * @returns {Object} Backup data
+ * @throws {Error} When the file is not valid JSON, can't be decrypted, is
+ *   corrupted or uses an unknown format version
+ */
+export function readVerifiedBackup(backupFile) {
+  const backupData = readBackupFile(backupFile);
+
+  const { errors } = verifyBackupData(backupData);
+  if (errors.length > 0) {
+    throw new Error(
+      `Backup ${backupFile} failed verification: ${errors.join('; ')}`
+    );
+  }
+  return backupData;
+}
@@ -0,0 +1,301 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import {
+  decryptBackup,
+  isBackupEncryptionEnabled,
+  isEncryptedBackup,
+} from './backupEncryption.mjs';
+import { TOOL_VERSION, verifyBackupData } from './backupIntegrity.mjs';
+import { getContentSource } from './contentSources.mjs';
+import { formatUnifiedDiff } from './diff.mjs';
+import { matchReleases } from './restore.mjs';
+
+export const ARCHIVE_FORMAT = 'release-notes-backup-archive';
+export const ARCHIVE_VERSION = 1;
+
+/**
+ * Directories backups are written to, and the only ones an archive may
+ * restore files into
+ */
+const BACKUP_DIRS = ['backups', 'test-backups'];
+
+const AGE_UNITS_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse an age such as `30d`, `12h` or `2w`
+ * @param {string} value - Age with a unit (m, h, d or w)
+ * @returns {number} Age in milliseconds
+ */
+export function parseAge(value) {
+  const match = String(value).match(/^(\d+)([mhdw])$/);
+  if (!match) {
+    throw new Error(
+      `Invalid age "${value}" (expected a number followed by m, h, d or w, e.g. 30d)`
+    );
+  }
+  return Number(match[1]) * AGE_UNITS_MS[match[2]];
+}
+
+/**
+ * Convert the timestamp of a backup file name back to a date
+ * @param {string} timestamp - Timestamp as in the file name
+ * @returns {Date} Backup date (invalid when the timestamp is not recognized)
+ */
+export function parseBackupTimestamp(timestamp) {
+  return new Date(
+    timestamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z')
+  );
+}
+
+/**
+ * Read the metadata of a backup file. Encrypted backups are described from
+ * their readable metadata when no key is configured.
+ * @param {Object} file - Backup file from listAvailableBackups
+ * @returns {Object} Metadata ({ repository, content_type, backup_timestamp,
+ *   items, complete, schema_version, tool_version, encrypted, status })
+ */
+export function describeBackupFile(file) {
+  try {
+    const fileData = JSON.parse(fs.readFileSync(file.path, 'utf8'));
+    const encrypted = isEncryptedBackup(fileData);
+    const contentType = fileData.content_type || file.content_type;
+    const metadata = {
+      repository: fileData.repository,
+      content_type: contentType,
+      backup_timestamp: fileData.backup_timestamp,
+      items: fileData[`total_${contentType}`],
+      complete: Boolean(fileData.complete),
+      schema_version: fileData.schema_version ?? 1,
+      tool_version: fileData.tool_version || null,
+      encrypted,
+    };
+
+    if (encrypted && !isBackupEncryptionEnabled()) {
+      return { ...metadata, status: 'encrypted' };
+    }
+
+    const backupData = encrypted ? decryptBackup(fileData) : fileData;
+    const { legacy, errors } = verifyBackupData(backupData);
+    return {
+      ...metadata,
+      items: (backupData[contentType] || []).length,
+      status: errors.length > 0 ? 'invalid' : legacy ? 'legacy' : 'valid',
+    };
+  } catch (error) {
+    return {
+      content_type: file.content_type,
+      status: 'invalid',
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Pick the backup files of one repository to prune. Files are grouped per
+ * content type and sorted newest first. With `keep`, the newest files of each
+ * content type are kept; with `olderThan`, files newer than that age are
+ * kept. With both, a file is only pruned when neither keeps it.
+ * @param {Array} backupFiles - Backup files from listAvailableBackups
+ * @param {Object} options - Prune options
+ * @param {number} options.keep - Number of backups to keep per content type
+ * @param {number} options.olderThan - Minimum age in milliseconds
+ * @param {number} options.now - Current time (defaults to Date.now())
+ * @returns {Array} Backup files to delete
+ */
+export function selectBackupsToPrune(backupFiles, options = {}) {
+  const { keep, olderThan, now = Date.now() } = options;
+  const byContentType = new Map();
+
+  for (const file of backupFiles) {
+    const files = byContentType.get(file.content_type) || [];
+    files.push(file);
+    byContentType.set(file.content_type, files);
+  }
+
+  const pruned = [];
+  for (const files of byContentType.values()) {
+    files.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+    files.forEach((file, index) => {
+      const keptByCount = keep !== undefined && index < keep;
+      const age = now - parseBackupTimestamp(file.timestamp).getTime();
+      // Files with an unrecognized timestamp are never pruned by age
+      const keptByAge = olderThan !== undefined && !(age > olderThan);
+
+      if (!keptByCount && !keptByAge) pruned.push(file);
+    });
+  }
+
+  return pruned;
+}
+
+/**
+ * Compare the items of two versions of a backup (or a backup and the live
+ * items). Releases are matched with matchReleases, other content by ID.
+ * @param {string} contentType - Content type of the items
+ * @param {Array} oldItems - Items of the older version
+ * @param {Array} newItems - Items of the newer version
+ * @param {Object} labels - Labels of both versions ({ oldLabel, newLabel })
+ * @returns {Array} Differences ({ label, status, diff }) where status is
+ *   'changed', 'unchanged', 'removed' or 'added'
+ */
+export function diffBackupItems(contentType, oldItems, newItems, labels = {}) {
+  const source = getContentSource(contentType);
+  const { oldLabel = 'old', newLabel = 'new' } = labels;
+
+  const matches =
+    contentType === 'releases'
+      ? matchReleases(oldItems, newItems).map(({ release }) => release)
+      : oldItems.map(item => newItems.find(({ id }) => id === item.id));
+  const matched = new Set();
+  const differences = [];
+
+  oldItems.forEach((oldItem, index) => {
+    const label = `${source.label} ${source.describe(oldItem)}`;
+    const newItem = matches[index];
+
+    if (!newItem) {
+      differences.push({ label, status: 'removed' });
+      return;
+    }
+    matched.add(newItem);
+
+    if ((oldItem.body || '') === (newItem.body || '')) {
+      differences.push({ label, status: 'unchanged' });
+      return;
+    }
+    differences.push({
+      label,
+      status: 'changed',
+      diff: formatUnifiedDiff(oldItem.body || '', newItem.body || '', {
+        oldLabel: `${label} (${oldLabel})`,
+        newLabel: `${label} (${newLabel})`,
+      }),
+    });
+  });
+
+  for (const newItem of newItems.filter(item => !matched.has(item))) {
+    differences.push({
+      label: `${source.label} ${source.describe(newItem)}`,
+      status: 'added',
+    });
+  }
+
+  return differences;
+}
+
+/**
+ * Compute the SHA-256 hash of file contents
+ * @param {string} content - File contents
+ * @returns {string} Hash as `sha256:<hex>`
+ */
+function hashFileContent(content) {
+  return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * Export backup files to one gzip-compressed archive
+ * @param {string} archiveFile - Path of the archive to write
+ * @param {Array} backupFiles - Backup files from listAvailableBackups
+ * @returns {Object} Archive summary ({ file, files, size })
+ */
+export function exportBackupArchive(archiveFile, backupFiles) {
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    archive_version: ARCHIVE_VERSION,
+    tool_version: TOOL_VERSION,
+    created_at: new Date().toISOString(),
+    files: backupFiles.map(file => {
+      const content = fs.readFileSync(file.path, 'utf8');
+      return {
+        path: path.posix.normalize(file.path),
+        sha256: hashFileContent(content),
+        content,
+      };
+    }),
+  };
+
+  fs.mkdirSync(path.dirname(archiveFile), { recursive: true });
+  fs.writeFileSync(archiveFile, zlib.gzipSync(JSON.stringify(archive)));
+  return {
+    file: archiveFile,
+    files: archive.files.length,
+    size: fs.statSync(archiveFile).size,
+  };
+}
+
+/**
+ * Import the backup files of an archive written by exportBackupArchive.
+ * Files are only written inside the backup directories, and existing files
+ * with different content are kept unless `overwrite` is set.
+ * @param {string} archiveFile - Path of the archive
+ * @param {Object} options - Import options
+ * @param {boolean} options.overwrite - Replace existing files that differ
+ * @param {boolean} options.dryRun - Report what would be imported only
+ * @returns {Object} Paths per outcome ({ imported, identical, conflicts })
+ */
+export function importBackupArchive(archiveFile, options = {}) {
+  const { overwrite = false, dryRun = false } = options;
+
+  let archive;
+  try {
+    archive = JSON.parse(zlib.gunzipSync(fs.readFileSync(archiveFile)));
+  } catch (error) {
+    throw new Error(`Could not read archive ${archiveFile}: ${error.message}`);
+  }
+  if (
+    archive.format !== ARCHIVE_FORMAT ||
+    archive.archive_version !== ARCHIVE_VERSION
+  ) {
+    throw new Error(
+      `${archiveFile} is not a supported backup archive (archive_version ${archive.archive_version})`
+    );
+  }
+
+  // Check every file before writing any
+  for (const file of archive.files) {
+    const [dir] = path.posix
+      .normalize(file.path)
+      .replace(/^\.\//, '')
+      .split('/');
+    if (!BACKUP_DIRS.includes(dir) || file.path.split('/').includes('..')) {
+      throw new Error(
+        `Archive entry ${file.path} is outside the backup directories`
+      );
+    }
+    if (hashFileContent(file.content) !== file.sha256) {
+      throw new Error(
+        `Archive entry ${file.path} is corrupted (hash mismatch)`
+      );
+    }
+  }
+
+  const result = { imported: [], identical: [], conflicts: [] };
+  for (const file of archive.files) {
+    if (fs.existsSync(file.path)) {
+      if (fs.readFileSync(file.path, 'utf8') === file.content) {
+        result.identical.push(file.path);
+        continue;
+      }
+      if (!overwrite) {
+        result.conflicts.push(file.path);
+        continue;
+      }
+    }
+
+    if (!dryRun) {
+      fs.mkdirSync(path.dirname(file.path), { recursive: true });
+      fs.writeFileSync(file.path, file.content);
+    }
+    result.imported.push(file.path);
+  }
+
+  return result;
+}
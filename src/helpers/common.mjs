@@ -1,20 +1,125 @@
 import fs from 'fs';
+import {
+  rewriteMentions,
+  rewriteUrls,
+  rewriteCrossReferences,
+} from './markdown.mjs';
+import { compileUsernameRules } from './mappingRules.mjs';
+import { loadUsernameMappingSources } from './mappingSources.mjs';
+import { enableRateLimitHandling } from './rateLimit.mjs';
+import { validateRepositorySelectors } from './repositorySelection.mjs';
 
 /**
- * Load username mapping from configuration file
+ * Load username mapping from configuration file. Entries of the configured
+ * `mapping_sources` are merged under the explicit `username_mapping`.
  * @returns {Object} Username mapping object
  */
 export function loadUsernameMapping() {
+  return loadMappingConfig().usernameMapping;
+}
+
+/**
+ * Report conflicting entries of the merged mapping sources
+ * @param {Array} conflicts - Conflicts from loadUsernameMappingSources
+ */
+function reportMappingConflicts(conflicts) {
+  for (const { login, used, targets } of conflicts) {
+    const candidates = targets
+      .map(({ source, target }) => `${target} (${source})`)
+      .join(', ');
+    console.warn(
+      `⚠️  Conflicting mappings for @${login}: ${candidates}; using ${used}`
+    );
+  }
+}
+
+/**
+ * Load the full mapping configuration (usernames, organizations and
+ * repositories) from username-mapping.json
+ * @returns {Object} Mapping config ({ usernameMapping, usernameRules,
+ *   orgMapping, repoMapping, ownerMappings, mappingSources }) where
+ *   mappingSources describes the merged username mapping sources and their
+ *   conflicts
+ */
+export function loadMappingConfig() {
   try {
     const configData = JSON.parse(
       fs.readFileSync('./username-mapping.json', 'utf8')
     );
-    const mapping = configData.username_mapping || {};
+    const { mapping, sources, conflicts } =
+      loadUsernameMappingSources(configData);
+    const config = {
+      usernameMapping: mapping,
+      usernameRules: compileUsernameRules(configData.username_rules),
+      orgMapping: configData.org_mapping || {},
+      repoMapping: configData.repo_mapping || {},
+      ownerMappings: configData.owner_mappings || {},
+      mappingSources: { sources, conflicts },
+    };
+    // Build the mapping of every owner up front, so invalid rules are
+    // reported before the run and every item reuses the compiled rules
+    for (const owner of Object.keys(config.ownerMappings)) {
+      getOwnerMapping(config, owner);
+    }
     console.log('✅ Loaded username mapping configuration');
-    return mapping;
+    reportMappingConflicts(conflicts);
+    return config;
   } catch (error) {
-    throw new Error('⚠️  Could not load username-mapping.json');
+    throw new Error(
+      `⚠️  Could not load username-mapping.json: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Mapping configs per owner, by mapping config and lowercase owner
+ */
+const ownerMappingCache = new WeakMap();
+
+/**
+ * Get the mapping config used for the repositories of one owner.
+ * The owner's `username_mapping` from `owner_mappings` is merged over the
+ * global username mapping, and its `username_rules` replace the global rules.
+ * The result is built once per owner and reused.
+ * @param {Object} mapping - Mapping config from loadMappingConfig
+ * @param {string} owner - Repository owner
+ * @returns {Object} Mapping config for the owner
+ */
+export function getOwnerMapping(mapping, owner) {
+  if (!ownerMappingCache.has(mapping)) {
+    ownerMappingCache.set(mapping, new Map());
   }
+  const ownerMappings = ownerMappingCache.get(mapping);
+  const key = owner.toLowerCase();
+  if (!ownerMappings.has(key)) {
+    ownerMappings.set(key, buildOwnerMapping(mapping, owner));
+  }
+  return ownerMappings.get(key);
+}
+
+/**
+ * Build the mapping config of one owner (see getOwnerMapping)
+ * @param {Object} mapping - Mapping config from loadMappingConfig
+ * @param {string} owner - Repository owner
+ * @returns {Object} Mapping config for the owner
+ */
+function buildOwnerMapping(mapping, owner) {
+  const ownerKey = Object.keys(mapping.ownerMappings || {}).find(
+    key => key.toLowerCase() === owner.toLowerCase()
+  );
+  if (!ownerKey) return mapping;
+
+  const ownerMapping = mapping.ownerMappings[ownerKey];
+  return {
+    ...mapping,
+    usernameMapping: {
+      ...mapping.usernameMapping,
+      ...(ownerMapping.username_mapping || {}),
+    },
+    usernameRules: ownerMapping.username_rules
+      ? compileUsernameRules(ownerMapping.username_rules)
+      : mapping.usernameRules,
+  };
 }
 
 /**
@@ -34,6 +139,58 @@ export function loadRepositoryWhitelist() {
   }
 }
 
+/**
+ * Load repository whitelist and selectors from configuration file.
+ * The selectors are validated up front.
+ * @returns {Object} Repository selection ({ whitelist, selectors })
+ */
+export function loadRepositorySelection() {
+  try {
+    const whitelistData = JSON.parse(
+      fs.readFileSync('./repo-whitelist.json', 'utf8')
+    );
+    const whitelist = whitelistData.repository_whitelist || [];
+    const selectors = whitelistData.repository_selectors || null;
+    validateRepositorySelectors(selectors);
+    console.log('✅ Loaded repository whitelist configuration');
+    return { whitelist, selectors };
+  } catch (error) {
+    throw new Error(`⚠️  Could not load repo-whitelist.json: ${error.message}`);
+  }
+}
+
+/**
+ * Default repository files scanned for usernames
+ */
+export const DEFAULT_REPOSITORY_FILES = [
+  'CODEOWNERS',
+  '.github/CODEOWNERS',
+  'docs/CODEOWNERS',
+  '.github/dependabot.yml',
+  '.github/dependabot.yaml',
+  '.github/ISSUE_TEMPLATE/',
+];
+
+/**
+ * Load the repository file paths to scan from configuration file (with fallback)
+ * @returns {Array} Repository file and directory paths
+ */
+export function loadRepositoryFilePaths() {
+  try {
+    const filesData = JSON.parse(
+      fs.readFileSync('./repository-files.json', 'utf8')
+    );
+    const paths = filesData.repository_files || DEFAULT_REPOSITORY_FILES;
+    console.log('✅ Loaded repository files configuration');
+    return paths;
+  } catch (error) {
+    console.warn(
+      '⚠️  Could not load repository-files.json, using default repository files'
+    );
+    return DEFAULT_REPOSITORY_FILES;
+  }
+}
+
 /**
  * Load repository whitelist for testing (with fallback)
  * @returns {Array} Repository whitelist array
@@ -55,71 +212,185 @@ export function loadRepositoryWhitelistForTesting() {
 }
 
 /**
- * Initialize Octokit client
+ * Initialize Octokit client. The client follows the rate limit headers and
+ * retries rate-limited and transient failures (see rateLimit.mjs).
  * @param {string} token - GitHub token
  * @param {string} baseUrl - GitHub API base URL (optional)
+ * @param {Object} rateLimitOptions - Retry options (optional)
  * @returns {Promise<Octokit>} Initialized Octokit instance
  */
 export async function initializeOctokit(
   token,
-  baseUrl = 'https://api.github.com'
+  baseUrl = 'https://api.github.com',
+  rateLimitOptions = {}
 ) {
   const { Octokit } = await import('@octokit/rest');
-  return new Octokit({
+  const octokit = new Octokit({
     auth: token,
     baseUrl,
   });
+  enableRateLimitHandling(octokit, rateLimitOptions);
+  return octokit;
 }
 
 /**
- * Update username references in release notes (only @username mentions)
+ * Get the name of the environment variable holding an owner's token
+ * (`GITHUB_TOKEN_<OWNER>`, uppercased with non-alphanumerics replaced by `_`)
+ * @param {string} owner - Repository owner
+ * @returns {string} Environment variable name
+ */
+export function getOwnerTokenVariable(owner) {
+  return `GITHUB_TOKEN_${owner.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+/**
+ * Create a function returning an Octokit client per owner. Each owner uses
+ * its own `GITHUB_TOKEN_<OWNER>` token when set, otherwise the default token.
+ * Clients are created once and reused.
+ * @param {string} defaultToken - Token used for owners without their own token
+ * @returns {Function} (owner) => Promise<Octokit>
+ */
+export function createOwnerOctokits(defaultToken) {
+  const clients = new Map();
+
+  return owner => {
+    const token = process.env[getOwnerTokenVariable(owner)] || defaultToken;
+    if (!clients.has(token)) {
+      clients.set(token, initializeOctokit(token));
+    }
+    return clients.get(token);
+  };
+}
+
+/**
+ * Update username references in release notes (only @username mentions).
+ * Mentions inside code blocks, code spans, URLs and email addresses are kept.
+ * Users without an explicit mapping entry are migrated when a username rule
+ * matches.
  * @param {string} body - Release notes body
  * @param {Object} usernameMapping - Username mapping object
+ * @param {Object|null} usernameRules - Rules from compileUsernameRules
  * @returns {string} Updated release notes body
  */
-export function updateUsernamesInReleaseNotes(body, usernameMapping) {
-  if (!body) return body;
+export function updateUsernamesInReleaseNotes(
+  body,
+  usernameMapping,
+  usernameRules = null
+) {
+  return rewriteMentions(body, usernameMapping, usernameRules);
+}
 
-  let updatedBody = body;
+/**
+ * Load the GHES and GHEC hostnames used to rewrite URLs in release notes.
+ * Call after loadEnv so that values from .env are available.
+ * @returns {Object} Host mapping ({ sourceHost, targetHost })
+ */
+export function loadHostMapping() {
+  const sourceHost = (process.env.GHES_HOSTNAME || '').trim();
+  const targetHost = (process.env.GHEC_HOSTNAME || '').trim();
 
-  // Replace only @username references (mentions) but prevent recursive replacement
-  for (const [oldUsername, newUsername] of Object.entries(usernameMapping)) {
-    // Use negative lookahead to prevent matching if the new username is already present
-    // This prevents @nghia-nguyen-4321 from being matched by @nghia-nguyen pattern
-    const oldPattern = new RegExp(
-      `@${oldUsername}(?!-${newUsername.split('-').slice(-1)[0]})\\b`,
-      'g'
-    );
-    const newReference = `@${newUsername}`;
-    updatedBody = updatedBody.replace(oldPattern, newReference);
+  return {
+    sourceHost: sourceHost || null,
+    targetHost: targetHost || 'github.com',
+  };
+}
+
+/**
+ * Update GHES URLs in release notes to point to GHEC.
+ * Profile and repository links get the username, organization and repository
+ * mappings applied as well.
+ * @param {string} body - Release notes body
+ * @param {Object} mapping - Mapping config ({ usernameMapping, orgMapping, repoMapping })
+ * @param {Object} hostMapping - Host mapping ({ sourceHost, targetHost })
+ * @returns {string} Updated release notes body
+ */
+export function updateUrlsInReleaseNotes(body, mapping, hostMapping) {
+  return rewriteUrls(body, { ...hostMapping, ...mapping });
+}
+
+/**
+ * Update owner/repo#N, owner/repo@sha and @org/team references in release notes
+ * @param {string} body - Release notes body
+ * @param {Object} mapping - Mapping config ({ usernameMapping, orgMapping, repoMapping })
+ * @returns {string} Updated release notes body
+ */
+export function updateReferencesInReleaseNotes(body, mapping) {
+  return rewriteCrossReferences(body, mapping);
+}
+
+/**
+ * Mention mappings (organizations and usernames) by mapping config
+ */
+const mentionMappingCache = new WeakMap();
+
+/**
+ * Apply every release notes rewriting stage: @mentions (users and
+ * organizations), cross-references, then GHES URLs
+ * @param {string} body - Release notes body
+ * @param {Object} mapping - Mapping config ({ usernameMapping, orgMapping, repoMapping })
+ * @param {Object} hostMapping - Host mapping ({ sourceHost, targetHost })
+ * @returns {string} Updated release notes body
+ */
+export function rewriteReleaseNotes(body, mapping, hostMapping = {}) {
+  const { usernameMapping = {}, orgMapping = {}, usernameRules } = mapping;
+  // Keep one mention mapping per mapping config, so its resolver is reused
+  if (!mentionMappingCache.has(mapping)) {
+    mentionMappingCache.set(mapping, { ...orgMapping, ...usernameMapping });
   }
 
-  return updatedBody;
+  const withMentions = updateUsernamesInReleaseNotes(
+    body,
+    mentionMappingCache.get(mapping),
+    usernameRules
+  );
+  const withReferences = updateReferencesInReleaseNotes(withMentions, mapping);
+  return updateUrlsInReleaseNotes(withReferences, mapping, hostMapping);
 }
 
 /**
- * Get all releases for a specific repository
+ * Iterate over all releases of a repository one page at a time
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} stats - Counters updated while iterating ({ pages, releases })
+ * @returns {AsyncGenerator<Array>} Async generator yielding pages of releases
+ */
+export async function* iterateReleasePages(octokit, owner, repo, stats = {}) {
+  stats.pages = 0;
+  stats.releases = 0;
+
+  const pages = octokit.paginate.iterator(octokit.rest.repos.listReleases, {
+    owner,
+    repo,
+    per_page: 100,
+  });
+
+  for await (const { data: releases } of pages) {
+    stats.pages++;
+    stats.releases += releases.length;
+    yield releases;
+  }
+}
+
+/**
+ * Get all releases for a specific repository. Fetch errors are thrown, so a
+ * partial list is never mistaken for the complete one.
  * @param {Octokit} octokit - Octokit instance
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @returns {Promise<Array>} Array of releases
  */
 export async function getAllReleases(octokit, owner, repo) {
-  try {
-    console.log(`Fetching releases for ${owner}/${repo}...`);
-    const { data: releases } = await octokit.rest.repos.listReleases({
-      owner,
-      repo,
-      per_page: 100,
-    });
-    return releases;
-  } catch (error) {
-    console.error(
-      `Error fetching releases for ${owner}/${repo}:`,
-      error.message
-    );
-    return [];
+  console.log(`Fetching releases for ${owner}/${repo}...`);
+  const stats = {};
+  const releases = [];
+  for await (const page of iterateReleasePages(octokit, owner, repo, stats)) {
+    releases.push(...page);
   }
+  console.log(
+    `  Fetched ${stats.releases} releases across ${stats.pages} page(s)`
+  );
+  return releases;
 }
 
 /**
@@ -129,3 +400,18 @@ export async function getAllReleases(octokit, owner, repo) {
 export function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
+
+/**
+ * Run a command line option parser. An invalid option is reported as a
+ * usage error and exits with code 1 instead of a stack trace.
+ * @param {Function} parse - Parser, throwing when the option is invalid
+ * @returns {*} Parsed value
+ */
+export function parseOptionOrExit(parse) {
+  try {
+    return parse();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,93 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Output buffer of the task running in the current async context
+ */
+const outputStorage = new AsyncLocalStorage();
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error'];
+
+let consoleInstalled = false;
+
+/**
+ * Route console output through the buffer of the current grouped task.
+ * Output outside of a grouped task is written immediately.
+ */
+function installGroupedConsole() {
+  if (consoleInstalled) return;
+  consoleInstalled = true;
+
+  for (const method of CONSOLE_METHODS) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const buffer = outputStorage.getStore();
+      if (buffer) {
+        buffer.push({ write: original, args });
+      } else {
+        original(...args);
+      }
+    };
+  }
+}
+
+/**
+ * Run a task and print its console output in one block once it finishes,
+ * so the output of tasks running at the same time does not interleave
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Result of the task
+ */
+export async function runWithGroupedOutput(task) {
+  installGroupedConsole();
+  const buffer = [];
+
+  try {
+    return await outputStorage.run(buffer, task);
+  } finally {
+    for (const { write, args } of buffer) {
+      write(...args);
+    }
+  }
+}
+
+/**
+ * Run a worker for every item with at most `limit` workers at a time
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    runWorker
+  );
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Parse a concurrency option
+ * @param {string} value - Option value, or undefined for the default
+ * @param {string} name - Option name used in the error message
+ * @param {number} defaultValue - Value used when the option is not set
+ * @returns {number} Concurrency (1 or more)
+ */
+export function parseConcurrency(value, name, defaultValue = 1) {
+  if (value === undefined) return defaultValue;
+
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`--${name} must be a positive integer (got "${value}")`);
+  }
+  return concurrency;
+}
@@ -0,0 +1,360 @@
+/**
+ * Content sources define how each kind of content with a Markdown body is
+ * listed, fetched, updated and stored in backups.
+ *
+ * Every source has:
+ * - type: content type name, also used as the backup key and file prefix
+ * - label: singular name used in log output
+ * - list(octokit, owner, repo): async iterator of API responses (pages)
+ * - filter(item): optional, drops items returned by `list` that belong to another source
+ * - get(octokit, owner, repo, item): fetch the live item
+ * - update(octokit, owner, repo, item, body): write a new body
+ * - normalize(item): optional, maps API items to the shared shape (Markdown in `body`)
+ * - describe(item): short human-readable identifier
+ * - serialize(item): fields stored in backups and plans
+ */
+
+import {
+  listDiscussions,
+  listDiscussionComments,
+  getDiscussion,
+  getDiscussionComment,
+  updateDiscussion,
+  updateDiscussionComment,
+} from './discussions.mjs';
+
+/**
+ * Create a paginated list function for a REST endpoint
+ * @param {Function} getEndpoint - Returns the endpoint method from an Octokit instance
+ * @param {Object} params - Extra request parameters
+ * @returns {Function} (octokit, owner, repo) => async iterator of pages
+ */
+function paginated(getEndpoint, params = {}) {
+  return (octokit, owner, repo) =>
+    octokit.paginate.iterator(getEndpoint(octokit), {
+      owner,
+      repo,
+      per_page: 100,
+      ...params,
+    });
+}
+
+/**
+ * Pick the fields stored for a comment
+ * @param {Object} comment - Comment object from the GitHub API
+ * @returns {Object} Comment data
+ */
+function serializeComment(comment) {
+  return {
+    id: comment.id,
+    user: comment.user ? comment.user.login : null,
+    body: comment.body,
+    created_at: comment.created_at,
+    updated_at: comment.updated_at,
+    html_url: comment.html_url,
+  };
+}
+
+export const CONTENT_SOURCES = {
+  releases: {
+    type: 'releases',
+    label: 'release',
+    list: paginated(octokit => octokit.rest.repos.listReleases),
+    get: async (octokit, owner, repo, release) =>
+      (
+        await octokit.rest.repos.getRelease({
+          owner,
+          repo,
+          release_id: release.id,
+        })
+      ).data,
+    update: (octokit, owner, repo, release, body) =>
+      octokit.rest.repos.updateRelease({
+        owner,
+        repo,
+        release_id: release.id,
+        body,
+      }),
+    describe: release => release.tag_name || `draft ${release.id}`,
+    serialize: release => ({
+      id: release.id,
+      tag_name: release.tag_name,
+      name: release.name,
+      draft: release.draft,
+      body: release.body,
+      created_at: release.created_at,
+      published_at: release.published_at,
+      html_url: release.html_url,
+    }),
+  },
+
+  issues: {
+    type: 'issues',
+    label: 'issue',
+    list: paginated(octokit => octokit.rest.issues.listForRepo, {
+      state: 'all',
+    }),
+    // The issues endpoint also returns pull requests
+    filter: issue => !issue.pull_request,
+    get: async (octokit, owner, repo, issue) =>
+      (
+        await octokit.rest.issues.get({
+          owner,
+          repo,
+          issue_number: issue.number,
+        })
+      ).data,
+    update: (octokit, owner, repo, issue, body) =>
+      octokit.rest.issues.update({
+        owner,
+        repo,
+        issue_number: issue.number,
+        body,
+      }),
+    describe: issue => `#${issue.number}`,
+    serialize: issue => ({
+      id: issue.id,
+      number: issue.number,
+      title: issue.title,
+      body: issue.body,
+      created_at: issue.created_at,
+      html_url: issue.html_url,
+    }),
+  },
+
+  pull_requests: {
+    type: 'pull_requests',
+    label: 'pull request',
+    list: paginated(octokit => octokit.rest.pulls.list, { state: 'all' }),
+    get: async (octokit, owner, repo, pull) =>
+      (
+        await octokit.rest.pulls.get({
+          owner,
+          repo,
+          pull_number: pull.number,
+        })
+      ).data,
+    update: (octokit, owner, repo, pull, body) =>
+      octokit.rest.pulls.update({
+        owner,
+        repo,
+        pull_number: pull.number,
+        body,
+      }),
+    describe: pull => `#${pull.number}`,
+    serialize: pull => ({
+      id: pull.id,
+      number: pull.number,
+      title: pull.title,
+      body: pull.body,
+      created_at: pull.created_at,
+      html_url: pull.html_url,
+    }),
+  },
+
+  // Conversation comments on both issues and pull requests
+  issue_comments: {
+    type: 'issue_comments',
+    label: 'issue comment',
+    list: paginated(octokit => octokit.rest.issues.listCommentsForRepo),
+    get: async (octokit, owner, repo, comment) =>
+      (
+        await octokit.rest.issues.getComment({
+          owner,
+          repo,
+          comment_id: comment.id,
+        })
+      ).data,
+    update: (octokit, owner, repo, comment, body) =>
+      octokit.rest.issues.updateComment({
+        owner,
+        repo,
+        comment_id: comment.id,
+        body,
+      }),
+    describe: comment => `comment ${comment.id}`,
+    serialize: serializeComment,
+  },
+
+  review_comments: {
+    type: 'review_comments',
+    label: 'review comment',
+    list: paginated(octokit => octokit.rest.pulls.listReviewCommentsForRepo),
+    get: async (octokit, owner, repo, comment) =>
+      (
+        await octokit.rest.pulls.getReviewComment({
+          owner,
+          repo,
+          comment_id: comment.id,
+        })
+      ).data,
+    update: (octokit, owner, repo, comment, body) =>
+      octokit.rest.pulls.updateReviewComment({
+        owner,
+        repo,
+        comment_id: comment.id,
+        body,
+      }),
+    describe: comment => `review comment ${comment.id}`,
+    serialize: serializeComment,
+  },
+
+  commit_comments: {
+    type: 'commit_comments',
+    label: 'commit comment',
+    list: paginated(octokit => octokit.rest.repos.listCommitCommentsForRepo),
+    get: async (octokit, owner, repo, comment) =>
+      (
+        await octokit.rest.repos.getCommitComment({
+          owner,
+          repo,
+          comment_id: comment.id,
+        })
+      ).data,
+    update: (octokit, owner, repo, comment, body) =>
+      octokit.rest.repos.updateCommitComment({
+        owner,
+        repo,
+        comment_id: comment.id,
+        body,
+      }),
+    describe: comment => `commit comment ${comment.id}`,
+    serialize: comment => ({
+      ...serializeComment(comment),
+      commit_id: comment.commit_id,
+    }),
+  },
+
+  milestones: {
+    type: 'milestones',
+    label: 'milestone',
+    list: paginated(octokit => octokit.rest.issues.listMilestones, {
+      state: 'all',
+    }),
+    // Milestones keep their Markdown in `description`
+    normalize: milestone => ({ ...milestone, body: milestone.description }),
+    get: async (octokit, owner, repo, milestone) => {
+      const { data } = await octokit.rest.issues.getMilestone({
+        owner,
+        repo,
+        milestone_number: milestone.number,
+      });
+      return { ...data, body: data.description };
+    },
+    update: (octokit, owner, repo, milestone, body) =>
+      octokit.rest.issues.updateMilestone({
+        owner,
+        repo,
+        milestone_number: milestone.number,
+        description: body,
+      }),
+    describe: milestone => `#${milestone.number} (${milestone.title})`,
+    serialize: milestone => ({
+      id: milestone.id,
+      number: milestone.number,
+      title: milestone.title,
+      body: milestone.body,
+      created_at: milestone.created_at,
+      html_url: milestone.html_url,
+    }),
+  },
+
+  // Discussions are read and written through the GraphQL API
+  discussions: {
+    type: 'discussions',
+    label: 'discussion',
+    list: listDiscussions,
+    get: (octokit, owner, repo, discussion) =>
+      getDiscussion(octokit, discussion),
+    update: (octokit, owner, repo, discussion, body) =>
+      updateDiscussion(octokit, discussion, body),
+    describe: discussion => `#${discussion.number}`,
+    serialize: discussion => ({
+      id: discussion.id,
+      number: discussion.number,
+      title: discussion.title,
+      body: discussion.body,
+      created_at: discussion.created_at,
+      html_url: discussion.html_url,
+    }),
+  },
+
+  // Comments and replies on discussions
+  discussion_comments: {
+    type: 'discussion_comments',
+    label: 'discussion comment',
+    list: listDiscussionComments,
+    get: (octokit, owner, repo, comment) =>
+      getDiscussionComment(octokit, comment),
+    update: (octokit, owner, repo, comment, body) =>
+      updateDiscussionComment(octokit, comment, body),
+    describe: comment => `#${comment.discussion_number} comment ${comment.id}`,
+    serialize: comment => ({
+      ...serializeComment(comment),
+      // Normalized discussion comments already store the author login
+      user: comment.user,
+      discussion_number: comment.discussion_number,
+    }),
+  },
+};
+
+export const DEFAULT_CONTENT_TYPES = ['releases'];
+
+/**
+ * Get a content source by type
+ * @param {string} type - Content type
+ * @returns {Object} Content source
+ */
+export function getContentSource(type) {
+  const source = CONTENT_SOURCES[type];
+  if (!source) {
+    throw new Error(
+      `Unknown content type "${type}" (available: ${Object.keys(CONTENT_SOURCES).join(', ')})`
+    );
+  }
+  return source;
+}
+
+/**
+ * Parse a comma-separated list of content types
+ * @param {string} value - Comma-separated content types, or undefined for the default
+ * @returns {Array<string>} Validated content types
+ */
+export function parseContentTypes(value) {
+  if (!value) return DEFAULT_CONTENT_TYPES;
+
+  const types = value
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean);
+  types.forEach(getContentSource);
+  return [...new Set(types)];
+}
+
+/**
+ * Iterate over all items of a content source one page at a time
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} source - Content source
+ * @param {Object} stats - Counters updated while iterating ({ pages, items })
+ * @returns {AsyncGenerator<Array>} Async generator yielding pages of items
+ */
+export async function* iterateContentPages(
+  octokit,
+  owner,
+  repo,
+  source,
+  stats = {}
+) {
+  stats.pages = 0;
+  stats.items = 0;
+
+  for await (const { data } of source.list(octokit, owner, repo)) {
+    let items = source.filter ? data.filter(source.filter) : data;
+    if (source.normalize) items = items.map(source.normalize);
+    stats.pages++;
+    stats.items += items.length;
+    yield items;
+  }
+}
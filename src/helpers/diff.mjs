@@ -0,0 +1,382 @@
+/**
+ * Wrap tokens as operations of one type
+ * @param {string} type - 'equal', 'remove' or 'add'
+ * @param {Array<string>} tokens - Tokens
+ * @returns {Array<Object>} Operations
+ */
+function toOperations(type, tokens) {
+  return tokens.map(value => ({ type, value }));
+}
+
+/**
+ * Diff two token sequences with Myers' algorithm in linear space: the
+ * common prefix and suffix are trimmed, then the sequences are split at the
+ * middle of the shortest edit path and both halves are diffed recursively.
+ * @param {Array<string>} oldTokens - Original tokens
+ * @param {Array<string>} newTokens - Updated tokens
+ * @returns {Array<Object>} Operations ({ type: 'equal'|'remove'|'add', value })
+ */
+function diffRange(oldTokens, newTokens) {
+  let prefix = 0;
+  while (
+    prefix < oldTokens.length &&
+    prefix < newTokens.length &&
+    oldTokens[prefix] === newTokens[prefix]
+  ) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < oldTokens.length - prefix &&
+    suffix < newTokens.length - prefix &&
+    oldTokens[oldTokens.length - suffix - 1] ===
+      newTokens[newTokens.length - suffix - 1]
+  ) {
+    suffix++;
+  }
+
+  const oldMiddle = oldTokens.slice(prefix, oldTokens.length - suffix);
+  const newMiddle = newTokens.slice(prefix, newTokens.length - suffix);
+  let middle;
+  if (oldMiddle.length === 0 || newMiddle.length === 0) {
+    middle = [
+      ...toOperations('remove', oldMiddle),
+      ...toOperations('add', newMiddle),
+    ];
+  } else {
+    const split = findMiddleSnake(oldMiddle, newMiddle);
+    middle = split
+      ? [
+          ...diffRange(
+            oldMiddle.slice(0, split.x),
+            newMiddle.slice(0, split.y)
+          ),
+          ...diffRange(oldMiddle.slice(split.x), newMiddle.slice(split.y)),
+        ]
+      : [
+          ...toOperations('remove', oldMiddle),
+          ...toOperations('add', newMiddle),
+        ];
+  }
+
+  return [
+    ...toOperations('equal', oldTokens.slice(0, prefix)),
+    ...middle,
+    ...toOperations('equal', oldTokens.slice(oldTokens.length - suffix)),
+  ];
+}
+
+/**
+ * Find a point on a shortest edit path between two sequences, searching
+ * forward from the start and backward from the end until both searches meet
+ * @param {Array<string>} oldTokens - Original tokens, not empty
+ * @param {Array<string>} newTokens - Updated tokens, not empty
+ * @returns {Object|null} Split point ({ x, y }) in both sequences, or null
+ *   when the sequences have nothing in common
+ */
+function findMiddleSnake(oldTokens, newTokens) {
+  const n = oldTokens.length;
+  const m = newTokens.length;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD;
+  // forward[k] / backward[k] = furthest x reached on diagonal k (x - y),
+  // counted from the start or from the end
+  const forward = new Array(2 * maxD + 2).fill(-1);
+  const backward = new Array(2 * maxD + 2).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+  const delta = n - m;
+  // With an odd delta the forward search meets the backward one first
+  const forwardMeets = delta % 2 !== 0;
+  // Diagonals that left the grid are not searched again
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let backwardStart = 0;
+  let backwardEnd = 0;
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      const index = offset + k;
+      let x =
+        k === -d || (k !== d && forward[index - 1] < forward[index + 1])
+          ? forward[index + 1]
+          : forward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldTokens[x] === newTokens[y]) {
+        x++;
+        y++;
+      }
+      forward[index] = x;
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (forwardMeets) {
+        const backwardIndex = offset + delta - k;
+        if (
+          backwardIndex >= 0 &&
+          backwardIndex < backward.length &&
+          backward[backwardIndex] !== -1 &&
+          x >= n - backward[backwardIndex]
+        ) {
+          return { x, y };
+        }
+      }
+    }
+
+    for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+      const index = offset + k;
+      let x =
+        k === -d || (k !== d && backward[index - 1] < backward[index + 1])
+          ? backward[index + 1]
+          : backward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldTokens[n - x - 1] === newTokens[m - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[index] = x;
+      if (x > n) {
+        backwardEnd += 2;
+      } else if (y > m) {
+        backwardStart += 2;
+      } else if (!forwardMeets) {
+        const forwardIndex = offset + delta - k;
+        if (
+          forwardIndex >= 0 &&
+          forwardIndex < forward.length &&
+          forward[forwardIndex] !== -1 &&
+          forward[forwardIndex] >= n - x
+        ) {
+          const forwardX = forward[forwardIndex];
+          return { x: forwardX, y: forwardX - (forwardIndex - offset) };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compute a diff between two token sequences. Within each block of changes,
+ * removed tokens come before added tokens.
+ * @param {Array<string>} oldTokens - Original tokens
+ * @param {Array<string>} newTokens - Updated tokens
+ * @returns {Array<Object>} Operations ({ type: 'equal'|'remove'|'add', value })
+ */
+function diffSequences(oldTokens, newTokens) {
+  const operations = [];
+  let added = [];
+  for (const op of diffRange(oldTokens, newTokens)) {
+    if (op.type === 'add') {
+      added.push(op);
+      continue;
+    }
+    if (op.type === 'equal' && added.length > 0) {
+      for (const addOp of added) operations.push(addOp);
+      added = [];
+    }
+    operations.push(op);
+  }
+  for (const addOp of added) operations.push(addOp);
+
+  return operations;
+}
+
+/**
+ * Compute a line-based diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @returns {Array<Object>} Operations ({ type: 'equal'|'remove'|'add', value })
+ */
+export function diffLines(oldText, newText) {
+  return diffSequences(
+    (oldText || '').split('\n'),
+    (newText || '').split('\n')
+  );
+}
+
+/**
+ * Compute a word-level diff between two lines. Words, runs of whitespace and
+ * single punctuation characters are compared as tokens.
+ * @param {string} oldLine - Original line
+ * @param {string} newLine - Updated line
+ * @returns {Array<Object>} Operations ({ type: 'equal'|'remove'|'add', value })
+ */
+export function diffWords(oldLine, newLine) {
+  const tokenize = line => line.match(/\s+|[\w@.-]+|[^\s\w@.-]/g) || [];
+  return diffSequences(tokenize(oldLine), tokenize(newLine));
+}
+
+/**
+ * ANSI escape codes used for colored diffs
+ */
+const COLORS = {
+  header: '\x1b[1m',
+  hunk: '\x1b[36m',
+  remove: '\x1b[31m',
+  add: '\x1b[32m',
+  highlight: '\x1b[7m',
+  reset: '\x1b[0m',
+};
+
+/**
+ * Color a removed or added line, highlighting the words that changed
+ * @param {string} type - 'remove' or 'add'
+ * @param {string} line - Line without prefix
+ * @param {string} counterpart - Paired line of the other side, if any
+ * @returns {string} Colored line with prefix
+ */
+function colorChangedLine(type, line, counterpart) {
+  const prefix = type === 'remove' ? '-' : '+';
+  if (counterpart === undefined) {
+    return `${COLORS[type]}${prefix}${line}${COLORS.reset}`;
+  }
+
+  const [oldLine, newLine] =
+    type === 'remove' ? [line, counterpart] : [counterpart, line];
+  const words = diffWords(oldLine, newLine)
+    .filter(op => op.type === 'equal' || op.type === type)
+    .map(op =>
+      op.type === type
+        ? `${COLORS.highlight}${op.value}${COLORS.reset}${COLORS[type]}`
+        : op.value
+    )
+    .join('');
+  return `${COLORS[type]}${prefix}${words}${COLORS.reset}`;
+}
+
+/**
+ * Share of two lines that is unchanged at word level
+ * @param {string} oldLine - Original line
+ * @param {string} newLine - Updated line
+ * @returns {number} Similarity between 0 and 1
+ */
+function lineSimilarity(oldLine, newLine) {
+  const longest = Math.max(oldLine.length, newLine.length);
+  if (longest === 0) return 1;
+
+  const unchanged = diffWords(oldLine, newLine)
+    .filter(op => op.type === 'equal')
+    .reduce((total, op) => total + op.value.length, 0);
+  return unchanged / longest;
+}
+
+/**
+ * Pair the removed and added lines of each change block (a run of removed
+ * lines followed by a run of added lines), so changed words can be
+ * highlighted. Lines are paired in order, and only with a similar line.
+ * @param {Array<Object>} ops - Diff operations of one hunk
+ * @returns {Map<Object, string>} Operation to the line it is paired with
+ */
+function pairChangedLines(ops) {
+  const pairs = new Map();
+  let index = 0;
+
+  while (index < ops.length) {
+    const removed = [];
+    const added = [];
+    while (index < ops.length && ops[index].type === 'remove') {
+      removed.push(ops[index++]);
+    }
+    while (index < ops.length && ops[index].type === 'add') {
+      added.push(ops[index++]);
+    }
+    let next = 0;
+    for (const removedOp of removed) {
+      const match = added.findIndex(
+        (addedOp, i) =>
+          i >= next && lineSimilarity(removedOp.value, addedOp.value) >= 0.5
+      );
+      if (match === -1) continue;
+      pairs.set(removedOp, added[match].value);
+      pairs.set(added[match], removedOp.value);
+      next = match + 1;
+    }
+    if (removed.length === 0 && added.length === 0) index++;
+  }
+
+  return pairs;
+}
+
+/**
+ * Format a unified diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @param {Object} options - Formatting options
+ * @param {string} options.oldLabel - Label for the original text
+ * @param {string} options.newLabel - Label for the updated text
+ * @param {number} options.context - Number of unchanged lines around changes
+ * @param {boolean} options.color - Color the diff for a terminal, with the
+ *   changed words of modified lines highlighted
+ * @returns {string} Unified diff, or an empty string if the texts are equal
+ */
+export function formatUnifiedDiff(oldText, newText, options = {}) {
+  const {
+    oldLabel = 'before',
+    newLabel = 'after',
+    context = 3,
+    color = false,
+  } = options;
+  const operations = diffLines(oldText, newText);
+
+  if (operations.every(op => op.type === 'equal')) {
+    return '';
+  }
+
+  // Track line numbers of each operation in both texts
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = operations.map(op => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== 'add') oldLine++;
+    if (op.type !== 'remove') newLine++;
+    return entry;
+  });
+
+  // Group changes that are close together into hunks
+  const hunks = [];
+  numbered.forEach((op, index) => {
+    if (op.type === 'equal') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(numbered.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  const paint = (code, text) =>
+    color ? `${COLORS[code]}${text}${COLORS.reset}` : text;
+  const output = [
+    paint('header', `--- ${oldLabel}`),
+    paint('header', `+++ ${newLabel}`),
+  ];
+  const prefixes = { equal: ' ', remove: '-', add: '+' };
+
+  for (const { start, end } of hunks) {
+    const ops = numbered.slice(start, end);
+    const oldCount = ops.filter(op => op.type !== 'add').length;
+    const newCount = ops.filter(op => op.type !== 'remove').length;
+    output.push(
+      paint(
+        'hunk',
+        `@@ -${ops[0].oldLine},${oldCount} +${ops[0].newLine},${newCount} @@`
+      )
+    );
+
+    const pairs = color ? pairChangedLines(ops) : null;
+    ops.forEach(op =>
+      output.push(
+        color && op.type !== 'equal'
+          ? colorChangedLine(op.type, op.value, pairs.get(op))
+          : `${prefixes[op.type]}${op.value}`
+      )
+    );
+  }
+
+  return output.join('\n');
+}
@@ -0,0 +1,313 @@
+/**
+ * GitHub Discussions are only available through the GraphQL API. These
+ * helpers list, fetch and update discussions and discussion comments and
+ * normalize them to the REST-like shape used by the content sources.
+ */
+
+const DISCUSSION_FIELDS = `
+  id
+  number
+  title
+  body
+  createdAt
+  url
+`;
+
+const COMMENT_FIELDS = `
+  id
+  body
+  createdAt
+  updatedAt
+  url
+  author {
+    login
+  }
+`;
+
+const DISCUSSIONS_QUERY = `
+  query ($owner: String!, $repo: String!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      discussions(first: 100, after: $cursor) {
+        nodes {
+          ${DISCUSSION_FIELDS}
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+const DISCUSSION_COMMENTS_QUERY = `
+  query ($id: ID!, $cursor: String) {
+    node(id: $id) {
+      ... on Discussion {
+        comments(first: 100, after: $cursor) {
+          nodes {
+            ${COMMENT_FIELDS}
+            replies(first: 100) {
+              nodes {
+                ${COMMENT_FIELDS}
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  }
+`;
+
+const COMMENT_REPLIES_QUERY = `
+  query ($id: ID!, $cursor: String) {
+    node(id: $id) {
+      ... on DiscussionComment {
+        replies(first: 100, after: $cursor) {
+          nodes {
+            ${COMMENT_FIELDS}
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  }
+`;
+
+const DISCUSSION_QUERY = `
+  query ($id: ID!) {
+    node(id: $id) {
+      ... on Discussion {
+        ${DISCUSSION_FIELDS}
+      }
+    }
+  }
+`;
+
+const DISCUSSION_COMMENT_QUERY = `
+  query ($id: ID!) {
+    node(id: $id) {
+      ... on DiscussionComment {
+        ${COMMENT_FIELDS}
+      }
+    }
+  }
+`;
+
+const UPDATE_DISCUSSION_MUTATION = `
+  mutation ($id: ID!, $body: String!) {
+    updateDiscussion(input: { discussionId: $id, body: $body }) {
+      discussion {
+        id
+      }
+    }
+  }
+`;
+
+const UPDATE_DISCUSSION_COMMENT_MUTATION = `
+  mutation ($id: ID!, $body: String!) {
+    updateDiscussionComment(input: { commentId: $id, body: $body }) {
+      comment {
+        id
+      }
+    }
+  }
+`;
+
+/**
+ * Normalize a GraphQL discussion node
+ * @param {Object} node - Discussion node
+ * @returns {Object} Discussion with REST-style field names
+ */
+function normalizeDiscussion(node) {
+  return {
+    id: node.id,
+    number: node.number,
+    title: node.title,
+    body: node.body,
+    created_at: node.createdAt,
+    html_url: node.url,
+  };
+}
+
+/**
+ * Normalize a GraphQL discussion comment node
+ * @param {Object} node - Discussion comment node
+ * @param {number} discussionNumber - Number of the discussion it belongs to
+ * @returns {Object} Comment with REST-style field names
+ */
+function normalizeComment(node, discussionNumber) {
+  return {
+    id: node.id,
+    discussion_number: discussionNumber,
+    user: node.author ? node.author.login : null,
+    body: node.body,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    html_url: node.url,
+  };
+}
+
+/**
+ * Iterate over a GraphQL connection one page at a time
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} query - GraphQL query accepting a `$cursor` variable
+ * @param {Object} variables - Query variables (`cursor` sets the starting point)
+ * @param {Function} getConnection - Returns the connection from the response
+ * @returns {AsyncGenerator<Array>} Async generator yielding pages of nodes
+ */
+async function* paginateConnection(octokit, query, variables, getConnection) {
+  let cursor = variables.cursor || null;
+
+  do {
+    const connection = getConnection(
+      await octokit.graphql(query, { ...variables, cursor })
+    );
+    yield connection.nodes;
+    cursor = connection.pageInfo.hasNextPage
+      ? connection.pageInfo.endCursor
+      : null;
+  } while (cursor);
+}
+
+/**
+ * List all discussions of a repository, page by page
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {AsyncGenerator<Object>} Pages in the same shape as REST pagination ({ data })
+ */
+export async function* listDiscussions(octokit, owner, repo) {
+  const pages = paginateConnection(
+    octokit,
+    DISCUSSIONS_QUERY,
+    { owner, repo },
+    response => response.repository.discussions
+  );
+
+  for await (const nodes of pages) {
+    yield { data: nodes.map(normalizeDiscussion) };
+  }
+}
+
+/**
+ * List all comments and replies of every discussion in a repository.
+ * One page is yielded per page of top-level comments, with their replies.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {AsyncGenerator<Object>} Pages in the same shape as REST pagination ({ data })
+ */
+export async function* listDiscussionComments(octokit, owner, repo) {
+  for await (const { data: discussions } of listDiscussions(
+    octokit,
+    owner,
+    repo
+  )) {
+    for (const discussion of discussions) {
+      const pages = paginateConnection(
+        octokit,
+        DISCUSSION_COMMENTS_QUERY,
+        { id: discussion.id },
+        response => response.node.comments
+      );
+
+      for await (const nodes of pages) {
+        const comments = [];
+
+        for (const node of nodes) {
+          comments.push(normalizeComment(node, discussion.number));
+          comments.push(
+            ...node.replies.nodes.map(reply =>
+              normalizeComment(reply, discussion.number)
+            )
+          );
+
+          // Fetch the remaining replies when there is more than one page
+          if (node.replies.pageInfo.hasNextPage) {
+            const replies = paginateConnection(
+              octokit,
+              COMMENT_REPLIES_QUERY,
+              { id: node.id, cursor: node.replies.pageInfo.endCursor },
+              response => response.node.replies
+            );
+            for await (const replyNodes of replies) {
+              comments.push(
+                ...replyNodes.map(reply =>
+                  normalizeComment(reply, discussion.number)
+                )
+              );
+            }
+          }
+        }
+
+        if (comments.length > 0) {
+          yield { data: comments };
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Fetch a single discussion
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Object} discussion - Discussion with its node `id`
+ * @returns {Promise<Object>} Normalized discussion
+ */
+export async function getDiscussion(octokit, discussion) {
+  const { node } = await octokit.graphql(DISCUSSION_QUERY, {
+    id: discussion.id,
+  });
+  return normalizeDiscussion(node);
+}
+
+/**
+ * Fetch a single discussion comment
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Object} comment - Comment with its node `id`
+ * @returns {Promise<Object>} Normalized comment
+ */
+export async function getDiscussionComment(octokit, comment) {
+  const { node } = await octokit.graphql(DISCUSSION_COMMENT_QUERY, {
+    id: comment.id,
+  });
+  return normalizeComment(node, comment.discussion_number);
+}
+
+/**
+ * Update the body of a discussion
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Object} discussion - Discussion with its node `id`
+ * @param {string} body - New body
+ */
+export function updateDiscussion(octokit, discussion, body) {
+  return octokit.graphql(UPDATE_DISCUSSION_MUTATION, {
+    id: discussion.id,
+    body,
+  });
+}
+
+/**
+ * Update the body of a discussion comment
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Object} comment - Comment with its node `id`
+ * @param {string} body - New body
+ */
+export function updateDiscussionComment(octokit, comment, body) {
+  return octokit.graphql(UPDATE_DISCUSSION_COMMENT_MUTATION, {
+    id: comment.id,
+    body,
+  });
+}
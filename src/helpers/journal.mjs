@@ -0,0 +1,126 @@
+import fs from 'fs';
+
+export const JOURNAL_FILE = 'journal.jsonl';
+
+/**
+ * Item states that do not need to be processed again when a run is resumed
+ */
+export const DONE_ITEM_STATES = ['updated', 'skipped'];
+
+/**
+ * Repository and content type state when every item was processed, but some
+ * of them failed. Such repositories and content types are processed again
+ * when the run is resumed.
+ */
+export const COMPLETED_WITH_FAILURES = 'completed_with_failures';
+
+/**
+ * Apply a journal entry to the replayed state
+ * @param {Object} state - Journal state ({ repositories })
+ * @param {Object} entry - Journal entry
+ */
+function applyEntry(state, entry) {
+  const repository = state.repositories[entry.repository] || {
+    state: null,
+    content: {},
+  };
+  state.repositories[entry.repository] = repository;
+
+  if (!entry.content_type) {
+    repository.state = entry.state;
+    return;
+  }
+
+  const content = repository.content[entry.content_type] || {
+    state: null,
+    backup_file: null,
+    items: {},
+  };
+  repository.content[entry.content_type] = content;
+
+  if (entry.item_id === undefined) {
+    content.state = entry.state;
+    if (entry.backup_file) content.backup_file = entry.backup_file;
+    return;
+  }
+
+  content.items[entry.item_id] = entry.state;
+}
+
+/**
+ * Open the checkpoint journal of a run. The journal is an append-only JSON
+ * Lines file recording the state of every repository, content type and item:
+ *
+ * - repository: `started`, `completed`, `completed_with_failures`
+ * - content type: `started` (with its backup file), `completed`,
+ *   `completed_with_failures`, `failed`
+ * - item: `backed_up`, `updated`, `skipped` (no changes needed), `failed`
+ *
+ * Existing entries are replayed, so a resumed run knows what is already done.
+ * Only `completed` repositories and content types are done; the others are
+ * processed again, retrying the items that are not done.
+ * @param {Object} run - Run ({ id, dir })
+ * @returns {Object} Journal
+ */
+export function openJournal(run) {
+  const file = `${run.dir}/${JOURNAL_FILE}`;
+  const state = { repositories: {} };
+
+  if (fs.existsSync(file)) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    for (const line of lines) {
+      if (line.trim() === '') continue;
+      try {
+        applyEntry(state, JSON.parse(line));
+      } catch {
+        // A crash can leave a partially written last line behind
+        console.warn(`⚠️  Ignoring unreadable journal line in ${file}`);
+      }
+    }
+  }
+
+  const getRepositoryState = repository => {
+    const entry = state.repositories[repository];
+    return entry ? entry.state : null;
+  };
+
+  const getContent = (repository, contentType) => {
+    const entry = state.repositories[repository];
+    return (entry && entry.content[contentType]) || null;
+  };
+
+  return {
+    file,
+    state,
+
+    /**
+     * Append an entry to the journal
+     * @param {Object} entry - { repository, content_type?, item_id?, state, ... }
+     */
+    record(entry) {
+      const line = { ...entry, at: new Date().toISOString() };
+      fs.appendFileSync(file, JSON.stringify(line) + '\n');
+      applyEntry(state, line);
+    },
+
+    getRepositoryState,
+
+    isRepositoryDone(repository) {
+      return getRepositoryState(repository) === 'completed';
+    },
+
+    getContent,
+
+    isContentDone(repository, contentType) {
+      const content = getContent(repository, contentType);
+      return Boolean(content && content.state === 'completed');
+    },
+
+    isItemDone(repository, contentType, itemId) {
+      const content = getContent(repository, contentType);
+      return Boolean(
+        content && DONE_ITEM_STATES.includes(content.items[itemId])
+      );
+    },
+  };
+}
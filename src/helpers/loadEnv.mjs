@@ -1,4 +1,5 @@
-import {config} from 'dotenv';
+import {existsSync, readFileSync} from 'fs';
+import {config, parse} from 'dotenv';
 import {resolve} from 'path';
 import {fileURLToPath} from 'url';
 
@@ -6,9 +7,10 @@ import {fileURLToPath} from 'url';
  * Load environment variables from a .env file
  * @param {string[]} requiredVars - Array of required environment variable names
  * @param {string} envPath - Path to .env file (defaults to .env in project root)
+ * @param {number} exitCode - Exit code when the file or a variable is missing
  * @returns {Object} Object containing loaded environment variables
  */
-export function loadEnv(requiredVars = [], envPath = '.env') {
+export function loadEnv(requiredVars = [], envPath = '.env', exitCode = 1) {
   try {
     // Get the directory of the current module
     const __filename = fileURLToPath(import.meta.url);
@@ -38,7 +40,7 @@ export function loadEnv(requiredVars = [], envPath = '.env') {
       console.error(
         `\nPlease check your ${envPath} file and ensure all required variables are set.`,
       );
-      process.exit(1);
+      process.exit(exitCode);
     }
 
     console.log('✅ Environment variables loaded successfully');
@@ -59,10 +61,39 @@ export function loadEnv(requiredVars = [], envPath = '.env') {
     } else {
       console.error('❌ Error loading environment variables:', error.message);
     }
-    process.exit(1);
+    process.exit(exitCode);
   }
 }
 
+/**
+ * Load selected variables from a .env file, if there is one. Unlike loadEnv,
+ * a missing .env file is not an error and the other variables of the file are
+ * ignored. Variables already set in the environment win.
+ * @param {string[]} varNames - Names of the variables to load
+ * @param {string} envPath - Path to .env file (defaults to .env in project root)
+ * @returns {Object} Object containing the variables that are set
+ */
+export function loadOptionalEnv(varNames, envPath = '.env') {
+  const __filename = fileURLToPath(import.meta.url);
+  const fullEnvPath = resolve(__filename, '..', '..', '..', envPath);
+
+  if (existsSync(fullEnvPath)) {
+    const parsed = parse(readFileSync(fullEnvPath));
+    varNames.forEach(varName => {
+      if (parsed[varName] !== undefined && process.env[varName] === undefined) {
+        process.env[varName] = parsed[varName];
+      }
+    });
+  }
+
+  const envVars = {};
+  varNames.filter(hasEnvVar).forEach(varName => {
+    envVars[varName] = process.env[varName];
+  });
+
+  return envVars;
+}
+
 /**
  * Load environment variables with validation and return them as an object
  * @param {string[]} requiredVars - Array of required environment variable names
@@ -0,0 +1,167 @@
+/**
+ * Username rule types. Each takes the rule settings and returns a function
+ * that transforms a login; rules that do not apply return the login as-is.
+ */
+const RULE_TYPES = {
+  // Append a suffix, e.g. the `_shortcode` of Enterprise Managed Users
+  suffix: ({ value }) => {
+    requireSetting('suffix', 'value', value);
+    return login =>
+      login.toLowerCase().endsWith(value.toLowerCase()) ? login : login + value;
+  },
+  prefix: ({ value }) => {
+    requireSetting('prefix', 'value', value);
+    return login =>
+      login.toLowerCase().startsWith(value.toLowerCase())
+        ? login
+        : value + login;
+  },
+  // Replace with capture groups ($1, $<name>); logins that do not match are
+  // left alone
+  regex: ({ pattern, replace, flags = '' }) => {
+    requireSetting('regex', 'pattern', pattern);
+    requireSetting('regex', 'replace', replace);
+    let regex;
+    try {
+      regex = new RegExp(pattern, flags.replace('g', ''));
+    } catch (error) {
+      throw new Error(`Invalid regex rule pattern: ${error.message}`);
+    }
+    return login => (regex.test(login) ? login.replace(regex, replace) : login);
+  },
+  lowercase: () => login => login.toLowerCase(),
+};
+
+/**
+ * Throw when a rule setting is missing
+ * @param {string} type - Rule type
+ * @param {string} name - Setting name
+ * @param {*} value - Setting value
+ */
+function requireSetting(type, name, value) {
+  if (typeof value !== 'string') {
+    throw new Error(`The ${type} rule needs a "${name}" string`);
+  }
+}
+
+/**
+ * Build a matcher for allow and deny lists. Entries are logins, compared
+ * case-insensitively, and may use `*` as a wildcard (e.g. `svc-*`).
+ * @param {Array<string>} patterns - List entries
+ * @returns {Function|null} login => boolean, or null for an empty list
+ */
+function createLoginMatcher(patterns = []) {
+  if (patterns.length === 0) return null;
+
+  const regexes = patterns.map(
+    pattern =>
+      new RegExp(
+        `^${pattern
+          .split('*')
+          .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+          .join('.*')}$`,
+        'i'
+      )
+  );
+  return login => regexes.some(regex => regex.test(login));
+}
+
+/**
+ * Compile the `username_rules` settings of username-mapping.json
+ * @param {Object} config - Rule settings ({ rules, allow, deny })
+ * @returns {Object|null} Compiled rules ({ config, transforms, allow, deny }),
+ *   or null when no rules are configured
+ */
+export function compileUsernameRules(config) {
+  if (!config || !config.rules || config.rules.length === 0) return null;
+
+  const transforms = config.rules.map((rule, index) => {
+    const createTransform = RULE_TYPES[rule.type];
+    if (!createTransform) {
+      throw new Error(
+        `Unknown username rule type "${rule.type}" in rule ${index + 1} (available: ${Object.keys(RULE_TYPES).join(', ')})`
+      );
+    }
+    return createTransform(rule);
+  });
+
+  return {
+    config,
+    transforms,
+    allow: createLoginMatcher(config.allow),
+    deny: createLoginMatcher(config.deny),
+  };
+}
+
+/**
+ * Apply username rules to a login. The rules run in order, each on the
+ * result of the previous one. The result is only used when the login passes
+ * the allow and deny lists.
+ * @param {Object|null} usernameRules - Rules from compileUsernameRules
+ * @param {string} login - Old login
+ * @returns {string|null} New login, or null when no rule changes the login
+ */
+export function applyUsernameRules(usernameRules, login) {
+  if (!usernameRules) return null;
+
+  const { transforms, allow, deny } = usernameRules;
+  if (deny && deny(login)) return null;
+  if (allow && !allow(login)) return null;
+
+  const newLogin = transforms.reduce(
+    (current, transform) => transform(current),
+    login
+  );
+  return newLogin === login ? null : newLogin;
+}
+
+/**
+ * Resolvers by username mapping object and rules. Mappings are not changed
+ * once loaded, so the resolver of a mapping is built once.
+ */
+const resolverCache = new WeakMap();
+
+/**
+ * Create a function resolving old logins to new logins. Explicit mapping
+ * entries win; other logins go through the username rules. Logins that are
+ * the target of an explicit entry are never rewritten by rules, so already
+ * migrated mentions are left alone.
+ * @param {Object} usernameMapping - Username mapping object (old -> new)
+ * @param {Object|null} usernameRules - Rules from compileUsernameRules
+ * @returns {Function} login => new login, or null when the login is unmapped
+ */
+export function createUsernameResolver(usernameMapping = {}, usernameRules) {
+  if (!resolverCache.has(usernameMapping)) {
+    resolverCache.set(usernameMapping, new Map());
+  }
+  const resolvers = resolverCache.get(usernameMapping);
+  if (!resolvers.has(usernameRules)) {
+    resolvers.set(
+      usernameRules,
+      buildUsernameResolver(usernameMapping, usernameRules)
+    );
+  }
+  return resolvers.get(usernameRules);
+}
+
+/**
+ * Build the resolver of a username mapping (see createUsernameResolver)
+ * @param {Object} usernameMapping - Username mapping object (old -> new)
+ * @param {Object|null} usernameRules - Rules from compileUsernameRules
+ * @returns {Function} login => new login, or null when the login is unmapped
+ */
+function buildUsernameResolver(usernameMapping, usernameRules) {
+  const lookup = new Map();
+  const targets = new Set();
+  for (const [oldUsername, newUsername] of Object.entries(usernameMapping)) {
+    lookup.set(oldUsername.toLowerCase(), newUsername);
+    targets.add(newUsername.toLowerCase());
+  }
+
+  return login => {
+    const key = login.toLowerCase();
+    if (lookup.has(key)) return lookup.get(key);
+    if (targets.has(key)) return null;
+    return applyUsernameRules(usernameRules, login);
+  };
+}
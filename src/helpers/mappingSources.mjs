@@ -0,0 +1,264 @@
+import fs from 'fs';
+
+/**
+ * Column presets for known mapping exports. Settings given in the source
+ * entry override the preset.
+ *
+ * - gei-mannequins: the mannequin CSV of `gh gei generate-mannequin-csv`
+ *   (`mannequin-user,mannequin-id,target-user`)
+ * - emu-users: a list of Enterprise Managed User logins; the old login is
+ *   the EMU login without its `_shortcode` suffix
+ */
+export const MAPPING_FORMATS = {
+  'gei-mannequins': {
+    type: 'csv',
+    source_column: 'mannequin-user',
+    target_column: 'target-user',
+  },
+  'emu-users': {
+    type: 'csv',
+    target_column: 'login',
+  },
+};
+
+/**
+ * Parse delimited text (CSV or TSV). Fields may be quoted with double
+ * quotes, with `""` for a literal quote.
+ * @param {string} text - File contents
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Rows of fields, without empty lines
+ */
+export function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read mapping entries from a CSV or TSV file with a header row
+ * @param {Object} source - Mapping source settings
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Entries ([old login, new login])
+ */
+function loadDelimitedMapping(source, delimiter) {
+  const { path, source_column, target_column, shortcode } = source;
+  const [header, ...rows] = parseDelimited(
+    fs.readFileSync(path, 'utf8'),
+    delimiter
+  );
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  const findColumn = name => {
+    const index = columns.indexOf(String(name).toLowerCase());
+    if (index === -1) {
+      throw new Error(
+        `${path} has no "${name}" column (columns: ${header.join(', ')})`
+      );
+    }
+    return index;
+  };
+
+  if (!target_column) throw new Error(`${path}: target_column is not set`);
+  if (!source_column && !shortcode) {
+    throw new Error(`${path}: set source_column or shortcode`);
+  }
+  const targetIndex = findColumn(target_column);
+  const sourceIndex = source_column ? findColumn(source_column) : null;
+  const suffix = shortcode ? `_${shortcode}` : null;
+
+  const entries = [];
+  let skipped = 0;
+  for (const fields of rows) {
+    const target = (fields[targetIndex] || '').trim();
+    let login =
+      sourceIndex === null ? null : (fields[sourceIndex] || '').trim();
+
+    // EMU lists: the old login is the new login without the shortcode
+    if (login === null) {
+      if (!target.toLowerCase().endsWith(suffix.toLowerCase())) {
+        skipped++;
+        continue;
+      }
+      login = target.slice(0, -suffix.length);
+    }
+    if (login && target) entries.push([login, target]);
+  }
+  if (skipped > 0) {
+    console.warn(
+      `⚠️  ${path}: skipped ${skipped} row(s) without the ${suffix} suffix`
+    );
+  }
+  return entries;
+}
+
+/**
+ * Check that every entry of a JSON mapping maps a login to a login
+ * @param {Array<Array>} entries - Entries ([old login, new login])
+ * @param {string} [origin] - Where the entries come from, for errors
+ * @returns {Array<Array<string>>} The entries
+ */
+function checkMappingEntries(entries, origin) {
+  for (const [login, target] of entries) {
+    if (typeof target !== 'string' || target.trim() === '') {
+      throw new Error(
+        `${origin ? `${origin}: ` : ''}"${login}" must map to a login, got ${JSON.stringify(target)}`
+      );
+    }
+  }
+  return entries;
+}
+
+/**
+ * Mapping loaders by source type. Each loader reads a source entry and
+ * returns its [old login, new login] entries.
+ */
+export const MAPPING_LOADERS = {
+  json: source => {
+    const data = JSON.parse(fs.readFileSync(source.path, 'utf8'));
+    const mapping = source.key ? data[source.key] : data;
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new Error(
+        `${source.path}: expected an object of old -> new logins${source.key ? ` under "${source.key}"` : ''}`
+      );
+    }
+    return checkMappingEntries(Object.entries(mapping));
+  },
+  csv: source => loadDelimitedMapping(source, ','),
+  tsv: source => loadDelimitedMapping(source, '\t'),
+};
+
+/**
+ * Resolve the settings of a mapping source from its format preset and the
+ * file extension
+ * @param {Object} source - Mapping source entry from username-mapping.json
+ * @returns {Object} Source settings with a type
+ */
+export function resolveMappingSource(source) {
+  if (source.format && !MAPPING_FORMATS[source.format]) {
+    throw new Error(
+      `Unknown mapping format "${source.format}" (available: ${Object.keys(MAPPING_FORMATS).join(', ')})`
+    );
+  }
+  if (!source.path) throw new Error('Mapping source without a path');
+
+  const resolved = { ...MAPPING_FORMATS[source.format], ...source };
+  if (!resolved.type) {
+    const extension = source.path.split('.').pop().toLowerCase();
+    resolved.type = extension;
+  }
+  if (!MAPPING_LOADERS[resolved.type]) {
+    throw new Error(
+      `Unknown mapping source type "${resolved.type}" for ${source.path} (available: ${Object.keys(MAPPING_LOADERS).join(', ')})`
+    );
+  }
+  return resolved;
+}
+
+/**
+ * Merge username mappings from several sources. Sources are applied in
+ * order, so later sources win; a login mapped to different targets is
+ * reported as a conflict. Old logins are compared case-insensitively.
+ * @param {Array} sources - Named entries ({ name, entries })
+ * @returns {Object} { mapping, conflicts } where each conflict lists the
+ *   targets per source ({ login, used, targets: [{ source, target }] })
+ */
+export function mergeMappingSources(sources) {
+  const merged = new Map();
+
+  for (const { name, entries } of sources) {
+    for (const [login, target] of entries) {
+      const key = login.toLowerCase();
+      const entry = merged.get(key) || { login, targets: [] };
+      entry.targets.push({ source: name, target });
+      merged.set(key, entry);
+    }
+  }
+
+  const mapping = {};
+  const conflicts = [];
+  for (const { login, targets } of merged.values()) {
+    const used = targets[targets.length - 1].target;
+    mapping[login] = used;
+
+    const distinct = new Set(targets.map(({ target }) => target.toLowerCase()));
+    if (distinct.size > 1) conflicts.push({ login, used, targets });
+  }
+
+  return { mapping, conflicts };
+}
+
+/**
+ * Load the username mapping from the configured sources and the explicit
+ * `username_mapping` entries, which are applied last
+ * @param {Object} configData - Contents of username-mapping.json
+ * @returns {Object} { mapping, sources, conflicts } with the effective
+ *   mapping and the number of entries per source
+ */
+export function loadUsernameMappingSources(configData) {
+  const sources = (configData.mapping_sources || []).map(entry => {
+    const source = resolveMappingSource(entry);
+    try {
+      return {
+        name: source.name || source.path,
+        type: source.type,
+        path: source.path,
+        entries: MAPPING_LOADERS[source.type](source),
+      };
+    } catch (error) {
+      throw new Error(
+        `Could not load mapping source ${source.path}: ${error.message}`
+      );
+    }
+  });
+  sources.push({
+    name: 'username_mapping',
+    entries: checkMappingEntries(
+      Object.entries(configData.username_mapping || {}),
+      'username_mapping'
+    ),
+  });
+
+  const { mapping, conflicts } = mergeMappingSources(sources);
+  return {
+    mapping,
+    sources: sources.map(({ entries, ...source }) => ({
+      ...source,
+      entries: entries.length,
+    })),
+    conflicts,
+  };
+}
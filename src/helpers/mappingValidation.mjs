@@ -0,0 +1,242 @@
+import { getOwnerMapping } from './common.mjs';
+import { mapWithConcurrency } from './concurrency.mjs';
+import { LOGIN } from './markdown.mjs';
+
+/**
+ * Old logins must be matchable as @mentions, or their entry never applies
+ */
+const OLD_LOGIN_PATTERN = new RegExp(`^${LOGIN}$`);
+
+/**
+ * GHEC login: up to 39 alphanumerics and single hyphens, no leading or
+ * trailing hyphen, optionally followed by an Enterprise Managed User
+ * `_shortcode`
+ */
+const NEW_LOGIN_PATTERN =
+  /^(?=[A-Za-z0-9-]{1,39}(?:_|$))[A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9]))*(?:_[A-Za-z0-9]+)?$/;
+
+/**
+ * Issue types and whether they block a run
+ */
+export const MAPPING_ISSUE_SEVERITY = {
+  invalid_login: 'error',
+  cycle: 'error',
+  chain: 'error',
+  duplicate_target: 'warning',
+};
+
+/**
+ * Check whether a login is a valid GHEC login
+ * @param {string} login - Login
+ * @returns {boolean} True for valid logins
+ */
+export function isValidTargetLogin(login) {
+  return NEW_LOGIN_PATTERN.test(login);
+}
+
+/**
+ * Check a username mapping for invalid logins, chains (a -> b, b -> c),
+ * cycles (a -> b, b -> a) and several old logins mapped to the same target
+ * @param {Object} usernameMapping - Username mapping object (old -> new)
+ * @returns {Array} Issues ({ type, severity, logins, message })
+ */
+export function validateUsernameMapping(usernameMapping = {}) {
+  const issues = [];
+  const addIssue = (type, logins, message) =>
+    issues.push({
+      type,
+      severity: MAPPING_ISSUE_SEVERITY[type],
+      logins,
+      message,
+    });
+
+  const lookup = new Map();
+  const byTarget = new Map();
+  for (const [oldLogin, newLogin] of Object.entries(usernameMapping)) {
+    if (!OLD_LOGIN_PATTERN.test(oldLogin)) {
+      addIssue(
+        'invalid_login',
+        [oldLogin],
+        `"${oldLogin}" is not a valid login, so it never matches a mention`
+      );
+    }
+    if (typeof newLogin !== 'string' || !isValidTargetLogin(newLogin)) {
+      addIssue(
+        'invalid_login',
+        [oldLogin, newLogin],
+        `@${oldLogin} is mapped to "${newLogin}", which is not a valid GHEC login`
+      );
+      continue;
+    }
+
+    // Entries that only change the case of a login are no-ops
+    if (oldLogin.toLowerCase() === newLogin.toLowerCase()) continue;
+
+    lookup.set(oldLogin.toLowerCase(), { oldLogin, newLogin });
+    const sources = byTarget.get(newLogin.toLowerCase()) || [];
+    sources.push(oldLogin);
+    byTarget.set(newLogin.toLowerCase(), sources);
+  }
+
+  // Follow every entry; a path that comes back to a login is a cycle
+  const reported = new Set();
+  for (const [key, { oldLogin, newLogin }] of lookup) {
+    const next = lookup.get(newLogin.toLowerCase());
+    if (!next) continue;
+
+    const path = [oldLogin];
+    let current = next;
+    while (
+      current &&
+      !path.some(
+        login => login.toLowerCase() === current.oldLogin.toLowerCase()
+      )
+    ) {
+      path.push(current.oldLogin);
+      current = lookup.get(current.newLogin.toLowerCase());
+    }
+
+    if (current && current.oldLogin.toLowerCase() === key) {
+      const cycleKey = path
+        .map(login => login.toLowerCase())
+        .sort()
+        .join(' ');
+      if (reported.has(cycleKey)) continue;
+      reported.add(cycleKey);
+      addIssue(
+        'cycle',
+        path,
+        `Cycle: ${[...path, oldLogin].map(login => `@${login}`).join(' -> ')}`
+      );
+    } else {
+      addIssue(
+        'chain',
+        [oldLogin, newLogin, next.newLogin],
+        `Chain: @${oldLogin} -> @${newLogin} -> @${next.newLogin}; mentions of @${oldLogin} become @${newLogin}, not @${next.newLogin}`
+      );
+    }
+  }
+
+  for (const sources of byTarget.values()) {
+    if (sources.length < 2) continue;
+    const target = usernameMapping[sources[0]];
+    addIssue(
+      'duplicate_target',
+      sources,
+      `${sources.map(login => `@${login}`).join(', ')} are all mapped to @${target}`
+    );
+  }
+
+  return issues;
+}
+
+/**
+ * Validate the global username mapping and the mapping of every owner in
+ * `owner_mappings`
+ * @param {Object} mapping - Mapping config from loadMappingConfig
+ * @returns {Array} Issues ({ scope, type, severity, logins, message }) where
+ *   scope is 'global' or the owner
+ */
+export function validateMappingConfig(mapping) {
+  const issues = validateUsernameMapping(mapping.usernameMapping).map(
+    issue => ({ scope: 'global', ...issue })
+  );
+  const globalMessages = new Set(issues.map(({ message }) => message));
+
+  for (const owner of Object.keys(mapping.ownerMappings || {})) {
+    const { usernameMapping } = getOwnerMapping(mapping, owner);
+    for (const issue of validateUsernameMapping(usernameMapping)) {
+      // Issues of the global entries are only reported once
+      if (!globalMessages.has(issue.message)) {
+        issues.push({ scope: owner, ...issue });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Print mapping issues
+ * @param {Array} issues - Issues from validateMappingConfig
+ */
+export function printMappingIssues(issues) {
+  for (const { scope, severity, message } of issues) {
+    const icon = severity === 'error' ? '❌' : '⚠️ ';
+    const prefix = scope && scope !== 'global' ? `[${scope}] ` : '';
+    console.log(`   ${icon} ${prefix}${message}`);
+  }
+}
+
+/**
+ * Check the mapping before a run. Errors stop the run; warnings are only
+ * printed.
+ * @param {Object} mapping - Mapping config from loadMappingConfig
+ * @returns {boolean} True when the mapping has no errors
+ */
+export function checkMappingBeforeRun(mapping) {
+  const issues = validateMappingConfig(mapping);
+  if (issues.length === 0) return true;
+
+  const errors = issues.filter(({ severity }) => severity === 'error');
+  console.log(
+    `🔍 Username mapping check: ${errors.length} error(s), ${issues.length - errors.length} warning(s)`
+  );
+  printMappingIssues(issues);
+  if (errors.length > 0) {
+    console.log(
+      '   Fix username-mapping.json (see npm run validate-mapping), or pass --skip-mapping-check'
+    );
+  }
+  console.log('');
+  return errors.length === 0;
+}
+
+/**
+ * Check that target accounts exist on GHEC, are users and, when
+ * organizations are given, belong to at least one of them
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Array<string>} logins - Target logins
+ * @param {Object} options - Check options
+ * @param {Array<string>} options.orgs - Organizations of the enterprise
+ * @param {number} options.concurrency - Logins checked at once
+ * @returns {Promise<Array>} Results ({ login, status, orgs }) where status
+ *   is 'ok', 'not_found', 'not_user', 'not_member' or 'error'
+ */
+export function checkTargetAccounts(octokit, logins, options = {}) {
+  const { orgs = [], concurrency = 4 } = options;
+
+  return mapWithConcurrency(logins, concurrency, async login => {
+    try {
+      const { data: user } = await octokit.rest.users.getByUsername({
+        username: login,
+      });
+      if (user.type !== 'User') {
+        return { login, status: 'not_user', type: user.type };
+      }
+      if (orgs.length === 0) return { login, status: 'ok' };
+
+      const memberOf = [];
+      for (const org of orgs) {
+        try {
+          await octokit.rest.orgs.checkMembershipForUser({
+            org,
+            username: login,
+          });
+          memberOf.push(org);
+          break;
+        } catch (error) {
+          if (error.status !== 404) throw error;
+        }
+      }
+      return {
+        login,
+        status: memberOf.length > 0 ? 'ok' : 'not_member',
+        orgs: memberOf,
+      };
+    } catch (error) {
+      if (error.status === 404) return { login, status: 'not_found' };
+      return { login, status: 'error', error: error.message };
+    }
+  });
+}
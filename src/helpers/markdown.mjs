@@ -0,0 +1,438 @@
+import { createUsernameResolver } from './mappingRules.mjs';
+
+/**
+ * Opening line of a fenced code block (``` or ~~~, up to 3 spaces indent)
+ */
+const FENCE_OPEN_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+/**
+ * Line of an indented code block (4 spaces or a tab)
+ */
+const INDENTED_CODE_PATTERN = /^(?: {4}| {0,3}\t)/;
+
+/**
+ * Blank line, which ends a paragraph
+ */
+const BLANK_LINE_PATTERN = /^[ \t]*\r?\n?$/;
+
+/**
+ * List item (- item, * item, + item, 1. item or 1) item). Indented lines in
+ * a list continue the item instead of starting a code block.
+ */
+const LIST_ITEM_PATTERN = /^ {0,3}(?:[-*+]|\d{1,9}[.)])(?:[ \t]|\r?\n?$)/;
+
+/**
+ * ATX heading, which never continues into the next line
+ */
+const HEADING_PATTERN = /^ {0,3}#{1,6}(?:[ \t]|\r?\n?$)/;
+
+/**
+ * Inline constructs that must not be treated as prose:
+ * code spans (which never span a blank line), autolinks (<https://...>) and
+ * bare URLs
+ */
+const INLINE_PATTERN =
+  /(?<!`)(`+)(?!`)(?:[^\n]|\n(?![ \t]*\r?\n))*?[^`]\1(?!`)|<(?:https?|mailto):[^<>\s]*>|\b(?:https?:\/\/|www\.)[^\s<>()[\]]*[^\s<>()[\].,;:!?'"]/g;
+
+/**
+ * GitHub login: alphanumerics and single hyphens, no leading or trailing
+ * hyphen. Underscores are allowed for Enterprise Managed User shortcodes, but
+ * not at the end, so `_@login_` (emphasis) still matches the login.
+ */
+export const LOGIN = '[A-Za-z0-9](?:[A-Za-z0-9]|[-_](?=[A-Za-z0-9]))*';
+
+/**
+ * @mention in prose. It must not follow a letter, digit or one of the
+ * characters that make it part of an email, path or another mention, and must
+ * not be followed by `/` (team mention, npm scope) or `.word` (domain).
+ * Emphasis markers (`_@login_`, `*@login*`) are valid boundaries.
+ */
+const MENTION_PATTERN = new RegExp(
+  `(?<![A-Za-z0-9.@/\\\\\`-])@(${LOGIN})(?![A-Za-z0-9/-]|_[A-Za-z0-9]|\\.[A-Za-z0-9])`,
+  'g'
+);
+
+/**
+ * Repository name: alphanumerics, `.`, `_` and `-`
+ */
+const REPO_NAME = '[A-Za-z0-9._-]+';
+
+/**
+ * Team mention (@org/team). Like a mention, it must not be part of an email
+ * or path.
+ */
+const TEAM_MENTION_PATTERN = new RegExp(
+  `(?<![A-Za-z0-9_.@/\\\\\`-])@(${LOGIN})/([A-Za-z0-9_-]+)(?![A-Za-z0-9_/-])`,
+  'g'
+);
+
+/**
+ * Cross-repository reference: owner/repo#123 or owner/repo@sha
+ */
+const CROSS_REFERENCE_PATTERN = new RegExp(
+  `(?<![A-Za-z0-9_.@/\\\\\`-])(${LOGIN})/(${REPO_NAME})(?=(?:#\\d+|@[0-9a-fA-F]{7,40})\\b)`,
+  'g'
+);
+
+/**
+ * Split inline Markdown into prose, code span and URL tokens
+ * @param {string} text - Markdown text without fenced code blocks
+ * @param {Array} tokens - Token list to append to
+ */
+function tokenizeInline(text, tokens) {
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    tokens.push({ type: match[1] ? 'code' : 'url', value: match[0] });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    tokens.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+}
+
+/**
+ * Split a Markdown document into tokens. Fenced and indented code blocks
+ * are code; an indented line only starts a code block where it cannot
+ * continue a paragraph or list item.
+ * Joining the `value` of every token gives back the original document.
+ * @param {string} body - Markdown text
+ * @returns {Array<Object>} Tokens ({ type: 'text'|'code'|'url', value })
+ */
+export function tokenizeMarkdown(body) {
+  const tokens = [];
+  const lines = body.split(/(?<=\n)/);
+
+  let text = '';
+  let fence = null;
+  let indented = null;
+  let inParagraph = false;
+  let inList = false;
+
+  for (const line of lines) {
+    if (fence) {
+      fence.value += line;
+      const closing = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+      if (
+        closing &&
+        closing[1][0] === fence.marker[0] &&
+        closing[1].length >= fence.marker.length
+      ) {
+        tokens.push({ type: 'code', value: fence.value });
+        fence = null;
+      }
+      continue;
+    }
+
+    const blank = BLANK_LINE_PATTERN.test(line);
+    if (indented !== null) {
+      if (blank || INDENTED_CODE_PATTERN.test(line)) {
+        indented += line;
+        continue;
+      }
+      tokens.push({ type: 'code', value: indented });
+      indented = null;
+    }
+
+    if (!blank && !inParagraph && !inList && INDENTED_CODE_PATTERN.test(line)) {
+      tokenizeInline(text, tokens);
+      text = '';
+      indented = line;
+      continue;
+    }
+
+    const opening = line.match(FENCE_OPEN_PATTERN);
+    if (opening) {
+      tokenizeInline(text, tokens);
+      text = '';
+      fence = { marker: opening[1], value: line };
+      inParagraph = false;
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(line)) {
+      inList = true;
+    } else if (!blank && !/^[ \t]/.test(line)) {
+      inList = false;
+    }
+    inParagraph = !blank && !HEADING_PATTERN.test(line);
+    text += line;
+  }
+
+  // An unclosed fence runs until the end of the document
+  if (fence) {
+    tokens.push({ type: 'code', value: fence.value });
+  }
+  if (indented !== null) {
+    tokens.push({ type: 'code', value: indented });
+  }
+  tokenizeInline(text, tokens);
+
+  return tokens;
+}
+
+/**
+ * Build a case-insensitive lookup table from a username mapping
+ * @param {Object} usernameMapping - Username mapping object
+ * @returns {Map<string, string>} Lowercased old username to new username
+ */
+function buildLookup(usernameMapping) {
+  return new Map(
+    Object.entries(usernameMapping).map(([oldUsername, newUsername]) => [
+      oldUsername.toLowerCase(),
+      newUsername,
+    ])
+  );
+}
+
+/**
+ * Create a resolver that maps an owner/repo pair to its new full name.
+ * Explicit repository mappings win over organization mappings, which win over
+ * username mappings (for user-owned repositories).
+ * @param {Object} mapping - Mapping config ({ usernameMapping, orgMapping, repoMapping })
+ * @returns {Function} (owner, repo) => new full name, or null when unmapped
+ */
+function createRepositoryResolver(mapping) {
+  const { usernameMapping = {}, orgMapping = {}, repoMapping = {} } = mapping;
+  const repos = buildLookup(repoMapping);
+  const owners = new Map([
+    ...buildLookup(usernameMapping),
+    ...buildLookup(orgMapping),
+  ]);
+
+  return (owner, repo) => {
+    const mappedRepo = repos.get(`${owner}/${repo}`.toLowerCase());
+    if (mappedRepo) return mappedRepo;
+
+    const mappedOwner = owners.get(owner.toLowerCase());
+    return mappedOwner ? `${mappedOwner}/${repo}` : null;
+  };
+}
+
+/**
+ * Replace @mentions in prose, leaving code blocks, code spans and URLs as-is.
+ * Each mention is matched as a whole login and replaced at most once, so a
+ * mapping never rewrites its own output. Logins without an explicit entry are
+ * mapped by the username rules, if any.
+ * @param {string} body - Markdown text
+ * @param {Object} usernameMapping - Username mapping object (old -> new)
+ * @param {Object|null} usernameRules - Rules from compileUsernameRules
+ * @returns {string} Markdown text with mentions replaced
+ */
+export function rewriteMentions(body, usernameMapping, usernameRules = null) {
+  if (!body) return body;
+  if (Object.keys(usernameMapping).length === 0 && !usernameRules) {
+    return body;
+  }
+
+  const resolve = createUsernameResolver(usernameMapping, usernameRules);
+
+  return tokenizeMarkdown(body)
+    .map(token => {
+      if (token.type !== 'text') return token.value;
+      return token.value.replace(MENTION_PATTERN, (mention, login) => {
+        const newUsername = resolve(login);
+        return newUsername ? `@${newUsername}` : mention;
+      });
+    })
+    .join('');
+}
+
+/**
+ * List the @mentions in prose, skipping code blocks, code spans and URLs,
+ * like rewriteMentions
+ * @param {string} body - Markdown text
+ * @returns {Array<string>} Mentioned logins in order of appearance
+ */
+export function extractMentions(body) {
+  if (!body) return [];
+
+  return tokenizeMarkdown(body)
+    .filter(token => token.type === 'text')
+    .flatMap(token =>
+      [...token.value.matchAll(MENTION_PATTERN)].map(([, login]) => login)
+    );
+}
+
+/**
+ * First path segments of GHES pages that are not users, organizations or
+ * repositories (API, settings, organization admin pages, ...)
+ */
+const RESERVED_PATHS = new Set([
+  'account',
+  'api',
+  'apps',
+  'dashboard',
+  'enterprises',
+  'explore',
+  'gist',
+  'issues',
+  'login',
+  'logout',
+  'manage',
+  'marketplace',
+  'new',
+  'notifications',
+  'organizations',
+  'orgs',
+  'pulls',
+  'raw',
+  'search',
+  'sessions',
+  'settings',
+  'site',
+  'stafftools',
+  'topics',
+  'users',
+]);
+
+/**
+ * Check whether a GHES URL path starts with a reserved segment, so it must
+ * not go through the username and organization mappings
+ * @param {string} path - URL path after the host (e.g. /api/v3/users)
+ * @returns {boolean} True for reserved paths
+ */
+function isReservedPath(path) {
+  const segment = path.match(/^\/([^/?#>]+)/);
+  return Boolean(segment) && RESERVED_PATHS.has(segment[1].toLowerCase());
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Profile link mappings (organizations and usernames) by username mapping
+ * and organization mapping
+ */
+const profileMappingCache = new WeakMap();
+
+/**
+ * Get the mapping of profile links. Like @mentions, profile links can point
+ * to users or organizations, so the organization mapping is merged under the
+ * username mapping. The result is built once per pair of mappings, so its
+ * resolver is reused.
+ * @param {Object} usernameMapping - Username mapping object (old -> new)
+ * @param {Object} orgMapping - Organization mapping object (old -> new)
+ * @returns {Object} Profile link mapping (old -> new)
+ */
+function getProfileMapping(usernameMapping, orgMapping) {
+  if (!profileMappingCache.has(usernameMapping)) {
+    profileMappingCache.set(usernameMapping, new WeakMap());
+  }
+  const mappings = profileMappingCache.get(usernameMapping);
+  if (!mappings.has(orgMapping)) {
+    mappings.set(orgMapping, { ...orgMapping, ...usernameMapping });
+  }
+  return mappings.get(orgMapping);
+}
+
+/**
+ * Rewrite GHES URLs to the GHEC host.
+ * Profile links (https://ghes.example/old-user) also get the username and
+ * organization mappings applied. Reserved paths (/api, /orgs, /settings, ...) only get the new
+ * host. Links to any other host are left untouched.
+ * @param {string} body - Markdown text
+ * @param {Object} options - Rewrite options
+ * @param {string} options.sourceHost - GHES hostname to replace (e.g. ghes.example.com)
+ * @param {string} options.targetHost - GHEC hostname (github.com or a ghe.com subdomain)
+ * @param {Object} options.usernameMapping - Username mapping object (old -> new)
+ * @param {Object} options.usernameRules - Username rules for profile links
+ * @param {Object} options.orgMapping - Organization mapping object (old -> new)
+ * @param {Object} options.repoMapping - Repository mapping object (old owner/repo -> new owner/repo)
+ * @returns {string} Markdown text with URLs rewritten
+ */
+export function rewriteUrls(body, options = {}) {
+  const {
+    sourceHost,
+    targetHost = 'github.com',
+    usernameMapping = {},
+    usernameRules = null,
+    orgMapping = {},
+  } = options;
+  if (!body || !sourceHost) return body;
+
+  const resolveUsername = createUsernameResolver(
+    getProfileMapping(usernameMapping, orgMapping),
+    usernameRules
+  );
+  const resolveRepository = createRepositoryResolver(options);
+  const hostPattern = new RegExp(
+    `^(<?)https?://${escapeRegExp(sourceHost)}(?=[/?#>]|$)`,
+    'i'
+  );
+  const profilePattern = new RegExp(`^/(${LOGIN})(?=/?(?:[?#>]|$))`);
+  const repositoryPattern = new RegExp(
+    `^/(${LOGIN})/(${REPO_NAME})(?=[/?#>]|$)`
+  );
+
+  return tokenizeMarkdown(body)
+    .map(token => {
+      if (token.type !== 'url') return token.value;
+
+      const host = token.value.match(hostPattern);
+      if (!host) return token.value;
+
+      const path = token.value.slice(host[0].length);
+      if (isReservedPath(path)) {
+        return `${host[1]}https://${targetHost}${path}`;
+      }
+
+      const mappedPath = path
+        .replace(
+          profilePattern,
+          (profile, login) => `/${resolveUsername(login) || login}`
+        )
+        .replace(
+          repositoryPattern,
+          (repository, owner, repo) =>
+            `/${resolveRepository(owner, repo) || `${owner}/${repo}`}`
+        );
+
+      return `${host[1]}https://${targetHost}${mappedPath}`;
+    })
+    .join('');
+}
+
+/**
+ * Rewrite cross-references in prose: owner/repo#123, owner/repo@sha and
+ * @org/team mentions. Team mentions only use the organization mapping, so npm
+ * scopes such as @user/package are left alone.
+ * @param {string} body - Markdown text
+ * @param {Object} mapping - Mapping config
+ * @param {Object} mapping.usernameMapping - Username mapping object (old -> new)
+ * @param {Object} mapping.orgMapping - Organization mapping object (old -> new)
+ * @param {Object} mapping.repoMapping - Repository mapping object (old owner/repo -> new owner/repo)
+ * @returns {string} Markdown text with references rewritten
+ */
+export function rewriteCrossReferences(body, mapping = {}) {
+  if (!body) return body;
+
+  const orgs = buildLookup(mapping.orgMapping || {});
+  const resolveRepository = createRepositoryResolver(mapping);
+
+  return tokenizeMarkdown(body)
+    .map(token => {
+      if (token.type !== 'text') return token.value;
+      return token.value
+        .replace(TEAM_MENTION_PATTERN, (mention, org, team) => {
+          const newOrg = orgs.get(org.toLowerCase());
+          return newOrg ? `@${newOrg}/${team}` : mention;
+        })
+        .replace(
+          CROSS_REFERENCE_PATTERN,
+          (reference, owner, repo) =>
+            resolveRepository(owner, repo) || reference
+        );
+    })
+    .join('');
+}
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import { formatUnifiedDiff } from './diff.mjs';
+
+export const PLAN_VERSION = 1;
+
+/**
+ * Create an empty update plan
+ * @param {string} owner - Repository owner
+ * @param {Object} mapping - Mapping config used to compute the plan
+ * @param {Object} hostMapping - Host mapping used to compute the plan
+ * @returns {Object} Plan object
+ */
+export function createPlan(owner, mapping, hostMapping = {}) {
+  return {
+    plan_version: PLAN_VERSION,
+    created_at: new Date().toISOString(),
+    owner,
+    username_mapping: mapping.usernameMapping,
+    username_rules: mapping.usernameRules ? mapping.usernameRules.config : null,
+    org_mapping: mapping.orgMapping,
+    repo_mapping: mapping.repoMapping,
+    owner_mappings: mapping.ownerMappings || {},
+    host_mapping: hostMapping,
+    total_repositories: 0,
+    total_changes: 0,
+    repositories: [],
+  };
+}
+
+/**
+ * Add the planned changes of one content type of a repository to a plan
+ * @param {Object} plan - Plan object
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} contentType - Content type (releases, issues, ...)
+ * @param {Array} changes - Planned changes ({ id, label, html_url, before, after, ... })
+ */
+export function addRepositoryToPlan(plan, owner, repo, contentType, changes) {
+  if (changes.length === 0) return;
+
+  plan.repositories.push({ owner, repo, content_type: contentType, changes });
+  plan.total_repositories = new Set(
+    plan.repositories.map(entry => `${entry.owner}/${entry.repo}`)
+  ).size;
+  plan.total_changes += changes.length;
+}
+
+/**
+ * Render a plan as a human-readable unified diff
+ * @param {Object} plan - Plan object
+ * @returns {string} Diff text covering every planned change
+ */
+export function formatPlanDiff(plan) {
+  const sections = [
+    `# Update plan (${plan.created_at})`,
+    `# ${plan.total_changes} change(s) in ${plan.total_repositories} repository(ies)`,
+  ];
+
+  for (const { owner, repo, content_type, changes } of plan.repositories) {
+    for (const change of changes) {
+      const label = `${owner}/${repo} ${content_type} ${change.label} (id ${change.id})`;
+      sections.push('');
+      sections.push(
+        formatUnifiedDiff(change.before, change.after, {
+          oldLabel: `${label} before`,
+          newLabel: `${label} after`,
+        })
+      );
+    }
+  }
+
+  return sections.join('\n') + '\n';
+}
+
+/**
+ * Write a plan to disk as JSON plus a readable diff
+ * @param {Object} plan - Plan object
+ * @param {string} planDir - Directory to write the plan files to
+ * @returns {Object} Paths of the written plan files ({ planFile, diffFile })
+ */
+export function writePlan(plan, planDir = './plans') {
+  fs.mkdirSync(planDir, { recursive: true });
+
+  const timestamp = plan.created_at.replace(/[:.]/g, '-');
+  const planFile = `${planDir}/plan-${timestamp}.json`;
+  const diffFile = `${planDir}/plan-${timestamp}.diff`;
+
+  fs.writeFileSync(planFile, JSON.stringify(plan, null, 2));
+  fs.writeFileSync(diffFile, formatPlanDiff(plan));
+
+  return { planFile, diffFile };
+}
+
+/**
+ * Load a plan file written by `writePlan`
+ * @param {string} planFile - Path to the plan JSON file
+ * @returns {Object} Plan object
+ */
+export function loadPlan(planFile) {
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load plan file ${planFile}: ${error.message}`);
+  }
+
+  if (plan.plan_version !== PLAN_VERSION || !Array.isArray(plan.repositories)) {
+    throw new Error(
+      `${planFile} is not a supported plan file (plan_version ${plan.plan_version})`
+    );
+  }
+
+  return plan;
+}
@@ -0,0 +1,246 @@
+import { setTimeout as sleep } from 'timers/promises';
+
+/**
+ * HTTP methods that are safe to repeat after a transient error. PATCH is not
+ * idempotent by definition, but the only PATCH requests these tools make
+ * replace the body of a release, issue, pull request or comment with the
+ * full new text. Sending one twice leaves the same body as sending it once,
+ * and the item was backed up before the first attempt.
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'PATCH'];
+
+/**
+ * GraphQL query document (an optional `query` keyword, not `mutation`),
+ * after any leading comments
+ */
+const GRAPHQL_QUERY_PATTERN = /^\s*(?:#[^\n]*\n\s*)*(?:query\b|\{)/;
+
+/**
+ * Wait used for secondary rate limits without a `retry-after` header
+ */
+const SECONDARY_RATE_LIMIT_WAIT_MS = 60 * 1000;
+
+export const DEFAULT_RATE_LIMIT_OPTIONS = {
+  maxRetries: 3,
+  // Base of the exponential backoff for transient errors
+  retryBaseMs: 1000,
+  // Pause requests when fewer than this many requests remain
+  minRemaining: 10,
+};
+
+/**
+ * Rate limit trackers of every client created in this process
+ */
+const trackers = [];
+
+/**
+ * Read a numeric header
+ * @param {Object} headers - Response headers
+ * @param {string} name - Header name
+ * @returns {number|null} Header value or null when missing
+ */
+function numberHeader(headers, name) {
+  const value = headers && headers[name];
+  return value === undefined || value === null ? null : Number(value);
+}
+
+/**
+ * Record the rate limit headers of a response
+ * @param {Object} tracker - Rate limit tracker
+ * @param {Object} headers - Response headers
+ */
+function recordRateLimit(tracker, headers = {}) {
+  const limit = numberHeader(headers, 'x-ratelimit-limit');
+  if (limit === null) return;
+
+  const resource = headers['x-ratelimit-resource'] || 'core';
+  const entry = tracker.resources[resource] || { requests: 0 };
+  entry.requests++;
+  entry.limit = limit;
+  entry.remaining = numberHeader(headers, 'x-ratelimit-remaining');
+  entry.reset = numberHeader(headers, 'x-ratelimit-reset');
+  tracker.resources[resource] = entry;
+}
+
+/**
+ * Get how long to wait before retrying a rate-limited request
+ * @param {Object} error - Request error
+ * @returns {number|null} Wait in milliseconds, or null if not rate-limited
+ */
+function getRateLimitWait(error) {
+  if (error.status !== 403 && error.status !== 429) return null;
+
+  const headers = (error.response && error.response.headers) || {};
+  const retryAfter = numberHeader(headers, 'retry-after');
+  if (retryAfter !== null) return retryAfter * 1000;
+
+  if (numberHeader(headers, 'x-ratelimit-remaining') === 0) {
+    const reset = numberHeader(headers, 'x-ratelimit-reset');
+    return Math.max(reset * 1000 - Date.now(), 0) + 1000;
+  }
+
+  if (/secondary rate limit/i.test(error.message)) {
+    return SECONDARY_RATE_LIMIT_WAIT_MS;
+  }
+  return null;
+}
+
+/**
+ * Check whether an error is transient (server error or network failure)
+ * @param {Object} error - Request error
+ * @returns {boolean} True if the request may succeed when repeated
+ */
+function isTransientError(error) {
+  return !error.status || error.status >= 500;
+}
+
+/**
+ * Check whether a failed request may be repeated. GraphQL reads are POST
+ * requests, so they are recognized by their query document; mutations are
+ * never repeated.
+ * @param {string} method - HTTP method
+ * @param {Object} requestOptions - Request options ({ url, query })
+ * @returns {boolean} True if the request is safe to repeat
+ */
+function isRepeatableRequest(method, requestOptions) {
+  if (IDEMPOTENT_METHODS.includes(method)) return true;
+
+  const { url = '', query } = requestOptions;
+  return (
+    method === 'POST' &&
+    /\/graphql$/.test(url) &&
+    typeof query === 'string' &&
+    GRAPHQL_QUERY_PATTERN.test(query)
+  );
+}
+
+/**
+ * Wait until the primary rate limit resets when the budget is almost used up
+ * @param {Object} tracker - Rate limit tracker
+ * @param {number} minRemaining - Remaining requests that trigger the pause
+ */
+async function waitForBudget(tracker, minRemaining) {
+  const now = Date.now();
+  const waits = Object.values(tracker.resources)
+    .filter(entry => entry.remaining !== null && entry.remaining < minRemaining)
+    .map(entry => entry.reset * 1000 - now)
+    .filter(wait => wait > 0);
+
+  const pausedFor = tracker.pausedUntil - now;
+  const wait = Math.max(pausedFor, ...waits, 0);
+  if (wait > 0) {
+    console.log(
+      `  ⏳ Rate limit almost used up, waiting ${Math.ceil(wait / 1000)}s...`
+    );
+    await sleep(wait);
+  }
+}
+
+/**
+ * Make an Octokit client rate-limit aware. Every request reads the
+ * `x-ratelimit-*` headers, pauses when the budget is almost used up, waits
+ * for `retry-after` on rate-limited requests and retries idempotent requests
+ * and GraphQL queries that failed with a transient error, using exponential
+ * backoff with jitter.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Object} options - Retry options (see DEFAULT_RATE_LIMIT_OPTIONS)
+ * @returns {Object} Rate limit tracker ({ requests, retries, resources })
+ */
+export function enableRateLimitHandling(octokit, options = {}) {
+  const { maxRetries, retryBaseMs, minRemaining } = {
+    ...DEFAULT_RATE_LIMIT_OPTIONS,
+    ...options,
+  };
+  const tracker = { requests: 0, retries: 0, pausedUntil: 0, resources: {} };
+  trackers.push(tracker);
+
+  octokit.hook.wrap('request', async (request, requestOptions) => {
+    const method = (requestOptions.method || 'GET').toUpperCase();
+
+    for (let attempt = 0; ; attempt++) {
+      await waitForBudget(tracker, minRemaining);
+      tracker.requests++;
+
+      try {
+        const response = await request(requestOptions);
+        recordRateLimit(tracker, response.headers);
+        return response;
+      } catch (error) {
+        if (error.response) recordRateLimit(tracker, error.response.headers);
+        if (attempt >= maxRetries) throw error;
+
+        // Rate-limited requests were rejected without being processed, so
+        // they can be repeated whatever their method
+        let wait = getRateLimitWait(error);
+        if (wait !== null) {
+          tracker.pausedUntil = Math.max(
+            tracker.pausedUntil,
+            Date.now() + wait
+          );
+        } else if (
+          isTransientError(error) &&
+          isRepeatableRequest(method, requestOptions)
+        ) {
+          wait = Math.random() * retryBaseMs * 2 ** attempt;
+        } else {
+          throw error;
+        }
+
+        tracker.retries++;
+        console.log(
+          `  🔁 ${method} ${requestOptions.url} failed (${error.status || error.message}), retrying in ${Math.ceil(wait / 1000)}s (${attempt + 1}/${maxRetries})...`
+        );
+        await sleep(wait);
+      }
+    }
+  });
+
+  return tracker;
+}
+
+/**
+ * Summarize the rate limit budget used by every client of this process
+ * @returns {Object} Totals ({ requests, retries, resources })
+ */
+export function getRateLimitSummary() {
+  const summary = { requests: 0, retries: 0, resources: {} };
+
+  for (const tracker of trackers) {
+    summary.requests += tracker.requests;
+    summary.retries += tracker.retries;
+    for (const [name, entry] of Object.entries(tracker.resources)) {
+      const total = summary.resources[name] || { requests: 0, clients: [] };
+      total.requests += entry.requests;
+      total.clients.push({
+        limit: entry.limit,
+        remaining: entry.remaining,
+        reset: entry.reset,
+      });
+      summary.resources[name] = total;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Print the rate limit budget used by this process
+ */
+export function printRateLimitSummary() {
+  const summary = getRateLimitSummary();
+  console.log(
+    `   API requests: ${summary.requests} (${summary.retries} retried)`
+  );
+
+  for (const [name, total] of Object.entries(summary.resources)) {
+    const remaining = total.clients
+      .map(
+        client =>
+          `${client.remaining}/${client.limit} left, resets ${new Date(client.reset * 1000).toLocaleTimeString()}`
+      )
+      .join('; ');
+    console.log(
+      `   Rate limit (${name}): ${total.requests} used, ${remaining}`
+    );
+  }
+}
@@ -0,0 +1,323 @@
+import { rewriteReleaseNotes } from './common.mjs';
+import { formatUnifiedDiff } from './diff.mjs';
+import { createUsernameResolver } from './mappingRules.mjs';
+
+/**
+ * YAML keys whose values are lists of GitHub logins (dependabot.yml and
+ * issue templates)
+ */
+const LOGIN_KEYS = ['reviewers', 'assignees'];
+
+const LOGIN_KEY_PATTERN = new RegExp(
+  `^(\\s*(?:-\\s+)?)(${LOGIN_KEYS.join('|')})(\\s*:\\s*)(.*)$`
+);
+
+/**
+ * Login or org/team value inside YAML, optionally quoted and prefixed with @
+ */
+const YAML_LOGIN_PATTERN =
+  /(^|[\s,[])(["']?)(@?)([A-Za-z0-9][A-Za-z0-9_-]*)(\/[A-Za-z0-9_.-]+)?\2(?=$|[\s,\]#])/g;
+
+/**
+ * Build a case-insensitive lookup table from a mapping object
+ * @param {Object} mapping - Mapping object (old -> new)
+ * @returns {Map<string, string>} Lowercased old name to new name
+ */
+function buildLookup(mapping = {}) {
+  return new Map(
+    Object.entries(mapping).map(([oldName, newName]) => [
+      oldName.toLowerCase(),
+      newName,
+    ])
+  );
+}
+
+/**
+ * Rewrite the logins in a YAML scalar, flow sequence or comma-separated value
+ * @param {string} value - YAML value
+ * @param {Function} resolveUsername - Username resolver
+ * @param {Map} orgs - Organization lookup
+ * @returns {string} Rewritten value
+ */
+function rewriteLoginValue(value, resolveUsername, orgs) {
+  return value.replace(
+    YAML_LOGIN_PATTERN,
+    (match, prefix, quote, at, name, team) => {
+      const mapped = team
+        ? orgs.get(name.toLowerCase())
+        : resolveUsername(name);
+      return mapped
+        ? `${prefix}${quote}${at}${mapped}${team || ''}${quote}`
+        : match;
+    }
+  );
+}
+
+/**
+ * Rewrite logins listed under `reviewers` and `assignees` keys in YAML.
+ * Supports inline values (`assignees: a, b` or `[a, b]`) and block lists.
+ * Line endings (LF or CRLF) are kept.
+ * @param {string} content - YAML content
+ * @param {Object} mapping - Mapping config ({ usernameMapping, usernameRules, orgMapping })
+ * @returns {string} Rewritten YAML content
+ */
+export function rewriteYamlLogins(content, mapping) {
+  const resolveUsername = createUsernameResolver(
+    mapping.usernameMapping,
+    mapping.usernameRules
+  );
+  const orgs = buildLookup(mapping.orgMapping);
+  let listIndent = null;
+
+  return content
+    .split('\n')
+    .map(rawLine => {
+      const lineEnding = rawLine.endsWith('\r') ? '\r' : '';
+      const line = rawLine.slice(0, rawLine.length - lineEnding.length);
+
+      const key = line.match(LOGIN_KEY_PATTERN);
+      if (key) {
+        const [, indent, name, separator, value] = key;
+        listIndent = value.trim() === '' ? indent.length : null;
+        return `${indent}${name}${separator}${rewriteLoginValue(value, resolveUsername, orgs)}${lineEnding}`;
+      }
+
+      if (listIndent !== null) {
+        const item = line.match(/^(\s*)-(\s+)(.*)$/);
+        if (
+          item &&
+          item[1].length >= listIndent &&
+          !/^[\w-]+\s*:/.test(item[3])
+        ) {
+          return `${item[1]}-${item[2]}${rewriteLoginValue(item[3], resolveUsername, orgs)}${lineEnding}`;
+        }
+        if (line.trim() !== '' && !line.trim().startsWith('#')) {
+          listIndent = null;
+        }
+      }
+
+      return rawLine;
+    })
+    .join('\n');
+}
+
+/**
+ * Rewrite @user and @org/team owners in a CODEOWNERS file
+ * @param {string} content - CODEOWNERS content
+ * @param {Object} mapping - Mapping config ({ usernameMapping, usernameRules, orgMapping })
+ * @returns {string} Rewritten CODEOWNERS content
+ */
+export function rewriteCodeowners(content, mapping) {
+  return rewriteReleaseNotes(content, {
+    usernameMapping: mapping.usernameMapping,
+    usernameRules: mapping.usernameRules,
+    orgMapping: mapping.orgMapping,
+  });
+}
+
+/**
+ * Rewrite a Markdown issue template: front matter logins and body mentions
+ * @param {string} content - Markdown content
+ * @param {Object} mapping - Mapping config
+ * @returns {string} Rewritten Markdown content
+ */
+function rewriteMarkdownTemplate(content, mapping) {
+  const frontMatter = content.match(/^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/);
+  if (!frontMatter) return rewriteReleaseNotes(content, mapping);
+
+  return (
+    rewriteYamlLogins(frontMatter[0], mapping) +
+    rewriteReleaseNotes(content.slice(frontMatter[0].length), mapping)
+  );
+}
+
+/**
+ * Rewrite the GitHub logins referenced in a repository file
+ * @param {string} path - File path in the repository
+ * @param {string} content - File content
+ * @param {Object} mapping - Mapping config ({ usernameMapping, orgMapping, repoMapping })
+ * @returns {string} Rewritten file content
+ */
+export function rewriteRepositoryFile(path, content, mapping) {
+  const name = path.split('/').pop();
+
+  if (name === 'CODEOWNERS') return rewriteCodeowners(content, mapping);
+  if (/\.ya?ml$/i.test(name)) return rewriteYamlLogins(content, mapping);
+  if (/\.md$/i.test(name)) return rewriteMarkdownTemplate(content, mapping);
+  return content;
+}
+
+/**
+ * Decode the content of a file from the contents API. Files over 1 MB come
+ * without content (`encoding: 'none'`), so they are read through the blob
+ * API instead.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} file - File from the contents API
+ * @returns {Promise<string>} File content
+ */
+async function decodeFileContent(octokit, owner, repo, file) {
+  if (file.encoding !== 'none') {
+    return Buffer.from(file.content, file.encoding).toString('utf8');
+  }
+
+  const { data: blob } = await octokit.rest.git.getBlob({
+    owner,
+    repo,
+    file_sha: file.sha,
+  });
+  return Buffer.from(blob.content, blob.encoding).toString('utf8');
+}
+
+/**
+ * Fetch the files matching the configured paths from a repository.
+ * Paths ending with `/` are directories whose files are all included.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array<string>} paths - Configured file and directory paths
+ * @param {string} ref - Branch to read from
+ * @returns {Promise<Array>} Files ({ path, content })
+ */
+export async function fetchRepositoryFiles(octokit, owner, repo, paths, ref) {
+  const files = [];
+
+  const getContent = async path => {
+    try {
+      const { data } = await octokit.rest.repos.getContent({
+        owner,
+        repo,
+        path,
+        ref,
+      });
+      return data;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  };
+
+  for (const configuredPath of paths) {
+    const path = configuredPath.replace(/\/$/, '');
+    const data = await getContent(path);
+    if (!data) continue;
+
+    const entries = Array.isArray(data)
+      ? data.filter(entry => entry.type === 'file')
+      : [data];
+
+    for (const entry of entries) {
+      const file = Array.isArray(data) ? await getContent(entry.path) : entry;
+      if (!file || file.type !== 'file') continue;
+
+      files.push({
+        path: file.path,
+        content: await decodeFileContent(octokit, owner, repo, file),
+      });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Format the pull request description with a diff of every changed file
+ * @param {Array} changes - Changed files ({ path, before, after })
+ * @returns {string} Pull request body
+ */
+export function formatFileChangesSummary(changes) {
+  const sections = [
+    'Updates GitHub usernames, organizations and teams referenced in repository files after the migration from GitHub Enterprise Server.',
+    '',
+    `${changes.length} file(s) changed:`,
+  ];
+
+  for (const { path, before, after } of changes) {
+    sections.push('');
+    sections.push(`### \`${path}\``);
+    sections.push('');
+    sections.push('```diff');
+    sections.push(
+      formatUnifiedDiff(before, after, {
+        oldLabel: `a/${path}`,
+        newLabel: `b/${path}`,
+        context: 1,
+      })
+    );
+    sections.push('```');
+  }
+
+  return sections.join('\n');
+}
+
+/**
+ * Commit changed files to a new branch and open a pull request
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array} changes - Changed files ({ path, before, after })
+ * @param {Object} options - Pull request options
+ * @param {string} options.baseBranch - Branch to open the pull request against
+ * @param {string} options.branch - Name of the branch to create
+ * @param {string} options.title - Pull request title and commit message
+ * @returns {Promise<Object>} Created pull request
+ */
+export async function openFileUpdatePullRequest(
+  octokit,
+  owner,
+  repo,
+  changes,
+  options
+) {
+  const { baseBranch, branch, title } = options;
+
+  const { data: baseRef } = await octokit.rest.git.getRef({
+    owner,
+    repo,
+    ref: `heads/${baseBranch}`,
+  });
+  const { data: baseCommit } = await octokit.rest.git.getCommit({
+    owner,
+    repo,
+    commit_sha: baseRef.object.sha,
+  });
+
+  // Create a single commit with every changed file
+  const { data: tree } = await octokit.rest.git.createTree({
+    owner,
+    repo,
+    base_tree: baseCommit.tree.sha,
+    tree: changes.map(({ path, after }) => ({
+      path,
+      mode: '100644',
+      type: 'blob',
+      content: after,
+    })),
+  });
+  const { data: commit } = await octokit.rest.git.createCommit({
+    owner,
+    repo,
+    message: title,
+    tree: tree.sha,
+    parents: [baseCommit.sha],
+  });
+
+  await octokit.rest.git.createRef({
+    owner,
+    repo,
+    ref: `refs/heads/${branch}`,
+    sha: commit.sha,
+  });
+
+  const { data: pullRequest } = await octokit.rest.pulls.create({
+    owner,
+    repo,
+    title,
+    head: branch,
+    base: baseBranch,
+    body: formatFileChangesSummary(changes),
+  });
+
+  return pullRequest;
+}
@@ -0,0 +1,329 @@
+/**
+ * Convert a repository name pattern to a regular expression.
+ * `/.../flags` is used as a regular expression, anything else as a glob
+ * where `*` matches any characters and `?` a single character.
+ * @param {string} pattern - Glob or regular expression pattern
+ * @returns {RegExp} Regular expression matching whole repository names
+ * @throws {Error} When a regular expression pattern is invalid
+ */
+export function patternToRegExp(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    try {
+      return new RegExp(regex[1], regex[2]);
+    } catch (error) {
+      throw new Error(
+        `Invalid repository pattern ${pattern}: ${error.message}`
+      );
+    }
+  }
+
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check whether a repository name matches any of the patterns
+ * @param {string} name - Repository name
+ * @param {Array<string>} patterns - Glob or regular expression patterns
+ * @returns {boolean} True if any pattern matches
+ */
+export function matchesAnyPattern(name, patterns = []) {
+  return patterns.some(pattern => patternToRegExp(pattern).test(name));
+}
+
+/**
+ * Visibility values of the `visibility` selector
+ */
+const VISIBILITIES = ['all', 'public', 'private', 'internal'];
+
+/**
+ * Check the repository selectors before any repository is listed, so an
+ * invalid pattern does not fail the run halfway
+ * @param {Object|null} selectors - Repository selectors from repo-whitelist.json
+ * @throws {Error} When a selector is invalid
+ */
+export function validateRepositorySelectors(selectors) {
+  if (selectors === null) return;
+  if (typeof selectors !== 'object' || Array.isArray(selectors)) {
+    throw new Error('repository_selectors must be an object');
+  }
+
+  for (const key of ['include', 'exclude', 'topics', 'owners']) {
+    const values = selectors[key];
+    if (values === undefined) continue;
+    if (
+      !Array.isArray(values) ||
+      values.some(value => typeof value !== 'string')
+    ) {
+      throw new Error(`repository_selectors.${key} must be a list of strings`);
+    }
+  }
+  for (const pattern of [
+    ...(selectors.include || []),
+    ...(selectors.exclude || []),
+  ]) {
+    patternToRegExp(pattern);
+  }
+
+  const { visibility = 'all' } = selectors;
+  if (!VISIBILITIES.includes(visibility)) {
+    throw new Error(
+      `Invalid repository_selectors.visibility "${visibility}" (expected ${VISIBILITIES.join(', ')})`
+    );
+  }
+}
+
+/**
+ * Pick the repository fields used by the tools and saved in the run output
+ * @param {Object} repo - Repository object from the GitHub API
+ * @returns {Object} Repository summary
+ */
+function summarizeRepository(repo) {
+  return {
+    owner: repo.owner ? repo.owner.login : repo.full_name.split('/')[0],
+    name: repo.name,
+    full_name: repo.full_name,
+    private: repo.private,
+    visibility: repo.visibility,
+    archived: repo.archived,
+    disabled: repo.disabled,
+    fork: repo.fork,
+    topics: repo.topics || [],
+  };
+}
+
+/**
+ * Split a whitelist entry into owner and repository name.
+ * Entries without an owner (`repo`) belong to the default owner.
+ * @param {string} entry - `repo` or `owner/repo`
+ * @param {string} defaultOwner - Owner used for entries without an owner
+ * @returns {Object} Repository reference ({ owner, repo })
+ */
+export function parseRepositoryEntry(entry, defaultOwner) {
+  const parts = entry.trim().split('/');
+  if (parts.length === 1) {
+    return { owner: defaultOwner, repo: parts[0] };
+  }
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    throw new Error(
+      `Invalid repository "${entry}" (expected "repo" or "owner/repo")`
+    );
+  }
+  return { owner: parts[0], repo: parts[1] };
+}
+
+/**
+ * Group the whitelist and selectors by owner.
+ * Selectors apply to the owners listed in `selectors.owners` (by default the
+ * default owner). Other owners only process their whitelisted repositories.
+ * @param {Object} selection - Repository selection ({ whitelist, selectors })
+ * @param {string} defaultOwner - Owner used for entries without an owner
+ * @returns {Array} Selection per owner ({ owner, whitelist, selectors })
+ */
+export function groupSelectionByOwner(selection, defaultOwner) {
+  const { whitelist, selectors } = selection;
+  const groups = new Map();
+
+  const getGroup = owner => {
+    const key = owner.toLowerCase();
+    if (!groups.has(key)) {
+      groups.set(key, { owner, whitelist: [], selectors: null });
+    }
+    return groups.get(key);
+  };
+
+  if (selectors) {
+    const { owners = [defaultOwner], ...ownerSelectors } = selectors;
+    for (const owner of owners) {
+      getGroup(owner).selectors = ownerSelectors;
+    }
+  }
+
+  for (const entry of whitelist) {
+    const { owner, repo } = parseRepositoryEntry(entry, defaultOwner);
+    getGroup(owner).whitelist.push(repo);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Select repositories from the owner's repository list.
+ * A repository is selected when it is in the explicit whitelist, matches an
+ * `include` pattern or has one of the `topics` (everything, when none of
+ * these are set). Visibility, archived and fork filters are then applied to
+ * the pattern and topic matches, but never to whitelisted repositories. The
+ * `exclude` patterns apply to every repository.
+ * @param {Array} repos - Repositories of the owner
+ * @param {Array<string>} whitelist - Exact repository names
+ * @param {Object} selectors - Repository selectors
+ * @param {Array<string>} selectors.include - Name patterns to include
+ * @param {Array<string>} selectors.topics - Topics to include
+ * @param {string} selectors.visibility - 'all', 'public', 'private' or 'internal'
+ * @param {boolean} selectors.include_archived - Include archived repositories
+ * @param {boolean} selectors.include_forks - Include forks
+ * @param {Array<string>} selectors.exclude - Name patterns to exclude
+ * @returns {Array} Selected repositories
+ */
+export function selectRepositories(repos, whitelist, selectors) {
+  const {
+    include = [],
+    topics = [],
+    visibility = 'all',
+    include_archived = false,
+    include_forks = false,
+    exclude = [],
+  } = selectors;
+  const names = new Set(whitelist.map(name => name.toLowerCase()));
+  const selectAll = names.size === 0 && include.length === 0 && !topics.length;
+
+  return repos.filter(repo => {
+    if (matchesAnyPattern(repo.name, exclude)) return false;
+    if (names.has(repo.name.toLowerCase())) return true;
+
+    const isSelected =
+      selectAll ||
+      matchesAnyPattern(repo.name, include) ||
+      (repo.topics || []).some(topic => topics.includes(topic));
+
+    if (!isSelected) return false;
+    if (visibility !== 'all' && repo.visibility !== visibility) return false;
+    if (repo.archived && !include_archived) return false;
+    return !repo.fork || include_forks;
+  });
+}
+
+/**
+ * List every repository of an organization or user, with pagination
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Organization or user name
+ * @returns {Promise<Array>} Repositories
+ */
+export async function listOwnerRepositories(octokit, owner) {
+  try {
+    return await octokit.paginate(octokit.rest.repos.listForOrg, {
+      org: owner,
+      type: 'all',
+      per_page: 100,
+    });
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+
+  // Not an organization: list the user's repositories
+  return octokit.paginate(octokit.rest.repos.listForUser, {
+    username: owner,
+    type: 'owner',
+    per_page: 100,
+  });
+}
+
+/**
+ * Verify each whitelisted repository exists and is accessible. Missing
+ * repositories are reported and skipped; any other error (authentication,
+ * rate limit, network) is thrown.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {Array<string>} whitelist - Exact repository names
+ * @returns {Promise<Array>} Verified repositories
+ */
+async function verifyWhitelistedRepositories(octokit, owner, whitelist) {
+  console.log(`Processing ${whitelist.length} whitelisted repositories...`);
+
+  const verifiedRepos = [];
+
+  for (const repoName of whitelist) {
+    try {
+      // Verify repository exists and is accessible
+      const { data: repo } = await octokit.rest.repos.get({
+        owner,
+        repo: repoName,
+      });
+
+      verifiedRepos.push(summarizeRepository(repo));
+
+      console.log(`  ✅ ${repoName} - verified`);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      console.log(`  ❌ ${repoName} - repository not found or not accessible`);
+    }
+  }
+
+  return verifiedRepos;
+}
+
+/**
+ * Resolve the repositories to process from the whitelist and selectors.
+ * Without selectors, only the whitelisted repositories are verified one by
+ * one. With selectors, the owner's repositories are listed and filtered.
+ * Errors are thrown, so an owner is never silently left out of a run.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {Object} selection - Repository selection ({ whitelist, selectors })
+ * @returns {Promise<Array>} Resolved repositories
+ * @throws {Error} When the repositories of the owner cannot be resolved
+ */
+export async function resolveRepositories(octokit, owner, selection) {
+  const { whitelist, selectors } = selection;
+
+  try {
+    if (!selectors) {
+      return await verifyWhitelistedRepositories(octokit, owner, whitelist);
+    }
+
+    console.log(`Listing repositories of ${owner}...`);
+    const repos = await listOwnerRepositories(octokit, owner);
+    console.log(`  Found ${repos.length} repositories`);
+
+    const selected = selectRepositories(repos, whitelist, selectors);
+
+    // Report whitelisted repositories that are missing or filtered out
+    const selectedNames = new Set(
+      selected.map(repo => repo.name.toLowerCase())
+    );
+    for (const repoName of whitelist) {
+      if (!selectedNames.has(repoName.toLowerCase())) {
+        console.log(
+          `  ❌ ${repoName} - not found, not accessible or matched by an exclude pattern`
+        );
+      }
+    }
+
+    return selected.map(summarizeRepository);
+  } catch (error) {
+    throw new Error(
+      `Could not resolve the repositories of ${owner}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Resolve the repositories to process across every owner of the selection
+ * @param {Function} getOctokit - Returns the Octokit instance of an owner
+ * @param {string} defaultOwner - Owner used for entries without an owner
+ * @param {Object} selection - Repository selection ({ whitelist, selectors })
+ * @returns {Promise<Array>} Resolved repositories of all owners
+ */
+export async function resolveAllRepositories(
+  getOctokit,
+  defaultOwner,
+  selection
+) {
+  const repos = [];
+
+  for (const group of groupSelectionByOwner(selection, defaultOwner)) {
+    console.log(`👤 Resolving repositories of ${group.owner}...`);
+    const octokit = await getOctokit(group.owner);
+    repos.push(...(await resolveRepositories(octokit, group.owner, group)));
+  }
+
+  return repos;
+}
@@ -0,0 +1,212 @@
+import fs from 'fs';
+import { formatUnifiedDiff } from './diff.mjs';
+import { generateBackupTimestamp } from './backup.mjs';
+
+/**
+ * Compare the three versions of an item body to decide whether a restore
+ * is safe:
+ *
+ * - original: the body stored in the backup, before the tool changed it
+ * - written: the body the tool wrote (`updated_body` in the backup)
+ * - live: the current body on GitHub
+ *
+ * @param {Object} backupItem - Backed up item
+ * @param {string} liveBody - Current body
+ * @returns {Object} { status, reason } where status is 'unchanged' (already
+ *   the original), 'restore' (untouched since the tool wrote it) or
+ *   'conflict' (edited since, or unknown what the tool wrote)
+ */
+export function classifyRestore(backupItem, liveBody) {
+  const original = backupItem.body || '';
+  const live = liveBody || '';
+
+  if (live === original) {
+    return { status: 'unchanged', reason: 'already matches the backup' };
+  }
+  if (backupItem.updated_body === undefined) {
+    return {
+      status: 'conflict',
+      reason: 'the backup does not record a body written by the tool',
+    };
+  }
+  if (live === (backupItem.updated_body || '')) {
+    return { status: 'restore', reason: 'untouched since the tool wrote it' };
+  }
+  return {
+    status: 'conflict',
+    reason: 'edited after the tool wrote it',
+  };
+}
+
+/**
+ * Find the live release each backed up release belongs to. Releases are
+ * matched by ID first, then by tag name, then by name plus creation date, so
+ * drafts and releases whose tag was renamed are still found. Tag and name
+ * matches are only used when exactly one unmatched release qualifies, and
+ * every live release is matched to at most one backed up release.
+ * @param {Array} backupItems - Backed up releases
+ * @param {Array} releases - Current releases
+ * @returns {Array} Match decision per backed up release, in the same order
+ *   ({ release, by, reason }, where `by` is 'id', 'tag_name',
+ *   'name_created_at' or null when no release matched)
+ */
+export function matchReleases(backupItems, releases) {
+  const claimed = new Set();
+  const claim = release => {
+    claimed.add(release.id);
+    return release;
+  };
+
+  // Match by ID first, so fallbacks can't take a release another backed up
+  // release matches exactly
+  const decisions = backupItems.map(backupItem => {
+    const release = releases.find(({ id }) => id === backupItem.id);
+    return release
+      ? {
+          release: claim(release),
+          by: 'id',
+          reason: `release ID ${release.id}`,
+        }
+      : null;
+  });
+
+  const findUnclaimed = predicate =>
+    releases.filter(release => !claimed.has(release.id) && predicate(release));
+
+  return backupItems.map((backupItem, index) => {
+    if (decisions[index]) return decisions[index];
+    const notes = [`release ID ${backupItem.id} not found`];
+
+    if (backupItem.tag_name) {
+      const byTag = findUnclaimed(
+        ({ tag_name }) => tag_name === backupItem.tag_name
+      );
+      if (byTag.length === 1) {
+        return {
+          release: claim(byTag[0]),
+          by: 'tag_name',
+          reason: `${notes[0]}, matched tag ${backupItem.tag_name} (release ID ${byTag[0].id})`,
+        };
+      }
+      notes.push(
+        byTag.length === 0
+          ? `no release with tag ${backupItem.tag_name}`
+          : `${byTag.length} releases with tag ${backupItem.tag_name}`
+      );
+    }
+
+    if (backupItem.name && backupItem.created_at) {
+      const byName = findUnclaimed(
+        ({ name, created_at }) =>
+          name === backupItem.name && created_at === backupItem.created_at
+      );
+      if (byName.length === 1) {
+        return {
+          release: claim(byName[0]),
+          by: 'name_created_at',
+          reason: `${notes.join(', ')}, matched name "${backupItem.name}" created ${backupItem.created_at} (release ID ${byName[0].id})`,
+        };
+      }
+      notes.push(
+        byName.length === 0
+          ? `no release named "${backupItem.name}" created ${backupItem.created_at}`
+          : `${byName.length} releases named "${backupItem.name}" created ${backupItem.created_at}`
+      );
+    }
+
+    return { release: null, by: null, reason: notes.join(', ') };
+  });
+}
+
+/**
+ * Format the diffs of a conflict: the edit made after the tool wrote the
+ * item, and the change a forced restore would make
+ * @param {string} label - Item label
+ * @param {Object} backupItem - Backed up item
+ * @param {string} liveBody - Current body
+ * @returns {string} Diff text
+ */
+export function formatConflictDiff(label, backupItem, liveBody) {
+  const sections = [];
+
+  if (backupItem.updated_body !== undefined) {
+    sections.push(
+      formatUnifiedDiff(backupItem.updated_body || '', liveBody || '', {
+        oldLabel: `${label} written by the tool`,
+        newLabel: `${label} current`,
+      })
+    );
+  }
+  sections.push(
+    formatUnifiedDiff(liveBody || '', backupItem.body || '', {
+      oldLabel: `${label} current`,
+      newLabel: `${label} backup`,
+    })
+  );
+
+  return sections.join('\n');
+}
+
+/**
+ * Create an empty restore report
+ * @param {Object} options - Restore options recorded in the report
+ * @returns {Object} Restore report
+ */
+export function createRestoreReport(options = {}) {
+  return {
+    created_at: new Date().toISOString(),
+    ...options,
+    totals: { restored: 0, unchanged: 0, conflicts: 0, failed: 0 },
+    repositories: [],
+  };
+}
+
+/**
+ * Add the outcome of restoring one backup file to a report
+ * @param {Object} report - Restore report
+ * @param {Object} entry - { owner, repo, content_type, backup_file, items }
+ */
+export function addRestoreResult(report, entry) {
+  report.repositories.push(entry);
+
+  for (const item of entry.items) {
+    if (item.action === 'restored' || item.action === 'would_restore') {
+      report.totals.restored++;
+    } else if (item.action === 'unchanged') {
+      report.totals.unchanged++;
+    } else if (item.action === 'conflict') {
+      report.totals.conflicts++;
+    } else if (item.action === 'failed') {
+      report.totals.failed++;
+    }
+  }
+}
+
+/**
+ * Write a restore report as JSON plus the diffs of every conflict
+ * @param {Object} report - Restore report
+ * @param {string} reportDir - Directory to write the report files to
+ * @returns {Object} Paths of the written files ({ reportFile, diffFile })
+ */
+export function writeRestoreReport(report, reportDir = './restore-reports') {
+  fs.mkdirSync(reportDir, { recursive: true });
+  const timestamp = generateBackupTimestamp();
+  const reportFile = `${reportDir}/restore-${timestamp}.json`;
+  const diffFile = `${reportDir}/restore-${timestamp}.diff`;
+
+  const sections = [
+    `# Restore conflicts (${report.created_at})`,
+    `# ${report.totals.conflicts} conflict(s) need manual handling`,
+  ];
+  for (const { owner, repo, content_type, items } of report.repositories) {
+    for (const item of items.filter(({ diff }) => diff)) {
+      sections.push('');
+      sections.push(`## ${owner}/${repo} ${content_type} ${item.label}`);
+      sections.push(item.diff);
+    }
+  }
+
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+  fs.writeFileSync(diffFile, sections.join('\n') + '\n');
+  return { reportFile, diffFile };
+}
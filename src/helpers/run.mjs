@@ -0,0 +1,63 @@
+import fs from 'fs';
+import { generateBackupTimestamp } from './backup.mjs';
+
+/**
+ * Create the output directory of a run
+ * @param {string} baseDir - Directory holding all runs
+ * @returns {Object} Run ({ id, dir })
+ */
+export function createRun(baseDir = './runs') {
+  const id = generateBackupTimestamp();
+  const dir = `${baseDir}/${id}`;
+  fs.mkdirSync(dir, { recursive: true });
+  return { id, dir };
+}
+
+/**
+ * Write a JSON file into the output directory of a run
+ * @param {Object} run - Run ({ id, dir })
+ * @param {string} name - File name
+ * @param {Object} data - Data to write
+ * @returns {string} Path to the written file
+ */
+export function writeRunFile(run, name, data) {
+  const file = `${run.dir}/${name}`;
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  return file;
+}
+
+/**
+ * Open the output directory of an earlier run
+ * @param {string} id - Run ID
+ * @param {string} baseDir - Directory holding all runs
+ * @returns {Object} Run ({ id, dir })
+ * @throws {Error} When the run directory does not exist
+ */
+export function openRun(id, baseDir = './runs') {
+  const dir = `${baseDir}/${id}`;
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`Run ${id} not found: there is no directory ${dir}`);
+  }
+  return { id, dir };
+}
+
+/**
+ * Read a JSON file from the output directory of a run
+ * @param {Object} run - Run ({ id, dir })
+ * @param {string} name - File name
+ * @returns {Object} Parsed file content
+ * @throws {Error} When the file is missing or not valid JSON
+ */
+export function readRunFile(run, name) {
+  const file = `${run.dir}/${name}`;
+  if (!fs.existsSync(file)) {
+    throw new Error(`${name} not found for run ${run.id} (${file})`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(
+      `Could not read ${file} of run ${run.id}: ${error.message}`
+    );
+  }
+}
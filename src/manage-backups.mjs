@@ -0,0 +1,388 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { loadEnv, loadOptionalEnv } from './helpers/loadEnv.mjs';
+import { createOwnerOctokits, getAllReleases } from './helpers/common.mjs';
+import {
+  createBackupIndex,
+  getBackupContentType,
+  listAvailableBackups,
+} from './helpers/backup.mjs';
+import { BACKUP_KEY_VARIABLES } from './helpers/backupEncryption.mjs';
+import { readVerifiedBackup } from './helpers/backupIntegrity.mjs';
+import {
+  describeBackupFile,
+  diffBackupItems,
+  exportBackupArchive,
+  importBackupArchive,
+  parseAge,
+  selectBackupsToPrune,
+} from './helpers/backupManagement.mjs';
+import {
+  getContentSource,
+  parseContentTypes,
+} from './helpers/contentSources.mjs';
+import { printRateLimitSummary } from './helpers/rateLimit.mjs';
+
+const USAGE = [
+  'npm run backups -- list [--repo owner/repo] [--content types] [--test] [--json]',
+  'npm run backups -- diff <backup-file> <backup-file>',
+  'npm run backups -- diff <backup-file> --live',
+  'npm run backups -- prune (--older-than 90d | --keep 5) [--repo owner/repo] [--test] [--dry-run] [--yes]',
+  'npm run backups -- export <archive.json.gz> [--repo owner/repo] [--test]',
+  'npm run backups -- import <archive.json.gz> [--overwrite] [--dry-run]',
+];
+
+// Parse command line arguments: the command, its files and the filters
+const { values: ARGS, positionals: POSITIONALS } = parseArgs({
+  options: {
+    repo: { type: 'string', multiple: true },
+    content: { type: 'string' },
+    test: { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false },
+    live: { type: 'boolean', default: false },
+    'older-than': { type: 'string' },
+    keep: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    yes: { type: 'boolean', default: false },
+    overwrite: { type: 'boolean', default: false },
+  },
+  allowPositionals: true,
+});
+const [COMMAND, ...FILES] = POSITIONALS;
+const DRY_RUN = ARGS['dry-run'];
+const CONTENT_TYPES = ARGS.content ? parseContentTypes(ARGS.content) : [];
+const BACKUP_DIR = ARGS.test ? './test-backups' : './backups';
+
+/**
+ * List the backups matching --repo, --content and --test
+ * @returns {Array} Repositories with their backup files, newest first
+ */
+function getSelectedBackups() {
+  const repos = (ARGS.repo || []).map(name => name.toLowerCase());
+
+  return listAvailableBackups(BACKUP_DIR)
+    .filter(
+      ({ owner, repo }) =>
+        repos.length === 0 || repos.includes(`${owner}/${repo}`.toLowerCase())
+    )
+    .map(backup => ({
+      ...backup,
+      backup_files: backup.backup_files
+        .filter(
+          file =>
+            CONTENT_TYPES.length === 0 ||
+            CONTENT_TYPES.includes(file.content_type)
+        )
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp)),
+    }))
+    .filter(backup => backup.backup_files.length > 0);
+}
+
+/**
+ * List backups with their metadata
+ */
+function listBackups() {
+  const backups = getSelectedBackups().map(backup => ({
+    owner: backup.owner,
+    repo: backup.repo,
+    backup_files: backup.backup_files.map(file => ({
+      file: file.file,
+      path: file.path,
+      size: file.size,
+      timestamp: file.timestamp,
+      ...describeBackupFile(file),
+    })),
+  }));
+
+  if (ARGS.json) {
+    console.log(JSON.stringify(backups, null, 2));
+    return;
+  }
+
+  if (backups.length === 0) {
+    console.log('❌ No backups found');
+    return;
+  }
+
+  const statusIcons = {
+    valid: '✅',
+    legacy: '⚠️ ',
+    encrypted: '🔒',
+    invalid: '❌',
+  };
+  let totalFiles = 0;
+  let totalSize = 0;
+  for (const { owner, repo, backup_files } of backups) {
+    console.log(`📚 ${owner}/${repo}`);
+    for (const file of backup_files) {
+      totalFiles++;
+      totalSize += file.size;
+      const details = file.error
+        ? file.error
+        : `${file.items} ${file.content_type}, ${file.complete ? 'complete' : 'incomplete'}, format v${file.schema_version}${file.tool_version ? `, tool ${file.tool_version}` : ''}${file.encrypted ? ', encrypted' : ''}`;
+      console.log(
+        `  ${statusIcons[file.status]} ${file.file} (${(file.size / 1024).toFixed(1)} KB) - ${details}`
+      );
+    }
+    console.log('');
+  }
+  console.log(
+    `📊 ${totalFiles} backup file(s) in ${backups.length} repository(ies), ${(totalSize / 1024).toFixed(1)} KB`
+  );
+}
+
+/**
+ * Fetch the live version of every item of a backup
+ * @param {Object} backupData - Backup data
+ * @returns {Promise<Array>} Live items that still exist
+ */
+async function fetchLiveItems(backupData) {
+  const { GITHUB_TOKEN } = process.env;
+  const getOctokit = createOwnerOctokits(GITHUB_TOKEN);
+  const [owner, repo] = backupData.repository.split('/');
+  const octokit = await getOctokit(owner);
+  const source = getContentSource(backupData.content_type || 'releases');
+
+  if (source.type === 'releases') {
+    return getAllReleases(octokit, owner, repo);
+  }
+
+  const live = [];
+  for (const item of backupData[source.type]) {
+    try {
+      live.push(await source.get(octokit, owner, repo, item));
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+  }
+  return live;
+}
+
+/**
+ * Diff two backups, or a backup against the live items, per item
+ */
+async function diffBackups() {
+  const [oldFile, newFile] = FILES;
+  if (!oldFile || (!newFile && !ARGS.live)) {
+    throw new Error('diff needs two backup files, or one backup and --live');
+  }
+
+  // The token is needed for --live
+  if (ARGS.live) loadEnv(['GITHUB_TOKEN']);
+
+  const oldData = readVerifiedBackup(oldFile);
+  const contentType = oldData.content_type || getBackupContentType(oldFile);
+  let newItems;
+  let newLabel;
+
+  if (ARGS.live) {
+    console.log(`🔍 Comparing ${oldFile} with live ${contentType}...`);
+    newItems = await fetchLiveItems(oldData);
+    newLabel = 'live';
+  } else {
+    const newData = readVerifiedBackup(newFile);
+    if ((newData.content_type || 'releases') !== contentType) {
+      throw new Error(
+        `Cannot compare ${contentType} with ${newData.content_type} backups`
+      );
+    }
+    console.log(`🔍 Comparing ${oldFile} with ${newFile}...`);
+    newItems = newData[contentType];
+    newLabel = path.basename(newFile);
+  }
+  console.log('');
+
+  const differences = diffBackupItems(
+    contentType,
+    oldData[contentType],
+    newItems,
+    { oldLabel: path.basename(oldFile), newLabel }
+  );
+
+  const counts = { changed: 0, unchanged: 0, removed: 0, added: 0 };
+  for (const { label, status, diff } of differences) {
+    counts[status]++;
+    if (status === 'changed') {
+      console.log(`📝 ${label} changed:`);
+      console.log(diff);
+    } else if (status === 'removed') {
+      console.log(`➖ ${label} only in ${path.basename(oldFile)}`);
+    } else if (status === 'added') {
+      console.log(`➕ ${label} only in ${newLabel}`);
+    }
+  }
+
+  console.log('');
+  console.log(
+    `📊 ${counts.changed} changed, ${counts.unchanged} unchanged, ${counts.removed} only in ${path.basename(oldFile)}, ${counts.added} only in ${newLabel}`
+  );
+  if (ARGS.live) printRateLimitSummary();
+}
+
+/**
+ * Ask the user to confirm a destructive action
+ * @param {string} query - Question to ask
+ * @returns {Promise<boolean>} True if the user answered yes
+ */
+async function confirm(query) {
+  if (!process.stdin.isTTY) {
+    throw new Error('No terminal available for prompts, confirm with --yes');
+  }
+
+  const readline = await import('readline');
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  try {
+    const answer = await new Promise(resolve => rl.question(query, resolve));
+    return ['yes', 'y'].includes(answer.toLowerCase());
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Delete backups older than --older-than or beyond the newest --keep
+ */
+async function pruneBackups() {
+  if (ARGS['older-than'] === undefined && ARGS.keep === undefined) {
+    throw new Error('prune needs --older-than, --keep or both');
+  }
+  const keep = ARGS.keep === undefined ? undefined : Number(ARGS.keep);
+  if (keep !== undefined && (!Number.isInteger(keep) || keep < 0)) {
+    throw new Error(
+      `--keep must be a non-negative integer (got "${ARGS.keep}")`
+    );
+  }
+  const olderThan =
+    ARGS['older-than'] === undefined ? undefined : parseAge(ARGS['older-than']);
+
+  const pruned = getSelectedBackups().flatMap(({ backup_files }) =>
+    selectBackupsToPrune(backup_files, { keep, olderThan })
+  );
+
+  if (pruned.length === 0) {
+    console.log('✅ Nothing to prune');
+    return;
+  }
+
+  console.log(`🗑️  ${pruned.length} backup file(s) to delete:`);
+  for (const file of pruned) {
+    console.log(`   ${file.path}`);
+  }
+  console.log('');
+
+  if (DRY_RUN) {
+    console.log('📝 Dry run: no files were deleted.');
+    return;
+  }
+  if (
+    !ARGS.yes &&
+    !(await confirm(`Delete ${pruned.length} backup file(s)? (yes/no): `))
+  ) {
+    console.log('Prune cancelled.');
+    return;
+  }
+
+  for (const file of pruned) {
+    fs.unlinkSync(file.path);
+
+    // Remove repository and owner directories left empty
+    let dir = path.dirname(file.path);
+    while (dir !== BACKUP_DIR && fs.readdirSync(dir).length === 0) {
+      fs.rmdirSync(dir);
+      dir = path.dirname(dir);
+    }
+  }
+  console.log(`✅ Deleted ${pruned.length} backup file(s)`);
+  if (!ARGS.test) createBackupIndex();
+}
+
+/**
+ * Export the selected backups to one compressed archive
+ */
+function exportBackups() {
+  const [archiveFile] = FILES;
+  if (!archiveFile) throw new Error('export needs the archive file to write');
+
+  const files = getSelectedBackups().flatMap(
+    ({ backup_files }) => backup_files
+  );
+  if (files.length === 0) {
+    console.log('❌ No backups found');
+    process.exitCode = 1;
+    return;
+  }
+
+  const { file, size } = exportBackupArchive(archiveFile, files);
+  console.log(
+    `📦 Exported ${files.length} backup file(s) to ${file} (${(size / 1024).toFixed(1)} KB)`
+  );
+}
+
+/**
+ * Import the backups of an archive written by `export`
+ */
+function importBackups() {
+  const [archiveFile] = FILES;
+  if (!archiveFile) throw new Error('import needs the archive file to read');
+
+  const { imported, identical, conflicts } = importBackupArchive(archiveFile, {
+    overwrite: ARGS.overwrite,
+    dryRun: DRY_RUN,
+  });
+
+  for (const file of imported) {
+    console.log(`  ${DRY_RUN ? '📝 Would import' : '✅ Imported'} ${file}`);
+  }
+  for (const file of conflicts) {
+    console.log(
+      `  ⚠️  ${file} already exists with different content (use --overwrite to replace it)`
+    );
+  }
+  console.log(
+    `📊 ${imported.length} ${DRY_RUN ? 'would be imported' : 'imported'}, ${identical.length} already present, ${conflicts.length} conflicts`
+  );
+
+  if (!DRY_RUN && imported.length > 0) createBackupIndex();
+  if (conflicts.length > 0) process.exitCode = 1;
+}
+
+const COMMANDS = {
+  list: listBackups,
+  diff: diffBackups,
+  prune: pruneBackups,
+  export: exportBackups,
+  import: importBackups,
+};
+
+/**
+ * Main backup management function
+ */
+async function main() {
+  const command = COMMANDS[COMMAND];
+  if (!command) {
+    console.error(
+      COMMAND ? `❌ Unknown command "${COMMAND}"` : '❌ Please pass a command'
+    );
+    USAGE.forEach(line => console.error(`   ${line}`));
+    process.exit(1);
+  }
+
+  // .env, if any, may hold the key of encrypted backups
+  loadOptionalEnv(BACKUP_KEY_VARIABLES);
+
+  try {
+    await command();
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the backup management tool
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(console.error);
+}
@@ -1,154 +1,364 @@
-import { Octokit } from '@octokit/rest';
 import fs from 'fs';
+import { parseArgs } from 'util';
+import { loadEnv } from './helpers/loadEnv.mjs';
+import {
+  createOwnerOctokits,
+  getAllReleases,
+  parseOptionOrExit,
+} from './helpers/common.mjs';
+import {
+  listAvailableBackups,
+  parseBackupSelector,
+  selectBackupFiles,
+} from './helpers/backup.mjs';
+import { readVerifiedBackup } from './helpers/backupIntegrity.mjs';
+import {
+  getContentSource,
+  parseContentTypes,
+} from './helpers/contentSources.mjs';
+import { formatUnifiedDiff } from './helpers/diff.mjs';
+import { openJournal } from './helpers/journal.mjs';
+import { printRateLimitSummary } from './helpers/rateLimit.mjs';
+import {
+  addRestoreResult,
+  classifyRestore,
+  createRestoreReport,
+  formatConflictDiff,
+  matchReleases,
+  writeRestoreReport,
+} from './helpers/restore.mjs';
+import { openRun } from './helpers/run.mjs';
+
+// Parse command line arguments. Without --repo, --all or --run the tool
+// asks which repository to restore. Items edited after the tool updated them
+// are only restored with --force.
+const { values: ARGS } = parseArgs({
+  options: {
+    repo: { type: 'string', multiple: true },
+    all: { type: 'boolean', default: false },
+    run: { type: 'string' },
+    backup: { type: 'string', default: 'latest' },
+    content: { type: 'string' },
+    tag: { type: 'string', multiple: true },
+    'release-id': { type: 'string', multiple: true },
+    yes: { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+    force: { type: 'boolean', default: false },
+  },
+});
+const DRY_RUN = ARGS['dry-run'];
+const FORCE = ARGS.force;
+const CONTENT_TYPES = parseOptionOrExit(() =>
+  ARGS.content ? parseContentTypes(ARGS.content) : []
+);
+// Check --backup before any backup is listed
+parseOptionOrExit(() => parseBackupSelector(ARGS.backup));
+const ITEM_FILTER = { tags: ARGS.tag || [], ids: ARGS['release-id'] || [] };
 
 // Load environment variables
 const { GITHUB_TOKEN } = loadEnv(['GITHUB_TOKEN']);
 
-// Initialize Octokit
-const octokit = new Octokit({
-  auth: GITHUB_TOKEN,
-  baseUrl: 'https://api.github.com',
-});
+// Octokit clients per owner (GITHUB_TOKEN_<OWNER> or GITHUB_TOKEN)
+const getOctokit = createOwnerOctokits(GITHUB_TOKEN);
 
 /**
- * List available backups
+ * Check whether a backed up item passes the --tag and --release-id filters
+ * @param {Object} item - Backed up item
+ * @returns {boolean} True if the item should be restored
  */
-function listAvailableBackups() {
-  try {
-    if (!fs.existsSync('./backups')) {
-      console.log('❌ No backups directory found');
-      return [];
-    }
+function matchesItemFilter(item) {
+  const { tags, ids } = ITEM_FILTER;
+  if (tags.length === 0 && ids.length === 0) return true;
 
-    const backupIndexFile = './backups/backup-index.json';
-    if (fs.existsSync(backupIndexFile)) {
-      const indexData = JSON.parse(fs.readFileSync(backupIndexFile, 'utf8'));
-      return indexData.repositories || [];
-    }
+  return tags.includes(item.tag_name) || ids.includes(String(item.id));
+}
 
-    // Fallback: scan backups directory manually
-    const backups = [];
-    const ownerDirs = fs
-      .readdirSync('./backups')
-      .filter(dir => fs.statSync(`./backups/${dir}`).isDirectory());
+/**
+ * Restore a specific item (release, issue, comment, ...) from backup
+ */
+async function restoreItem(owner, repo, source, target, backupItem) {
+  const label = `${source.label} ${source.describe(backupItem)}`;
 
-    for (const ownerDir of ownerDirs) {
-      const repoDirs = fs
-        .readdirSync(`./backups/${ownerDir}`)
-        .filter(dir =>
-          fs.statSync(`./backups/${ownerDir}/${dir}`).isDirectory()
-        );
+  try {
+    console.log(`  🔄 Restoring ${label}...`);
 
-      for (const repoDir of repoDirs) {
-        const backupFiles = fs
-          .readdirSync(`./backups/${ownerDir}/${repoDir}`)
-          .filter(file => file.endsWith('.json'))
-          .map(file => ({
-            file: file,
-            path: `./backups/${ownerDir}/${repoDir}/${file}`,
-            size: fs.statSync(`./backups/${ownerDir}/${repoDir}/${file}`).size,
-          }));
-
-        backups.push({
-          owner: ownerDir,
-          repo: repoDir,
-          backup_files: backupFiles,
-        });
-      }
-    }
+    const octokit = await getOctokit(owner);
+    await source.update(octokit, owner, repo, target, backupItem.body);
 
-    return backups;
+    console.log(`  ✅ Successfully restored ${label}`);
+    return true;
   } catch (error) {
-    console.error('❌ Error listing backups:', error.message);
-    return [];
+    console.error(`  ❌ Error restoring ${label}:`, error.message);
+    return false;
   }
 }
 
 /**
- * Restore a specific release from backup
+ * Print a diff indented below the item it belongs to
+ * @param {string} diff - Unified diff
+ */
+function printDiff(diff) {
+  console.log(
+    diff
+      .split('\n')
+      .map(line => `     ${line}`)
+      .join('\n')
+  );
+}
+
+/**
+ * Compare an item with its live version and restore it when it is untouched
+ * since the tool wrote it (or when --force is set)
+ * @returns {Promise<Object>} Report entry of the item
  */
-async function restoreRelease(owner, repo, releaseId, backupData) {
+async function restoreOrReportItem(owner, repo, source, target, backupItem) {
+  const label = `${source.label} ${source.describe(backupItem)}`;
+  const entry = { id: backupItem.id, label };
+
   try {
-    console.log(`  🔄 Restoring release ${backupData.tag_name}...`);
+    const live =
+      target === backupItem
+        ? await source.get(await getOctokit(owner), owner, repo, target)
+        : target;
+    const { status, reason } = classifyRestore(backupItem, live.body);
+    Object.assign(entry, { status, reason });
+
+    if (status === 'unchanged') {
+      console.log(`  ✔️  ${label} already matches the backup`);
+      entry.action = 'unchanged';
+      return entry;
+    }
 
-    await octokit.rest.repos.updateRelease({
-      owner,
-      repo,
-      release_id: releaseId,
-      body: backupData.body,
-    });
+    if (status === 'conflict' && !FORCE) {
+      console.log(`  ⚠️  Conflict: ${label} ${reason}, not restored`);
+      entry.action = 'conflict';
+      entry.diff = formatConflictDiff(label, backupItem, live.body);
+      printDiff(entry.diff);
+      return entry;
+    }
 
-    console.log(`  ✅ Successfully restored release ${backupData.tag_name}`);
-    return true;
+    if (status === 'conflict') {
+      console.log(`  ⚠️  ${label} ${reason}, restoring anyway (--force)`);
+    }
+
+    if (DRY_RUN) {
+      console.log(`  📝 ${label} would be restored:`);
+      printDiff(
+        formatUnifiedDiff(live.body || '', backupItem.body || '', {
+          oldLabel: `${label} current`,
+          newLabel: `${label} backup`,
+          context: 1,
+        })
+      );
+      entry.action = 'would_restore';
+      return entry;
+    }
+
+    const restored = await restoreItem(owner, repo, source, target, backupItem);
+    entry.action = restored ? 'restored' : 'failed';
+    return entry;
   } catch (error) {
-    console.error(
-      `  ❌ Error restoring release ${backupData.tag_name}:`,
-      error.message
-    );
-    return false;
+    console.error(`  ❌ Error fetching ${label}:`, error.message);
+    return { ...entry, action: 'failed', error: error.message };
   }
 }
 
 /**
- * Restore all releases for a repository from backup
+ * Restore all items of a backup file for a repository
  */
 async function restoreRepositoryFromBackup(owner, repo, backupFile) {
-  try {
-    console.log(`📚 Restoring repository ${owner}/${repo} from backup...`);
+  const result = { processed: 0, items: [] };
 
-    // Read backup file
-    const backupData = JSON.parse(fs.readFileSync(backupFile, 'utf8'));
+  try {
+    console.log(
+      `📚 ${DRY_RUN ? 'Previewing restore of' : 'Restoring'} repository ${owner}/${repo} from backup...`
+    );
 
-    if (!backupData.releases || backupData.releases.length === 0) {
-      console.log(`  ❌ No releases found in backup file`);
-      return { processed: 0, restored: 0 };
+    // Read backup file, refusing corrupted backups and unknown versions
+    const backupData = readVerifiedBackup(backupFile);
+    if (backupData.schema_version === undefined) {
+      console.log(
+        `  ⚠️  Backup predates checksums, its integrity can't be verified`
+      );
     }
+    const source = getContentSource(backupData.content_type || 'releases');
+    const items = (backupData[source.type] || []).filter(matchesItemFilter);
+    result.contentType = source.type;
 
-    console.log(`  Found ${backupData.releases.length} releases to restore`);
-
-    // Get current releases to match by tag name
-    const { data: currentReleases } = await octokit.rest.repos.listReleases({
-      owner,
-      repo,
-      per_page: 100,
-    });
-
-    let restoredCount = 0;
-    for (const backupRelease of backupData.releases) {
-      // Find matching current release by tag name
-      const currentRelease = currentReleases.find(
-        r => r.tag_name === backupRelease.tag_name
-      );
+    if (items.length === 0) {
+      console.log(`  ❌ No matching ${source.type} found in backup file`);
+      return result;
+    }
 
-      if (!currentRelease) {
-        console.log(
-          `  ⚠️  Release ${backupRelease.tag_name} not found in current repository`
-        );
-        continue;
+    console.log(`  Found ${items.length} ${source.type} to restore`);
+    result.processed = items.length;
+
+    // Releases are matched to the current releases (see matchReleases);
+    // other content is addressed by the id or number stored in the backup
+    const matches =
+      source.type === 'releases'
+        ? matchReleases(
+            items,
+            await getAllReleases(await getOctokit(owner), owner, repo)
+          )
+        : null;
+
+    for (const [index, backupItem] of items.entries()) {
+      let target = backupItem;
+      let match;
+
+      if (matches) {
+        const { release, ...decision } = matches[index];
+        match = { ...decision, release_id: release ? release.id : null };
+        target = release;
+
+        if (!target) {
+          const label = `${source.label} ${source.describe(backupItem)}`;
+          console.log(
+            `  ⚠️  ${label} not found in current repository (${match.reason})`
+          );
+          result.items.push({
+            id: backupItem.id,
+            label,
+            match,
+            action: 'not_found',
+          });
+          continue;
+        }
+        if (match.by !== 'id') {
+          console.log(
+            `  🔗 ${source.label} ${source.describe(backupItem)}: ${match.reason}`
+          );
+        }
       }
 
-      const wasRestored = await restoreRelease(
+      const entry = await restoreOrReportItem(
         owner,
         repo,
-        currentRelease.id,
-        backupRelease
+        source,
+        target,
+        backupItem
       );
-      if (wasRestored) restoredCount++;
-
-      // Add delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 100));
+      result.items.push(match ? { ...entry, match } : entry);
     }
 
-    return { processed: backupData.releases.length, restored: restoredCount };
+    return result;
   } catch (error) {
     console.error(
       `  ❌ Error restoring repository ${owner}/${repo}:`,
       error.message
     );
-    return { processed: 0, restored: 0, error: true };
+    return { ...result, error: error.message };
   }
 }
 
+/**
+ * Collect the backup files written by a run of update-release-contributors
+ * @param {string} runId - Run ID
+ * @returns {Array} Restore targets ({ owner, repo, backupFiles })
+ */
+function getRunTargets(runId) {
+  const journal = openJournal(openRun(runId));
+  const targets = [];
+
+  for (const [repository, entry] of Object.entries(
+    journal.state.repositories
+  )) {
+    const [owner, repo] = repository.split('/');
+    const backupFiles = new Map();
+
+    for (const [contentType, content] of Object.entries(entry.content)) {
+      if (CONTENT_TYPES.length > 0 && !CONTENT_TYPES.includes(contentType)) {
+        continue;
+      }
+      if (content.backup_file && fs.existsSync(content.backup_file)) {
+        backupFiles.set(contentType, { path: content.backup_file });
+      }
+    }
+
+    if (backupFiles.size > 0) targets.push({ owner, repo, backupFiles });
+  }
+
+  return targets;
+}
+
+/**
+ * Pick the backup files to restore for repositories with backups
+ * @param {Array} backups - Repositories from listAvailableBackups
+ * @returns {Array} Restore targets ({ owner, repo, backupFiles })
+ */
+function getBackupTargets(backups) {
+  return backups
+    .map(({ owner, repo, backup_files }) => ({
+      owner,
+      repo,
+      backupFiles: selectBackupFiles(backup_files, ARGS.backup, CONTENT_TYPES),
+    }))
+    .filter(({ owner, repo, backupFiles }) => {
+      if (backupFiles.size > 0) return true;
+      console.log(
+        `⚠️  No backup of ${owner}/${repo} matches --backup ${ARGS.backup}`
+      );
+      return false;
+    });
+}
+
+/**
+ * Resolve the restore targets from --run, --all or --repo
+ * @param {Array} availableBackups - Repositories from listAvailableBackups
+ * @returns {Array} Restore targets ({ owner, repo, backupFiles })
+ */
+function getSelectedTargets(availableBackups) {
+  if (ARGS.run) return getRunTargets(ARGS.run);
+  if (ARGS.all) return getBackupTargets(availableBackups);
+
+  const selected = [];
+  for (const name of ARGS.repo) {
+    const backup = availableBackups.find(
+      ({ owner, repo }) =>
+        `${owner}/${repo}`.toLowerCase() === name.toLowerCase()
+    );
+    if (!backup) {
+      console.log(`⚠️  No backups found for ${name}`);
+      continue;
+    }
+    selected.push(backup);
+  }
+  return getBackupTargets(selected);
+}
+
+/**
+ * Ask the user which repository to restore
+ * @param {Function} question - Prompts the user and resolves with the answer
+ * @param {Array} availableBackups - Repositories from listAvailableBackups
+ * @returns {Promise<Array>} Restore targets ({ owner, repo, backupFiles })
+ */
+async function promptForTargets(question, availableBackups) {
+  console.log(`📋 Found ${availableBackups.length} repositories with backups:`);
+  console.log('');
+
+  // Display available backups
+  availableBackups.forEach((backup, index) => {
+    console.log(`${index + 1}. ${backup.owner}/${backup.repo}`);
+    backup.backup_files.forEach(file => {
+      console.log(`   📁 ${file.file} (${(file.size / 1024).toFixed(1)} KB)`);
+    });
+    console.log('');
+  });
+
+  const choice = await question(
+    `Enter the number of the repository to restore (1-${availableBackups.length}): `
+  );
+  const selectedIndex = parseInt(choice) - 1;
+
+  if (selectedIndex < 0 || selectedIndex >= availableBackups.length) {
+    console.log('❌ Invalid selection');
+    return [];
+  }
+
+  return getBackupTargets([availableBackups[selectedIndex]]);
+}
+
 /**
  * Main restore function
  */
@@ -162,88 +372,142 @@ async function main() {
 
   console.log('🔄 Release Notes Restore Tool');
   console.log('==============================');
+  if (DRY_RUN) {
+    console.log('📝 Dry run: no changes will be made on GitHub.');
+  }
   console.log('');
 
+  const interactive = !ARGS.run && !ARGS.all && !ARGS.repo;
+  const needsPrompt = interactive || (!ARGS.yes && !DRY_RUN);
+  if (needsPrompt && !process.stdin.isTTY) {
+    console.error(
+      '❌ No terminal available for prompts. Select repositories with --repo, --all or --run and confirm with --yes.'
+    );
+    process.exit(1);
+  }
+
+  // Only create the prompt when it is needed, so unattended runs can exit
+  const readline = needsPrompt ? await import('readline') : null;
+  const rl = readline
+    ? readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+      })
+    : null;
+  const question = query => new Promise(resolve => rl.question(query, resolve));
+
   try {
     const availableBackups = listAvailableBackups();
 
-    if (availableBackups.length === 0) {
+    if (!ARGS.run && availableBackups.length === 0) {
       console.log('❌ No backups found');
       return;
     }
 
-    console.log(
-      `📋 Found ${availableBackups.length} repositories with backups:`
-    );
-    console.log('');
-
-    // Display available backups
-    availableBackups.forEach((backup, index) => {
-      console.log(`${index + 1}. ${backup.owner}/${backup.repo}`);
-      backup.backup_files.forEach(file => {
-        console.log(`   📁 ${file.file} (${(file.size / 1024).toFixed(1)} KB)`);
-      });
-      console.log('');
-    });
+    const targets = interactive
+      ? await promptForTargets(question, availableBackups)
+      : getSelectedTargets(availableBackups);
 
-    // Ask user which repository to restore
-    const readline = await import('readline');
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout,
-    });
-
-    const question = query =>
-      new Promise(resolve => rl.question(query, resolve));
-
-    const choice = await question(
-      `Enter the number of the repository to restore (1-${availableBackups.length}): `
-    );
-    const selectedIndex = parseInt(choice) - 1;
-
-    if (selectedIndex < 0 || selectedIndex >= availableBackups.length) {
-      console.log('❌ Invalid selection');
-      rl.close();
+    if (targets.length === 0) {
+      console.log('❌ No matching backups found');
+      process.exitCode = 1;
       return;
     }
 
-    const selectedBackup = availableBackups[selectedIndex];
+    console.log(`📋 Backups to restore:`);
+    for (const { owner, repo, backupFiles } of targets) {
+      for (const [contentType, file] of backupFiles) {
+        console.log(`   ${owner}/${repo} ${contentType}: ${file.path}`);
+      }
+    }
+    if (ITEM_FILTER.tags.length > 0 || ITEM_FILTER.ids.length > 0) {
+      console.log(
+        `🔎 Only items with tags [${ITEM_FILTER.tags.join(', ')}] or IDs [${ITEM_FILTER.ids.join(', ')}]`
+      );
+    }
+    console.log('');
 
     // Ask for confirmation
-    const confirm = await question(
-      `Are you sure you want to restore ${selectedBackup.owner}/${selectedBackup.repo}? This will overwrite current release notes. (yes/no): `
-    );
+    if (!ARGS.yes && !DRY_RUN) {
+      const confirm = await question(
+        `Are you sure you want to restore ${targets.length} repository(ies)? This will overwrite current release notes and other backed up content. (yes/no): `
+      );
 
-    if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
-      console.log('Restore cancelled.');
-      rl.close();
-      return;
+      if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
+        console.log('Restore cancelled.');
+        return;
+      }
     }
 
-    // Use the most recent backup file
-    const backupFile = selectedBackup.backup_files[0].path;
-
     console.log('');
     console.log(`🚀 Starting restore process...`);
-    console.log(`📁 Using backup file: ${backupFile}`);
-    console.log('');
 
-    const result = await restoreRepositoryFromBackup(
-      selectedBackup.owner,
-      selectedBackup.repo,
-      backupFile
-    );
+    const report = createRestoreReport({ dry_run: DRY_RUN, force: FORCE });
+    const results = [];
+    for (const { owner, repo, backupFiles } of targets) {
+      for (const [contentType, file] of backupFiles) {
+        console.log(`📁 Using ${contentType} backup file: ${file.path}`);
+        console.log('');
+
+        const result = await restoreRepositoryFromBackup(
+          owner,
+          repo,
+          file.path
+        );
+        addRestoreResult(report, {
+          owner,
+          repo,
+          content_type: contentType,
+          backup_file: file.path,
+          error: result.error,
+          items: result.items,
+        });
+        results.push({
+          repository: `${owner}/${repo}`,
+          contentType,
+          ...result,
+        });
+        console.log('');
+      }
+    }
 
-    console.log('');
-    console.log('🎉 Restore completed!');
-    console.log(`📊 Restore Summary:`);
-    console.log(`   Releases processed: ${result.processed}`);
-    console.log(`   Releases restored: ${result.restored}`);
+    const { reportFile, diffFile } = writeRestoreReport(report);
 
-    rl.close();
+    console.log(
+      DRY_RUN ? '📝 Restore preview completed!' : '🎉 Restore completed!'
+    );
+    console.log(`📊 Restore Summary:`);
+    for (const { repository, contentType, processed, items } of results) {
+      const count = action =>
+        items.filter(item => item.action === action).length;
+      const restored = count(DRY_RUN ? 'would_restore' : 'restored');
+      console.log(
+        `   ${repository} ${contentType}: ${processed} processed, ${restored} ${DRY_RUN ? 'would be restored' : 'restored'}, ${count('unchanged')} unchanged, ${count('conflict')} conflicts`
+      );
+    }
+    console.log(`📄 Restore report: ${reportFile}`);
+    if (report.totals.conflicts > 0) {
+      console.log(
+        `⚠️  ${report.totals.conflicts} item(s) were edited after the update and were not restored.`
+      );
+      console.log(
+        `   Review the diffs in ${diffFile} and restore them manually, or re-run with --force.`
+      );
+    }
+    printRateLimitSummary();
+
+    if (
+      results.some(result => result.error) ||
+      report.totals.failed > 0 ||
+      report.totals.conflicts > 0
+    ) {
+      process.exitCode = 1;
+    }
   } catch (error) {
     console.error('❌ Fatal error:', error.message);
     process.exit(1);
+  } finally {
+    if (rl) rl.close();
   }
 }
 
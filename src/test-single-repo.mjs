@@ -1,131 +1,275 @@
+import { parseArgs } from 'util';
 import { loadEnv } from './helpers/loadEnv.mjs';
 import {
-  initializeOctokit,
-  loadUsernameMapping,
+  createOwnerOctokits,
+  getOwnerMapping,
+  loadMappingConfig,
   loadRepositoryWhitelistForTesting,
-  updateUsernamesInReleaseNotes,
+  loadHostMapping,
+  rewriteReleaseNotes,
   getAllReleases,
 } from './helpers/common.mjs';
 import { createTestBackup } from './helpers/backup.mjs';
+import { formatUnifiedDiff } from './helpers/diff.mjs';
+import { parseRepositoryEntry } from './helpers/repositorySelection.mjs';
 
-// Load environment variables
-const { GITHUB_TOKEN, GITHUB_OWNER } = loadEnv([
-  'GITHUB_TOKEN',
-  'GITHUB_OWNER',
-]);
+/**
+ * Load the command line arguments, environment and configuration of a test
+ * run: the repositories to test (`repo` or `owner/repo`), `--json` to print
+ * the pending changes as JSON and `--no-color` to print plain diffs
+ * @returns {Object} Test config ({ args, color, mapping, hostMapping,
+ *   testRepos, getOctokit })
+ * @throws {Error} When an argument or the configuration is invalid
+ */
+function loadTestConfig() {
+  const { values: args, positionals: repositoryArgs } = parseArgs({
+    options: {
+      json: { type: 'boolean', default: false },
+      'no-color': { type: 'boolean', default: false },
+    },
+    allowPositionals: true,
+  });
 
-// Load repository whitelist for testing
-const REPOSITORY_WHITELIST = loadRepositoryWhitelistForTesting();
+  // Keep stdout for the JSON output; progress messages go to stderr
+  if (args.json) {
+    console.log = console.error;
+  }
 
-// Use first repository from whitelist for testing
-const TEST_REPO = REPOSITORY_WHITELIST[0];
-if (!TEST_REPO) {
-  console.error('❌ No test repository found in whitelist');
-  process.exit(1);
-}
+  // Color diffs on terminals, unless disabled with --no-color or NO_COLOR
+  const color =
+    !args.json &&
+    !args['no-color'] &&
+    !process.env.NO_COLOR &&
+    Boolean(process.stdout.isTTY);
+
+  // Load environment variables; exits with 2 when they are missing
+  const { GITHUB_TOKEN, GITHUB_OWNER } = loadEnv(
+    ['GITHUB_TOKEN', 'GITHUB_OWNER'],
+    '.env',
+    2
+  );
+
+  // Test the repositories given on the command line, or the first
+  // whitelisted repository
+  const testRepos = (
+    repositoryArgs.length > 0
+      ? repositoryArgs
+      : loadRepositoryWhitelistForTesting().slice(0, 1)
+  ).map(entry => parseRepositoryEntry(entry, GITHUB_OWNER));
+  if (testRepos.length === 0) {
+    throw new Error(
+      'No test repository found: pass one (npm run update:test -- owner/repo) or add one to the whitelist'
+    );
+  }
 
-// Load username mapping from configuration file
-const USERNAME_MAPPING = loadUsernameMapping();
+  return {
+    args,
+    color,
+    // Username, organization and repository mappings
+    mapping: loadMappingConfig(),
+    // GHES -> GHEC host mapping used to rewrite URLs
+    hostMapping: loadHostMapping(),
+    testRepos,
+    // Octokit clients per owner (GITHUB_TOKEN_<OWNER> or GITHUB_TOKEN)
+    getOctokit: createOwnerOctokits(GITHUB_TOKEN),
+  };
+}
 
 /**
- * Test update without actually making changes
+ * Test the update of one release without making changes
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} releaseData - Release
+ * @param {Object} config - Test config from loadTestConfig
+ * @returns {Object|null} Pending change ({ id, tag_name, html_url, before,
+ *   after, diff }), or null when the release is up to date
  */
-async function testUpdate(releaseData) {
-  const updatedBody = updateUsernamesInReleaseNotes(
+function testUpdate(owner, repo, releaseData, config) {
+  const updatedBody = rewriteReleaseNotes(
     releaseData.body,
-    USERNAME_MAPPING
+    getOwnerMapping(config.mapping, owner),
+    config.hostMapping
   );
 
   if (updatedBody === releaseData.body) {
     console.log(
       `  ✅ No username updates needed for release ${releaseData.tag_name}`
     );
-    return false;
+    return null;
   }
 
   console.log(`  🔄 Release ${releaseData.tag_name} would be updated:`);
+  const labels = {
+    oldLabel: `${owner}/${repo} ${releaseData.tag_name} (current)`,
+    newLabel: `${owner}/${repo} ${releaseData.tag_name} (updated)`,
+  };
+  const diff = formatUnifiedDiff(releaseData.body, updatedBody, labels);
+  console.log(
+    config.color
+      ? formatUnifiedDiff(releaseData.body, updatedBody, {
+          ...labels,
+          color: true,
+        })
+      : diff
+  );
 
-  // Show a preview of the changes
-  const oldLines = releaseData.body.split('\n');
-  const newLines = updatedBody.split('\n');
-
-  console.log(`     Preview of changes:`);
-  for (let i = 0; i < Math.max(oldLines.length, newLines.length); i++) {
-    const oldLine = oldLines[i] || '';
-    const newLine = newLines[i] || '';
-
-    if (oldLine !== newLine) {
-      console.log(`       - ${oldLine}`);
-      console.log(`       + ${newLine}`);
-    }
-  }
-
-  return true;
+  return {
+    id: releaseData.id,
+    tag_name: releaseData.tag_name,
+    html_url: releaseData.html_url,
+    before: releaseData.body,
+    after: updatedBody,
+    diff,
+  };
 }
 
 /**
- * Main test function
+ * Test every release of one repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} config - Test config from loadTestConfig
+ * @returns {Promise<Object>} Result ({ owner, repo, releases_tested, changes,
+ *   error })
  */
-async function main() {
-  if (!GITHUB_TOKEN) {
-    console.error(
-      '❌ Please set GITHUB_TOKEN environment variable or update the script with your token'
-    );
-    process.exit(1);
-  }
-
-  console.log('🧪 Testing release contributor update on single repository...');
-  console.log(`📋 Username mappings:`, USERNAME_MAPPING);
-  console.log(`📚 Repository whitelist:`, REPOSITORY_WHITELIST);
-  console.log(`👤 Testing repository: ${GITHUB_OWNER}/${TEST_REPO}`);
-  console.log('');
+async function testRepository(owner, repo, config) {
+  console.log(`👤 Testing repository: ${owner}/${repo}`);
 
   try {
-    const octokit = await initializeOctokit(GITHUB_TOKEN);
-    const releases = await getAllReleases(octokit, GITHUB_OWNER, TEST_REPO);
+    const octokit = await config.getOctokit(owner);
+
+    const releases = await getAllReleases(octokit, owner, repo);
 
     if (releases.length === 0) {
       console.log('❌ No releases found in test repository');
-      return;
+      console.log('');
+      return { owner, repo, releases_tested: 0, changes: [] };
     }
 
     console.log(`📚 Found ${releases.length} releases to test`);
-    console.log('');
 
     // Create test backup to show backup structure
     console.log(`💾 Creating test backup to show backup structure...`);
-    createTestBackup(GITHUB_OWNER, TEST_REPO, releases);
+    createTestBackup(owner, repo, releases);
     console.log('');
 
-    let needsUpdateCount = 0;
-
+    const changes = [];
     for (const release of releases) {
       console.log(`Testing release: ${release.tag_name}`);
-      const needsUpdate = await testUpdate(release);
-      if (needsUpdate) needsUpdateCount++;
+      const change = testUpdate(owner, repo, release, config);
+      if (change) changes.push(change);
       console.log('');
     }
 
-    console.log('🧪 Test completed!');
-    console.log(`📊 Test Summary:`);
-    console.log(`   Releases tested: ${releases.length}`);
-    console.log(`   Releases that need updates: ${needsUpdateCount}`);
+    return { owner, repo, releases_tested: releases.length, changes };
+  } catch (error) {
+    console.error(`❌ Test error for ${owner}/${repo}:`, error.message);
+    console.log('');
+    return {
+      owner,
+      repo,
+      releases_tested: 0,
+      changes: [],
+      error: error.message,
+    };
+  }
+}
 
-    if (needsUpdateCount > 0) {
-      console.log('');
-      console.log('💡 To actually update these releases, run:');
-      console.log('   node update-release-contributors.mjs');
-    } else {
-      console.log('');
-      console.log('🎉 All releases are already up to date!');
-    }
+/**
+ * Main test function. Exits with 1 when releases need updates and 2 on
+ * errors, including invalid arguments and configuration, so it can gate a
+ * pipeline.
+ */
+async function main() {
+  let config;
+  try {
+    config = loadTestConfig();
   } catch (error) {
-    console.error('❌ Test error:', error.message);
-    process.exit(1);
+    console.error('❌ Configuration error:', error.message);
+    process.exit(2);
+  }
+  const { args, mapping, hostMapping, testRepos } = config;
+
+  console.log('🧪 Testing release contributor updates...');
+  console.log(`📋 Username mappings:`, mapping.usernameMapping);
+  if (mapping.usernameRules) {
+    console.log(`📏 Username rules:`, mapping.usernameRules.config);
+  }
+  if (Object.keys(mapping.orgMapping).length > 0) {
+    console.log(`🏢 Organization mappings:`, mapping.orgMapping);
+  }
+  if (Object.keys(mapping.repoMapping).length > 0) {
+    console.log(`📦 Repository mappings:`, mapping.repoMapping);
+  }
+  if (hostMapping.sourceHost) {
+    console.log(
+      `🔗 URL rewriting: ${hostMapping.sourceHost} -> ${hostMapping.targetHost}`
+    );
+  }
+  console.log(
+    `📚 Repositories to test: ${testRepos.map(({ owner, repo }) => `${owner}/${repo}`).join(', ')}`
+  );
+  console.log('');
+
+  const results = [];
+  for (const { owner, repo } of testRepos) {
+    results.push(await testRepository(owner, repo, config));
+  }
+
+  const releasesTested = results.reduce(
+    (total, result) => total + result.releases_tested,
+    0
+  );
+  const pending = results.reduce(
+    (total, result) => total + result.changes.length,
+    0
+  );
+  const errors = results.filter(result => result.error).length;
+
+  console.log('🧪 Test completed!');
+  console.log(`📊 Test Summary:`);
+  for (const { owner, repo, releases_tested, changes, error } of results) {
+    console.log(
+      `   ${owner}/${repo}: ${error ? `error (${error})` : `${releases_tested} releases tested, ${changes.length} need updates`}`
+    );
+  }
+  console.log(`   Releases tested: ${releasesTested}`);
+  console.log(`   Releases that need updates: ${pending}`);
+
+  if (pending > 0) {
+    console.log('');
+    console.log('💡 To actually update these releases, run:');
+    console.log('   npm run update');
+  } else if (errors === 0) {
+    console.log('');
+    console.log('🎉 All releases are already up to date!');
+  }
+
+  if (args.json) {
+    process.stdout.write(
+      `${JSON.stringify(
+        {
+          repositories: results,
+          releases_tested: releasesTested,
+          pending_changes: pending,
+          errors,
+        },
+        null,
+        2
+      )}\n`
+    );
+  }
+
+  if (errors > 0) {
+    process.exitCode = 2;
+  } else if (pending > 0) {
+    process.exitCode = 1;
   }
 }
 
 // Run the test
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main().catch(console.error);
+  main().catch(error => {
+    console.error(error);
+    process.exitCode = 2;
+  });
 }
@@ -1,13 +1,75 @@
+import { parseArgs } from 'util';
 import { loadEnv } from './helpers/loadEnv.mjs';
 import {
-  loadUsernameMapping,
-  loadRepositoryWhitelist,
-  initializeOctokit,
-  updateUsernamesInReleaseNotes,
-  getAllReleases,
-  delay,
+  loadMappingConfig,
+  getOwnerMapping,
+  loadRepositorySelection,
+  createOwnerOctokits,
+  loadHostMapping,
+  parseOptionOrExit,
+  rewriteReleaseNotes,
 } from './helpers/common.mjs';
-import { createReleaseBackup, createBackupIndex } from './helpers/backup.mjs';
+import {
+  getContentSource,
+  iterateContentPages,
+  parseContentTypes,
+} from './helpers/contentSources.mjs';
+import { createBackupWriter, createBackupIndex } from './helpers/backup.mjs';
+import { createPlan, addRepositoryToPlan, writePlan } from './helpers/plan.mjs';
+import { resolveAllRepositories } from './helpers/repositorySelection.mjs';
+import {
+  createRun,
+  openRun,
+  readRunFile,
+  writeRunFile,
+} from './helpers/run.mjs';
+import { COMPLETED_WITH_FAILURES, openJournal } from './helpers/journal.mjs';
+import { checkMappingBeforeRun } from './helpers/mappingValidation.mjs';
+import { printRateLimitSummary } from './helpers/rateLimit.mjs';
+import {
+  mapWithConcurrency,
+  parseConcurrency,
+  runWithGroupedOutput,
+} from './helpers/concurrency.mjs';
+
+// Parse command line arguments (`--dry-run` or the `plan` command,
+// `--content releases,issues,...` to select content types, and
+// `--concurrency` / `--item-concurrency` to process several repositories
+// and items at once, `--resume <runId>` to continue an interrupted run, and
+// `--skip-mapping-check` to run despite username mapping errors)
+const { values: ARGS, positionals: COMMANDS } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    content: { type: 'string' },
+    concurrency: { type: 'string' },
+    'item-concurrency': { type: 'string' },
+    resume: { type: 'string' },
+    'skip-mapping-check': { type: 'boolean', default: false },
+  },
+  allowPositionals: true,
+});
+const DRY_RUN = ARGS['dry-run'] || COMMANDS[0] === 'plan';
+if (DRY_RUN && ARGS.resume) {
+  console.error('❌ --resume cannot be combined with a dry run');
+  process.exit(1);
+}
+
+// A resumed run reuses the repositories and options of the original run
+const RESUMED_RUN = ARGS.resume
+  ? parseOptionOrExit(() => openRun(ARGS.resume))
+  : null;
+const RUN_OPTIONS = RESUMED_RUN
+  ? parseOptionOrExit(() => readRunFile(RESUMED_RUN, 'run.json'))
+  : null;
+const CONTENT_TYPES = RUN_OPTIONS
+  ? RUN_OPTIONS.content_types
+  : parseOptionOrExit(() => parseContentTypes(ARGS.content));
+const REPOSITORY_CONCURRENCY = parseOptionOrExit(() =>
+  parseConcurrency(ARGS.concurrency, 'concurrency')
+);
+const ITEM_CONCURRENCY = parseOptionOrExit(() =>
+  parseConcurrency(ARGS['item-concurrency'], 'item-concurrency')
+);
 
 // Load environment variables
 const { GITHUB_TOKEN, GITHUB_OWNER } = loadEnv([
@@ -15,161 +77,403 @@ const { GITHUB_TOKEN, GITHUB_OWNER } = loadEnv([
   'GITHUB_OWNER',
 ]);
 
-// Load username mapping from configuration file
-const USERNAME_MAPPING = loadUsernameMapping();
+// Load username, organization and repository mappings from configuration file
+const MAPPING = loadMappingConfig();
+const USERNAME_MAPPING = MAPPING.usernameMapping;
 
-// Load repository whitelist
-const REPOSITORY_WHITELIST = loadRepositoryWhitelist();
+// Load GHES -> GHEC host mapping used to rewrite URLs
+const HOST_MAPPING = loadHostMapping();
 
-// Initialize Octokit
-const octokit = await initializeOctokit(GITHUB_TOKEN);
+// Load repository whitelist and selectors
+const REPOSITORY_SELECTION = loadRepositorySelection();
+
+// Octokit clients per owner (GITHUB_TOKEN_<OWNER> or GITHUB_TOKEN)
+const getOctokit = createOwnerOctokits(GITHUB_TOKEN);
 
 /**
- * Get repositories from whitelist and verify they exist
+ * Update the body of a single item (release, issue, comment, ...).
+ * In dry-run mode the change is only recorded in `options.changes`.
+ * The written body is recorded in `options.backup` for safe restores.
+ * @returns {Promise<string>} 'updated', 'skipped' (no changes needed) or 'failed'
  */
-async function getWhitelistedRepositories(owner) {
+async function updateItem(owner, repo, source, item, options = {}) {
+  const { dryRun = false, changes = [], backup = null } = options;
+  const label = `${source.label} ${source.describe(item)}`;
+
   try {
-    console.log(
-      `Processing ${REPOSITORY_WHITELIST.length} whitelisted repositories...`
+    const updatedBody = rewriteReleaseNotes(
+      item.body,
+      getOwnerMapping(MAPPING, owner),
+      HOST_MAPPING
     );
 
-    const verifiedRepos = [];
+    // Only update if there are actual changes
+    if (updatedBody === item.body) {
+      console.log(`  No username updates needed for ${label}`);
+      return 'skipped';
+    }
 
-    for (const repoName of REPOSITORY_WHITELIST) {
-      try {
-        // Verify repository exists and is accessible
-        const { data: repo } = await octokit.rest.repos.get({
-          owner,
-          repo: repoName,
-        });
+    if (dryRun) {
+      console.log(`  📝 ${label} would be updated`);
+      const fields = source.serialize(item);
+      delete fields.body;
+      changes.push({
+        ...fields,
+        label: source.describe(item),
+        before: item.body,
+        after: updatedBody,
+      });
+      return 'updated';
+    }
 
-        verifiedRepos.push({
-          name: repo.name,
-          full_name: repo.full_name,
-          private: repo.private,
-          archived: repo.archived,
-          disabled: repo.disabled,
-        });
+    console.log(`  Updating ${label}...`);
 
-        console.log(`  ✅ ${repoName} - verified`);
-
-        // Add delay to avoid rate limiting
-        await delay(100);
-      } catch (error) {
-        if (error.status === 404) {
-          console.log(
-            `  ❌ ${repoName} - repository not found or not accessible`
-          );
-        } else {
-          console.log(`  ⚠️  ${repoName} - error verifying: ${error.message}`);
-        }
-      }
-    }
+    const octokit = await getOctokit(owner);
+    await source.update(octokit, owner, repo, item, updatedBody);
+    if (backup) backup.markUpdated(item, updatedBody);
 
-    return verifiedRepos;
+    console.log(`  ✅ Successfully updated ${label}`);
+    return 'updated';
   } catch (error) {
-    console.error(`Error processing repository whitelist:`, error.message);
-    return [];
+    console.error(`  ❌ Error updating ${label}:`, error.message);
+    return 'failed';
   }
 }
 
 /**
- * Update a specific release
+ * Check whether the live body of an item is the rewrite of the body in the
+ * backup, i.e. the item was updated by an interrupted run
+ * @param {string} owner - Repository owner
+ * @param {Object} backup - Backup writer of the resumed run
+ * @param {Object} item - Live item
+ * @returns {boolean} True if the item was already updated
  */
-async function updateRelease(owner, repo, releaseId, releaseData) {
-  try {
-    const updatedBody = updateUsernamesInReleaseNotes(
-      releaseData.body,
-      USERNAME_MAPPING
+function isRewrittenBackup(owner, backup, item) {
+  const backedUp = backup.getBackedUpItem(item);
+  if (!backedUp || backedUp.body === item.body) return false;
+
+  return (
+    rewriteReleaseNotes(
+      backedUp.body,
+      getOwnerMapping(MAPPING, owner),
+      HOST_MAPPING
+    ) === item.body
+  );
+}
+
+/**
+ * Process all items of one content type for a repository.
+ * Items are fetched page by page; each page is written to the backup
+ * before any item on it is updated. In dry-run mode no backup is written
+ * and the planned changes are returned instead.
+ * With a journal, every step is recorded. Items the journal already marks
+ * as updated or skipped are not processed again, and the backup of the
+ * journaled run is continued instead of starting a new one. When items
+ * fail, the content type is recorded as completed with failures, so a
+ * resumed run retries them.
+ */
+async function processRepositoryContent(owner, repo, source, options = {}) {
+  const { dryRun = false, journal = null } = options;
+  const repository = `${owner}/${repo}`;
+  const journaled = journal
+    ? journal.getContent(repository, source.type)
+    : null;
+
+  if (journal && journal.isContentDone(repository, source.type)) {
+    console.log(
+      `  ⏭️  ${source.type} already completed in this run - skipping`
     );
+    return {
+      processed: 0,
+      updated: 0,
+      failed: 0,
+      pages: 0,
+      changes: [],
+      backupFile: journaled.backup_file,
+      resumed: true,
+    };
+  }
 
-    // Only update if there are actual changes
-    if (updatedBody === releaseData.body) {
+  const record = entry =>
+    journal &&
+    journal.record({ repository, content_type: source.type, ...entry });
+
+  try {
+    console.log(`  Fetching ${source.type} for ${owner}/${repo}...`);
+    const octokit = await getOctokit(owner);
+    const stats = {};
+    const backup = dryRun
+      ? null
+      : createBackupWriter(owner, repo, {
+          contentType: source.type,
+          file: journaled ? journaled.backup_file : undefined,
+        });
+    const changes = [];
+
+    if (backup) {
+      if (backup.resumed) {
+        console.log(`  💾 Continuing backup: ${backup.file}`);
+      }
+      record({ state: 'started', backup_file: backup.file });
+    }
+
+    let updatedCount = 0;
+    let failedCount = 0;
+    let alreadyDone = 0;
+    for await (const items of iterateContentPages(
+      octokit,
+      owner,
+      repo,
+      source,
+      stats
+    )) {
+      console.log(`  📄 Page ${stats.pages}: ${items.length} ${source.type}`);
+
+      // Backup this page before making any changes
+      if (backup) {
+        for (const item of backup.append(items)) {
+          record({ item_id: item.id, state: 'backed_up' });
+        }
+      }
+
+      // Items updated just before an interruption may miss the body the tool
+      // wrote in the backup; their live body is that body. Items written
+      // right before the interruption may not even be journaled as updated:
+      // their live body is then the rewrite of their backed-up body.
+      const content = journal && journal.getContent(repository, source.type);
+      if (backup && content) {
+        for (const item of items) {
+          if (backup.hasUpdatedBody(item)) continue;
+
+          if (content.items[item.id] === 'updated') {
+            backup.markUpdated(item, item.body);
+          } else if (isRewrittenBackup(owner, backup, item)) {
+            backup.markUpdated(item, item.body);
+            record({ item_id: item.id, state: 'updated' });
+          }
+        }
+      }
+
+      const pending = journal
+        ? items.filter(
+            item => !journal.isItemDone(repository, source.type, item.id)
+          )
+        : items;
+      alreadyDone += items.length - pending.length;
+
+      await mapWithConcurrency(pending, ITEM_CONCURRENCY, async item => {
+        const state = await updateItem(owner, repo, source, item, {
+          dryRun,
+          changes,
+          backup,
+        });
+        if (state === 'updated') updatedCount++;
+        if (state === 'failed') failedCount++;
+        record({ item_id: item.id, state });
+      });
+
+      // Save the bodies written on this page
+      if (backup) backup.save();
+    }
+
+    if (alreadyDone > 0) {
       console.log(
-        `  No username updates needed for release ${releaseData.tag_name}`
+        `  ⏭️  ${alreadyDone} ${source.type} already done in this run were skipped`
       );
-      return false;
     }
 
-    console.log(`  Updating release ${releaseData.tag_name}...`);
+    if (stats.items === 0) {
+      console.log(`  No ${source.type} found for ${owner}/${repo}`);
+      record({ state: 'completed' });
+      return {
+        processed: 0,
+        updated: 0,
+        failed: 0,
+        pages: stats.pages,
+        changes,
+      };
+    }
 
-    await octokit.rest.repos.updateRelease({
-      owner,
-      repo,
-      release_id: releaseId,
-      body: updatedBody,
+    console.log(
+      `  Found ${stats.items} ${source.type} across ${stats.pages} page(s)`
+    );
+
+    let backupFile;
+    if (backup) {
+      backupFile = backup.finish(stats);
+      console.log(`  💾 Backup created: ${backupFile}`);
+    }
+    if (failedCount > 0) {
+      console.log(`  ⚠️  ${failedCount} ${source.type} could not be updated`);
+    }
+    record({
+      state: failedCount > 0 ? COMPLETED_WITH_FAILURES : 'completed',
+      backup_file: backupFile,
     });
 
-    console.log(`  ✅ Successfully updated release ${releaseData.tag_name}`);
-    return true;
+    return {
+      processed: stats.items - alreadyDone,
+      updated: updatedCount,
+      failed: failedCount,
+      pages: stats.pages,
+      backupFile,
+      changes,
+      resumed: alreadyDone > 0,
+    };
   } catch (error) {
     console.error(
-      `  ❌ Error updating release ${releaseData.tag_name}:`,
+      `  ❌ Error processing ${source.type} for ${owner}/${repo}:`,
       error.message
     );
-    return false;
+    record({ state: 'failed', error: error.message });
+    return {
+      processed: 0,
+      updated: 0,
+      failed: 0,
+      pages: 0,
+      changes: [],
+      error: true,
+    };
   }
 }
 
 /**
- * Backup release notes to file
+ * Process every selected content type of one repository
+ * @returns {Promise<Array>} Result per content type ({ type, ...result })
  */
-async function backupReleaseNotes(owner, repo, releases) {
-  try {
-    const backupDir = `./backups/${owner}/${repo}`;
+async function processRepositoryContents(repo, index, total, journal) {
+  const repository = repo.full_name;
+
+  console.log(`[${index + 1}/${total}] Processing ${repository}...`);
+  if (journal && journal.isRepositoryDone(repository)) {
+    console.log(`  ⏭️  Already completed in this run - skipping`);
+    console.log('');
+    return [];
+  }
 
-    // Create backup using helper function
-    const backupFile = createReleaseBackup(owner, repo, releases);
+  const status = [];
+  if (repo.private) status.push('🔒 Private');
+  if (repo.archived) status.push('📦 Archived');
+  if (repo.disabled) status.push('🚫 Disabled');
 
-    return backupFile;
-  } catch (error) {
-    console.error(
-      `  ❌ Error creating backup for ${owner}/${repo}:`,
-      error.message
+  if (status.length > 0) {
+    console.log(`  📋 Status: ${status.join(', ')}`);
+  }
+  if (journal) journal.record({ repository, state: 'started' });
+
+  const results = [];
+  for (const type of CONTENT_TYPES) {
+    const result = await processRepositoryContent(
+      repo.owner,
+      repo.name,
+      getContentSource(type),
+      { dryRun: DRY_RUN, journal }
+    );
+    results.push({ type, ...result });
+
+    console.log(
+      `  📊 Summary (${type}): ${result.processed} processed (${result.pages} page(s)), ${result.updated} ${DRY_RUN ? 'to update' : 'updated'}`
     );
-    return null;
+    if (result.backupFile) {
+      console.log(`  💾 Backup saved to: ${result.backupFile}`);
+    }
+  }
+  console.log('');
+
+  if (journal && !results.some(result => result.error)) {
+    journal.record({
+      repository,
+      state: results.some(result => result.failed > 0)
+        ? COMPLETED_WITH_FAILURES
+        : 'completed',
+    });
   }
+
+  return results;
 }
 
 /**
- * Process all releases for a repository
+ * Print the summary of every owner, grouped by content type
+ * @param {Object} ownerTotals - Totals per owner
+ * @param {string} processedLabel - Label for processed items
+ * @param {string} updatedLabel - Label for updated items
  */
-async function processRepositoryReleases(owner, repo) {
-  try {
-    const releases = await getAllReleases(octokit, owner, repo);
-
-    if (releases.length === 0) {
-      console.log(`  No releases found for ${owner}/${repo}`);
-      return { processed: 0, updated: 0 };
+function printOwnerTotals(ownerTotals, processedLabel, updatedLabel) {
+  for (const [owner, totals] of Object.entries(ownerTotals)) {
+    console.log(`   👤 ${owner}: ${totals.repositories} repositories`);
+    for (const [type, total] of Object.entries(totals.types)) {
+      console.log(
+        `      ${type}: ${total.processed} ${processedLabel} (${total.pages} page(s)), ${total.updated} ${updatedLabel}`
+      );
     }
+    console.log(`      Errors encountered: ${totals.errors}`);
+  }
+}
 
-    console.log(`  Found ${releases.length} releases`);
-
-    // Backup releases before making any changes
-    console.log(`  💾 Creating backup...`);
-    const backupFile = await backupReleaseNotes(owner, repo, releases);
-
-    let updatedCount = 0;
-    for (const release of releases) {
-      const wasUpdated = await updateRelease(owner, repo, release.id, release);
-      if (wasUpdated) updatedCount++;
+/**
+ * Resolve the repositories and start a new run. The resolved repositories
+ * and run options are saved before anything is written.
+ * @returns {Promise<Object>} Run and repositories ({ run, repos })
+ */
+async function startRun() {
+  const repos = await resolveAllRepositories(
+    getOctokit,
+    GITHUB_OWNER,
+    REPOSITORY_SELECTION
+  );
+  if (repos.length === 0) return { run: null, repos };
+
+  const run = createRun();
+  const repositoriesFile = writeRunFile(run, 'repositories.json', {
+    default_owner: GITHUB_OWNER,
+    owners: [...new Set(repos.map(repo => repo.owner))],
+    whitelist: REPOSITORY_SELECTION.whitelist,
+    selectors: REPOSITORY_SELECTION.selectors,
+    total_repositories: repos.length,
+    repositories: repos,
+  });
+  writeRunFile(run, 'mapping.json', {
+    username_mapping: USERNAME_MAPPING,
+    username_rules: MAPPING.usernameRules ? MAPPING.usernameRules.config : null,
+    sources: MAPPING.mappingSources.sources,
+    conflicts: MAPPING.mappingSources.conflicts,
+  });
+  writeRunFile(run, 'run.json', {
+    run_id: run.id,
+    created_at: new Date().toISOString(),
+    dry_run: DRY_RUN,
+    content_types: CONTENT_TYPES,
+  });
+
+  console.log(`📚 Found ${repos.length} repositories:`);
+  repos.forEach(repo => console.log(`   - ${repo.full_name}`));
+  console.log(`💾 Repository list saved to: ${repositoriesFile}`);
+  return { run, repos };
+}
 
-      // Add a small delay to avoid rate limiting
-      await delay(100);
-    }
+/**
+ * Continue an earlier run with the repositories it resolved
+ * @param {Object} run - Run ({ id, dir })
+ * @returns {Object} Run and repositories ({ run, repos })
+ */
+function resumeRun(run) {
+  if (RUN_OPTIONS.dry_run) {
+    throw new Error(`Run ${run.id} was a dry run and cannot be resumed`);
+  }
 
-    return { processed: releases.length, updated: updatedCount, backupFile };
-  } catch (error) {
-    console.error(
-      `  ❌ Error processing releases for ${owner}/${repo}:`,
-      error.message
+  const { repositories: repos } = readRunFile(run, 'repositories.json');
+  console.log(`🔁 Resuming run ${run.id} (started ${RUN_OPTIONS.created_at})`);
+  if (ARGS.content) {
+    console.log(
+      `   ⚠️  --content is ignored, the run uses: ${CONTENT_TYPES.join(', ')}`
     );
-    return { processed: 0, updated: 0, error: true };
   }
+  console.log(`📚 ${repos.length} repositories from the original run`);
+  return { run, repos };
 }
 
 /**
- * Main function to process all repositories and releases
+ * Main function to process all repositories and their content
  */
 async function main() {
   if (!GITHUB_TOKEN) {
@@ -177,73 +481,173 @@ async function main() {
     process.exit(1);
   }
 
-  console.log('🚀 Starting release contributor update process...');
-  console.log(`📋 Username mappings:`, USERNAME_MAPPING);
-  console.log(`📚 Repository whitelist:`, REPOSITORY_WHITELIST);
-  console.log(`👤 Processing repositories for: ${GITHUB_OWNER}`);
+  if (DRY_RUN) {
+    console.log('📝 Planning release contributor updates (dry run)...');
+    console.log('   No changes will be made on GitHub.');
+  } else {
+    console.log('🚀 Starting release contributor update process...');
+  }
+  if (MAPPING.mappingSources.sources.length > 1) {
+    console.log(
+      `📋 Username mappings: ${Object.keys(USERNAME_MAPPING).length} entries from`
+    );
+    for (const { name, entries } of MAPPING.mappingSources.sources) {
+      console.log(`   - ${name}: ${entries} entries`);
+    }
+  } else {
+    console.log(`📋 Username mappings:`, USERNAME_MAPPING);
+  }
+  if (MAPPING.usernameRules) {
+    console.log(`📏 Username rules:`, MAPPING.usernameRules.config);
+  }
+  for (const [owner, ownerMapping] of Object.entries(MAPPING.ownerMappings)) {
+    console.log(
+      `📋 Username mappings for ${owner}:`,
+      ownerMapping.username_mapping || {}
+    );
+    if (ownerMapping.username_rules) {
+      console.log(
+        `📏 Username rules for ${owner}:`,
+        ownerMapping.username_rules
+      );
+    }
+  }
+  if (Object.keys(MAPPING.orgMapping).length > 0) {
+    console.log(`🏢 Organization mappings:`, MAPPING.orgMapping);
+  }
+  if (Object.keys(MAPPING.repoMapping).length > 0) {
+    console.log(`📦 Repository mappings:`, MAPPING.repoMapping);
+  }
+  if (HOST_MAPPING.sourceHost) {
+    console.log(
+      `🔗 URL rewriting: ${HOST_MAPPING.sourceHost} -> ${HOST_MAPPING.targetHost}`
+    );
+  }
+  console.log(`📝 Content types: ${CONTENT_TYPES.join(', ')}`);
+  console.log(
+    `⚙️  Concurrency: ${REPOSITORY_CONCURRENCY} repositories, ${ITEM_CONCURRENCY} items per repository`
+  );
+  if (!RESUMED_RUN) {
+    console.log(`📚 Repository whitelist:`, REPOSITORY_SELECTION.whitelist);
+    if (REPOSITORY_SELECTION.selectors) {
+      console.log(`🔎 Repository selectors:`, REPOSITORY_SELECTION.selectors);
+    }
+    console.log(`👤 Default owner: ${GITHUB_OWNER}`);
+  }
   console.log('');
 
+  if (!ARGS['skip-mapping-check'] && !checkMappingBeforeRun(MAPPING)) {
+    process.exit(1);
+  }
+
   try {
-    const repos = await getWhitelistedRepositories(GITHUB_OWNER);
+    const { run, repos } = RESUMED_RUN
+      ? resumeRun(RESUMED_RUN)
+      : await startRun();
 
     if (repos.length === 0) {
       console.log('❌ No repositories found');
       return;
     }
 
-    console.log(`📚 Found ${repos.length} repositories`);
+    console.log(`🆔 Run ID: ${run.id}`);
+    const journal = DRY_RUN ? null : openJournal(run);
+    if (journal) {
+      console.log(`📓 Journal: ${journal.file}`);
+      console.log(
+        `   If the run stops, continue it with: npm run update -- --resume ${run.id}`
+      );
+    }
     console.log('');
 
-    let totalProcessed = 0;
-    let totalUpdated = 0;
-    let totalErrors = 0;
+    // Totals per owner and content type
+    const ownerTotals = {};
+    const getOwnerTotals = owner => {
+      if (!ownerTotals[owner]) {
+        ownerTotals[owner] = {
+          repositories: 0,
+          errors: 0,
+          types: Object.fromEntries(
+            CONTENT_TYPES.map(type => [
+              type,
+              { processed: 0, updated: 0, pages: 0 },
+            ])
+          ),
+        };
+      }
+      return ownerTotals[owner];
+    };
+    const plan = createPlan(GITHUB_OWNER, MAPPING, HOST_MAPPING);
+
+    // Process repositories in a bounded pool. With more than one repository
+    // at a time, the output of each repository is printed once it finishes.
+    const processRepository = (repo, index) =>
+      processRepositoryContents(repo, index, repos.length, journal);
+    const repoResults = await mapWithConcurrency(
+      repos,
+      REPOSITORY_CONCURRENCY,
+      REPOSITORY_CONCURRENCY > 1
+        ? (repo, index) =>
+            runWithGroupedOutput(() => processRepository(repo, index))
+        : processRepository
+    );
+
+    repos.forEach((repo, index) => {
+      const totals = getOwnerTotals(repo.owner);
+      totals.repositories++;
 
-    for (let i = 0; i < repos.length; i++) {
-      const repo = repos[i];
-      const status = [];
-      if (repo.private) status.push('🔒 Private');
-      if (repo.archived) status.push('📦 Archived');
-      if (repo.disabled) status.push('🚫 Disabled');
+      for (const { type, ...result } of repoResults[index]) {
+        addRepositoryToPlan(plan, repo.owner, repo.name, type, result.changes);
 
-      console.log(`[${i + 1}/${repos.length}] Processing ${repo.name}...`);
-      if (status.length > 0) {
-        console.log(`  📋 Status: ${status.join(', ')}`);
+        totals.types[type].processed += result.processed;
+        totals.types[type].pages += result.pages;
+        totals.types[type].updated += result.updated;
+        // Content types that failed and items that could not be updated
+        if (result.error) totals.errors++;
+        totals.errors += result.failed;
       }
+    });
 
-      const result = await processRepositoryReleases(GITHUB_OWNER, repo.name);
+    const totalErrors = Object.values(ownerTotals).reduce(
+      (sum, totals) => sum + totals.errors,
+      0
+    );
+    if (totalErrors > 0) process.exitCode = 1;
 
-      totalProcessed += result.processed;
-      totalUpdated += result.updated;
-      if (result.error) totalErrors++;
+    if (DRY_RUN) {
+      const { planFile, diffFile } = writePlan(plan);
 
-      console.log(
-        `  📊 Summary: ${result.processed} processed, ${result.updated} updated`
-      );
-      if (result.backupFile) {
-        console.log(`  💾 Backup saved to: ${result.backupFile}`);
-      }
+      console.log('📝 Plan completed!');
+      console.log(`📊 Plan Summary:`);
+      console.log(`   Repositories scanned: ${repos.length}`);
+      printOwnerTotals(ownerTotals, 'scanned', 'would be updated');
+      console.log(`   Errors encountered: ${totalErrors}`);
+      printRateLimitSummary();
       console.log('');
-
-      // Add delay between repositories to be respectful to GitHub's API
-      if (i < repos.length - 1) {
-        await delay(500);
-      }
+      console.log(`💾 Plan saved to: ${planFile}`);
+      console.log(`📄 Readable diff saved to: ${diffFile}`);
+      return;
     }
 
     console.log('🎉 Process completed!');
     console.log(`📊 Final Summary:`);
     console.log(`   Repositories processed: ${repos.length}`);
-    console.log(`   Total releases processed: ${totalProcessed}`);
-    console.log(`   Total releases updated: ${totalUpdated}`);
+    printOwnerTotals(ownerTotals, 'processed', 'updated');
     console.log(`   Errors encountered: ${totalErrors}`);
+    printRateLimitSummary();
     console.log(`   Backups created in: ./backups/`);
+    if (totalErrors > 0) {
+      console.log(
+        `   Retry what failed with: npm run update -- --resume ${run.id}`
+      );
+    }
     console.log('');
-    console.log('💾 All release notes have been backed up before updating.');
+    console.log('💾 All content has been backed up before updating.');
     console.log(
       '   You can find the backup files in the ./backups/ directory.'
     );
     console.log(
-      '   Each backup includes the original release data and can be used to restore if needed.'
+      '   Each backup includes the original data and can be used to restore if needed.'
     );
 
     // Create backup index
@@ -0,0 +1,240 @@
+import { parseArgs } from 'util';
+import { loadEnv } from './helpers/loadEnv.mjs';
+import {
+  loadMappingConfig,
+  getOwnerMapping,
+  loadRepositorySelection,
+  loadRepositoryFilePaths,
+  createOwnerOctokits,
+} from './helpers/common.mjs';
+import { formatUnifiedDiff } from './helpers/diff.mjs';
+import {
+  fetchRepositoryFiles,
+  rewriteRepositoryFile,
+  openFileUpdatePullRequest,
+} from './helpers/repositoryFiles.mjs';
+import { resolveAllRepositories } from './helpers/repositorySelection.mjs';
+import { createRun, writeRunFile } from './helpers/run.mjs';
+import { checkMappingBeforeRun } from './helpers/mappingValidation.mjs';
+import { printRateLimitSummary } from './helpers/rateLimit.mjs';
+
+// Parse command line arguments
+const { values: ARGS } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    branch: { type: 'string', default: 'fix/ghec-username-mapping' },
+    title: {
+      type: 'string',
+      default: 'Update GitHub usernames after GHEC migration',
+    },
+    'skip-mapping-check': { type: 'boolean', default: false },
+  },
+});
+const DRY_RUN = ARGS['dry-run'];
+
+// Load environment variables
+const { GITHUB_TOKEN, GITHUB_OWNER } = loadEnv([
+  'GITHUB_TOKEN',
+  'GITHUB_OWNER',
+]);
+
+// Load username, organization and repository mappings from configuration file
+const MAPPING = loadMappingConfig();
+
+// Load repository whitelist and selectors
+const REPOSITORY_SELECTION = loadRepositorySelection();
+
+// Load repository file paths to scan
+const REPOSITORY_FILES = loadRepositoryFilePaths();
+
+// Octokit clients per owner (GITHUB_TOKEN_<OWNER> or GITHUB_TOKEN)
+const getOctokit = createOwnerOctokits(GITHUB_TOKEN);
+
+/**
+ * Scan the configured files of a repository and open a pull request with
+ * the rewritten files
+ */
+async function processRepositoryFiles(owner, repo) {
+  try {
+    const octokit = await getOctokit(owner);
+    const mapping = getOwnerMapping(MAPPING, owner);
+    const { data: repository } = await octokit.rest.repos.get({ owner, repo });
+    const baseBranch = repository.default_branch;
+
+    const files = await fetchRepositoryFiles(
+      octokit,
+      owner,
+      repo,
+      REPOSITORY_FILES,
+      baseBranch
+    );
+    console.log(`  Found ${files.length} file(s) to scan on ${baseBranch}`);
+
+    const changes = [];
+    for (const { path, content } of files) {
+      const updated = rewriteRepositoryFile(path, content, mapping);
+      if (updated === content) {
+        console.log(`  No username updates needed for ${path}`);
+        continue;
+      }
+
+      console.log(`  🔄 ${path} needs updates:`);
+      console.log(
+        formatUnifiedDiff(content, updated, {
+          oldLabel: `a/${path}`,
+          newLabel: `b/${path}`,
+          context: 1,
+        })
+          .split('\n')
+          .map(line => `     ${line}`)
+          .join('\n')
+      );
+      changes.push({ path, before: content, after: updated });
+    }
+
+    if (changes.length === 0 || DRY_RUN) {
+      return { scanned: files.length, changed: changes.length };
+    }
+
+    // Do not overwrite a branch left by a previous run
+    try {
+      await octokit.rest.git.getRef({
+        owner,
+        repo,
+        ref: `heads/${ARGS.branch}`,
+      });
+      console.log(
+        `  ⚠️  Branch ${ARGS.branch} already exists - skipping pull request`
+      );
+      return { scanned: files.length, changed: changes.length, skipped: true };
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+
+    console.log(`  Opening pull request from ${ARGS.branch}...`);
+    const pullRequest = await openFileUpdatePullRequest(
+      octokit,
+      owner,
+      repo,
+      changes,
+      { baseBranch, branch: ARGS.branch, title: ARGS.title }
+    );
+    console.log(`  ✅ Pull request opened: ${pullRequest.html_url}`);
+
+    return {
+      scanned: files.length,
+      changed: changes.length,
+      pullRequest: pullRequest.html_url,
+    };
+  } catch (error) {
+    console.error(
+      `  ❌ Error updating files for ${owner}/${repo}:`,
+      error.message
+    );
+    return { scanned: 0, changed: 0, error: true };
+  }
+}
+
+/**
+ * Main function to process repository files of all whitelisted repositories
+ */
+async function main() {
+  if (DRY_RUN) {
+    console.log('📝 Scanning repository files (dry run)...');
+    console.log('   No branches or pull requests will be created.');
+  } else {
+    console.log('🚀 Updating usernames in repository files...');
+  }
+  console.log(`📋 Username mappings:`, MAPPING.usernameMapping);
+  if (MAPPING.usernameRules) {
+    console.log(`📏 Username rules:`, MAPPING.usernameRules.config);
+  }
+  console.log(`📁 Repository files:`, REPOSITORY_FILES);
+  console.log(`📚 Repository whitelist:`, REPOSITORY_SELECTION.whitelist);
+  if (REPOSITORY_SELECTION.selectors) {
+    console.log(`🔎 Repository selectors:`, REPOSITORY_SELECTION.selectors);
+  }
+  console.log(`👤 Default owner: ${GITHUB_OWNER}`);
+  console.log('');
+
+  if (!ARGS['skip-mapping-check'] && !checkMappingBeforeRun(MAPPING)) {
+    process.exit(1);
+  }
+
+  let repos;
+  try {
+    repos = await resolveAllRepositories(
+      getOctokit,
+      GITHUB_OWNER,
+      REPOSITORY_SELECTION
+    );
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  }
+
+  if (repos.length === 0) {
+    console.log('❌ No repositories found');
+    return;
+  }
+
+  // Save the resolved repositories before anything is written
+  const run = createRun();
+  const repositoriesFile = writeRunFile(run, 'repositories.json', {
+    default_owner: GITHUB_OWNER,
+    owners: [...new Set(repos.map(repo => repo.owner))],
+    whitelist: REPOSITORY_SELECTION.whitelist,
+    selectors: REPOSITORY_SELECTION.selectors,
+    total_repositories: repos.length,
+    repositories: repos,
+  });
+
+  console.log(`📚 Found ${repos.length} repositories:`);
+  repos.forEach(repo => console.log(`   - ${repo.full_name}`));
+  console.log(`💾 Repository list saved to: ${repositoriesFile}`);
+  console.log('');
+
+  // Totals per owner
+  const ownerTotals = {};
+
+  for (let i = 0; i < repos.length; i++) {
+    const { owner, name, full_name } = repos[i];
+    console.log(`[${i + 1}/${repos.length}] Processing ${full_name}...`);
+
+    const result = await processRepositoryFiles(owner, name);
+
+    if (!ownerTotals[owner]) {
+      ownerTotals[owner] = {
+        repositories: 0,
+        changed: 0,
+        errors: 0,
+        pullRequests: [],
+      };
+    }
+    const totals = ownerTotals[owner];
+    totals.repositories++;
+    totals.changed += result.changed;
+    if (result.error) totals.errors++;
+    if (result.pullRequest) totals.pullRequests.push(result.pullRequest);
+    console.log('');
+  }
+
+  console.log('🎉 Process completed!');
+  console.log(`📊 Final Summary:`);
+  console.log(`   Repositories processed: ${repos.length}`);
+  for (const [owner, totals] of Object.entries(ownerTotals)) {
+    console.log(`   👤 ${owner}: ${totals.repositories} repositories`);
+    console.log(
+      `      Files ${DRY_RUN ? 'to update' : 'updated'}: ${totals.changed}`
+    );
+    console.log(`      Pull requests opened: ${totals.pullRequests.length}`);
+    console.log(`      Errors encountered: ${totals.errors}`);
+    totals.pullRequests.forEach(url => console.log(`      🔗 ${url}`));
+  }
+  printRateLimitSummary();
+}
+
+// Run the script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(console.error);
+}
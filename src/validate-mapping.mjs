@@ -0,0 +1,162 @@
+import { parseArgs } from 'util';
+import { loadEnv } from './helpers/loadEnv.mjs';
+import {
+  createOwnerOctokits,
+  getOwnerMapping,
+  loadMappingConfig,
+  loadRepositorySelection,
+  parseOptionOrExit,
+} from './helpers/common.mjs';
+import {
+  checkTargetAccounts,
+  printMappingIssues,
+  validateMappingConfig,
+} from './helpers/mappingValidation.mjs';
+import { groupSelectionByOwner } from './helpers/repositorySelection.mjs';
+import { parseConcurrency } from './helpers/concurrency.mjs';
+import { printRateLimitSummary } from './helpers/rateLimit.mjs';
+
+// Parse command line arguments: `--check-accounts` looks up every target
+// login on GHEC, `--org` sets the organizations they must belong to
+const { values: ARGS } = parseArgs({
+  options: {
+    'check-accounts': { type: 'boolean', default: false },
+    org: { type: 'string', multiple: true },
+    concurrency: { type: 'string' },
+  },
+});
+const CHECK_ACCOUNTS = ARGS['check-accounts'];
+const CONCURRENCY = parseOptionOrExit(() =>
+  parseConcurrency(ARGS.concurrency, 'concurrency', 4)
+);
+
+/**
+ * Collect the target logins of the global and every owner's mapping
+ * @param {Object} mapping - Mapping config from loadMappingConfig
+ * @returns {Array<string>} Unique target logins
+ */
+function collectTargetLogins(mapping) {
+  const targets = new Map();
+  const mappings = [
+    mapping.usernameMapping,
+    ...Object.keys(mapping.ownerMappings).map(
+      owner => getOwnerMapping(mapping, owner).usernameMapping
+    ),
+  ];
+
+  for (const usernameMapping of mappings) {
+    for (const [oldLogin, newLogin] of Object.entries(usernameMapping)) {
+      if (oldLogin.toLowerCase() === newLogin.toLowerCase()) continue;
+      targets.set(newLogin.toLowerCase(), newLogin);
+    }
+  }
+  return [...targets.values()];
+}
+
+/**
+ * Get the organizations target accounts must belong to: the --org values,
+ * or the owners of the whitelisted repositories that are organizations
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} defaultOwner - Owner of whitelist entries without an owner
+ * @returns {Promise<Array<string>>} Organization logins
+ */
+async function getEnterpriseOrgs(octokit, defaultOwner) {
+  if (ARGS.org) return ARGS.org;
+
+  const owners = groupSelectionByOwner(
+    loadRepositorySelection(),
+    defaultOwner
+  ).map(({ owner }) => owner);
+  const orgs = [];
+  for (const owner of owners) {
+    const { data } = await octokit.rest.users.getByUsername({
+      username: owner,
+    });
+    if (data.type === 'Organization') orgs.push(data.login);
+  }
+  return orgs;
+}
+
+/**
+ * Look up every target account on GHEC
+ * @param {Object} mapping - Mapping config from loadMappingConfig
+ * @returns {Promise<number>} Number of accounts with problems
+ */
+async function checkAccounts(mapping) {
+  const { GITHUB_TOKEN, GITHUB_OWNER } = process.env;
+  const octokit = await createOwnerOctokits(GITHUB_TOKEN)(GITHUB_OWNER);
+  const orgs = await getEnterpriseOrgs(octokit, GITHUB_OWNER);
+  const logins = collectTargetLogins(mapping);
+
+  console.log('');
+  console.log(
+    `👤 Checking ${logins.length} target account(s)${orgs.length > 0 ? ` (members of ${orgs.join(', ')})` : ''}...`
+  );
+
+  const results = await checkTargetAccounts(octokit, logins, {
+    orgs,
+    concurrency: CONCURRENCY,
+  });
+  const messages = {
+    not_found: 'does not exist',
+    not_user: 'is not a user account',
+    not_member: `is not a member of ${orgs.join(' or ')}`,
+  };
+  const problems = results.filter(({ status }) => status !== 'ok');
+  for (const { login, status, type, error } of problems) {
+    const detail =
+      status === 'error'
+        ? `could not be checked: ${error}`
+        : `${messages[status]}${type ? ` (${type})` : ''}`;
+    console.log(`   ❌ @${login} ${detail}`);
+  }
+  console.log(
+    `   ${results.length - problems.length} of ${results.length} account(s) OK`
+  );
+
+  printRateLimitSummary();
+  return problems.length;
+}
+
+/**
+ * Main validation function
+ */
+async function main() {
+  loadEnv(CHECK_ACCOUNTS ? ['GITHUB_TOKEN', 'GITHUB_OWNER'] : []);
+
+  console.log('🔍 Username Mapping Validation');
+  console.log('=============================');
+
+  try {
+    const mapping = loadMappingConfig();
+    const owners = Object.keys(mapping.ownerMappings);
+    console.log(
+      `📋 ${Object.keys(mapping.usernameMapping).length} username mapping(s)${owners.length > 0 ? `, owner mappings for ${owners.join(', ')}` : ''}`
+    );
+
+    const issues = validateMappingConfig(mapping);
+    const errors = issues.filter(({ severity }) => severity === 'error');
+    if (issues.length === 0) {
+      console.log('✅ No chains, cycles, duplicate targets or invalid logins');
+    } else {
+      printMappingIssues(issues);
+      console.log(
+        `📊 ${errors.length} error(s), ${issues.length - errors.length} warning(s)`
+      );
+    }
+
+    const accountProblems = CHECK_ACCOUNTS ? await checkAccounts(mapping) : 0;
+
+    if (errors.length > 0 || accountProblems > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the validation
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(console.error);
+}
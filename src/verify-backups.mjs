@@ -0,0 +1,154 @@
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { loadOptionalEnv } from './helpers/loadEnv.mjs';
+import { createBackupIndex, listAvailableBackups } from './helpers/backup.mjs';
+import {
+  BACKUP_KEY_VARIABLES,
+  decryptBackup,
+  isBackupEncryptionEnabled,
+  isEncryptedBackup,
+} from './helpers/backupEncryption.mjs';
+import {
+  SUPPORTED_SCHEMA_VERSIONS,
+  verifyBackupData,
+} from './helpers/backupIntegrity.mjs';
+
+const BACKUP_INDEX_FILE = './backups/backup-index.json';
+
+// Parse command line arguments: --refresh-index rebuilds the index first
+const { values: ARGS } = parseArgs({
+  options: {
+    'refresh-index': { type: 'boolean', default: false },
+  },
+});
+
+/**
+ * Verify one backup file
+ * @param {string} backupFile - Path to the backup file
+ * @returns {Object} { status, version, errors } where status is 'valid',
+ *   'legacy', 'encrypted' (no key to verify it), 'unsupported', 'corrupted'
+ *   or 'missing'
+ */
+function verifyBackupFile(backupFile) {
+  if (!fs.existsSync(backupFile)) {
+    return { status: 'missing', errors: ['file not found'] };
+  }
+
+  let backupData;
+  try {
+    backupData = JSON.parse(fs.readFileSync(backupFile, 'utf8'));
+  } catch (error) {
+    return { status: 'corrupted', errors: [`invalid JSON: ${error.message}`] };
+  }
+
+  if (isEncryptedBackup(backupData)) {
+    const version = backupData.schema_version;
+    if (!isBackupEncryptionEnabled()) {
+      return { status: 'encrypted', version, errors: [] };
+    }
+    try {
+      backupData = decryptBackup(backupData);
+    } catch (error) {
+      return { status: 'corrupted', version, errors: [error.message] };
+    }
+  }
+
+  const { version, legacy, errors } = verifyBackupData(backupData);
+  if (!SUPPORTED_SCHEMA_VERSIONS.includes(version)) {
+    return { status: 'unsupported', version, errors };
+  }
+  if (errors.length > 0) return { status: 'corrupted', version, errors };
+  return { status: legacy ? 'legacy' : 'valid', version, errors };
+}
+
+/**
+ * Main verify function
+ */
+function main() {
+  // .env, if any, may hold the key of encrypted backups
+  loadOptionalEnv(BACKUP_KEY_VARIABLES);
+
+  console.log('🔍 Backup Verification Tool');
+  console.log('===========================');
+
+  if (ARGS['refresh-index'] && !createBackupIndex()) {
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(BACKUP_INDEX_FILE)) {
+    console.error(`❌ No backup index found at ${BACKUP_INDEX_FILE}`);
+    console.error('   npm run verify-backups -- --refresh-index');
+    process.exit(1);
+  }
+
+  try {
+    const index = JSON.parse(fs.readFileSync(BACKUP_INDEX_FILE, 'utf8'));
+    console.log(`📋 Backup index created at: ${index.created_at}`);
+    console.log('');
+
+    const totals = {
+      valid: 0,
+      legacy: 0,
+      encrypted: 0,
+      unsupported: 0,
+      corrupted: 0,
+      missing: 0,
+    };
+    const indexedFiles = new Set();
+
+    for (const { owner, repo, backup_files } of index.repositories) {
+      console.log(`📚 ${owner}/${repo}`);
+
+      for (const file of backup_files) {
+        indexedFiles.add(file.path);
+        const { status, version, errors } = verifyBackupFile(file.path);
+        totals[status]++;
+
+        if (status === 'valid') {
+          console.log(`  ✅ ${file.file} (format v${version})`);
+        } else if (status === 'encrypted') {
+          console.log(
+            `  🔒 ${file.file} (encrypted, set BACKUP_KEY_FILE or BACKUP_PASSPHRASE to verify)`
+          );
+        } else if (status === 'legacy') {
+          console.log(
+            `  ⚠️  ${file.file} (format v${version}, no checksums to verify)`
+          );
+        } else {
+          console.log(`  ❌ ${file.file} ${status}: ${errors.join('; ')}`);
+        }
+      }
+    }
+
+    // Backups written after the index was created are not verified
+    const unindexed = listAvailableBackups()
+      .flatMap(({ backup_files }) => backup_files)
+      .filter(file => !indexedFiles.has(file.path));
+
+    console.log('');
+    console.log(`📊 Verification Summary:`);
+    console.log(`   Valid: ${totals.valid}`);
+    console.log(`   Legacy (unverifiable): ${totals.legacy}`);
+    console.log(`   Encrypted, not verified (no key): ${totals.encrypted}`);
+    console.log(`   Unknown format version: ${totals.unsupported}`);
+    console.log(`   Corrupted: ${totals.corrupted}`);
+    console.log(`   Missing: ${totals.missing}`);
+    if (unindexed.length > 0) {
+      console.log(
+        `   ⚠️  ${unindexed.length} backup file(s) are not in the index; run with --refresh-index to include them`
+      );
+    }
+
+    if (totals.unsupported > 0 || totals.corrupted > 0 || totals.missing > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the verify tool
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
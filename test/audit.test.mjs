@@ -0,0 +1,172 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  classifyMentions,
+  createAuditReport,
+  createMentionCollector,
+} from '../src/helpers/audit.mjs';
+import { compileUsernameRules } from '../src/helpers/mappingRules.mjs';
+
+const mapping = {
+  usernameMapping: { 'old-user': 'new-user_acme' },
+  usernameRules: compileUsernameRules({
+    rules: [{ type: 'suffix', value: '_acme' }],
+  }),
+  orgMapping: { 'old-org': 'new-org' },
+  repoMapping: {},
+  ownerMappings: {},
+};
+
+/**
+ * Classify the mentions of one body and build the report with the given
+ * GHEC accounts by login
+ */
+function audit(body, accounts = {}) {
+  const collector = createMentionCollector();
+  collector.add('org-a', 'app', { body, html_url: 'https://x/1' }, 'v1');
+  const { classified, unresolved } = classifyMentions(
+    collector.getMentions(),
+    mapping
+  );
+  return createAuditReport({
+    repositories: ['org-a/app'],
+    contentTypes: ['releases'],
+    classified,
+    unresolved,
+    accounts: new Map(Object.entries(accounts)),
+  });
+}
+
+/**
+ * Logins of a report category
+ */
+function logins(report, category) {
+  return report[category].map(({ login }) => login);
+}
+
+describe('createMentionCollector', () => {
+  it('counts mentions per owner with their repositories and examples', () => {
+    const collector = createMentionCollector();
+    collector.add(
+      'org-a',
+      'app',
+      { body: '@dev and @dev', html_url: 'u1' },
+      'a'
+    );
+    collector.add('org-a', 'lib', { body: '@Dev' }, 'b');
+    collector.add('org-b', 'svc', { body: '@dev' }, 'c');
+
+    const [first, second] = collector.getMentions();
+    assert.equal(first.owner, 'org-a');
+    assert.equal(first.count, 3);
+    assert.deepEqual(first.repositories, ['org-a/app', 'org-a/lib']);
+    assert.deepEqual(first.examples, [
+      { label: 'a', url: 'u1' },
+      { label: 'b', url: null },
+    ]);
+    assert.equal(second.owner, 'org-b');
+    assert.equal(second.count, 1);
+  });
+});
+
+describe('classifyMentions', () => {
+  it('classifies mapped and already new logins and organizations', () => {
+    const report = audit('@old-user @New-User_acme @old-org @new-org');
+
+    assert.deepEqual(
+      report.mapped.map(({ login, target }) => [login, target]),
+      [
+        ['old-org', 'new-org'],
+        ['old-user', 'new-user_acme'],
+      ]
+    );
+    assert.deepEqual(logins(report, 'already_new'), [
+      'new-org',
+      'New-User_acme',
+    ]);
+  });
+
+  it('applies owner mappings', () => {
+    const ownerMapping = {
+      ...mapping,
+      ownerMappings: { 'org-a': { username_mapping: { dev: 'dev_corp' } } },
+    };
+    const { classified, unresolved } = classifyMentions(
+      [
+        { owner: 'org-a', login: 'dev', count: 1 },
+        { owner: 'org-b', login: 'dev', count: 1 },
+      ],
+      ownerMapping
+    );
+
+    assert.deepEqual(
+      classified.map(({ owner, target }) => [owner, target]),
+      [['org-a', 'dev_corp']]
+    );
+    assert.deepEqual(
+      unresolved.map(({ owner, rule_target }) => [owner, rule_target]),
+      [['org-b', 'dev_acme']]
+    );
+  });
+});
+
+describe('createAuditReport', () => {
+  it('reports unmapped logins and organizations that exist on GHEC', () => {
+    const report = audit('@dev @acme', {
+      dev: { status: 'ok' },
+      acme: { status: 'not_user', type: 'Organization' },
+    });
+
+    assert.deepEqual(
+      report.unknown_existing.map(({ login, account_type, rule_target }) => [
+        login,
+        account_type,
+        rule_target,
+      ]),
+      [
+        ['acme', 'Organization', 'acme_acme'],
+        ['dev', 'User', 'dev_acme'],
+      ]
+    );
+    assert.deepEqual(report.username_mapping, {});
+  });
+
+  it('suggests rule candidates of not found logins that exist', () => {
+    const report = audit('@dev @gone @nobody', {
+      dev: { status: 'not_found' },
+      dev_acme: { status: 'ok' },
+      gone: { status: 'not_found' },
+      gone_acme: { status: 'not_found' },
+    });
+
+    assert.deepEqual(
+      report.not_found.map(({ login, candidate }) => [login, candidate]),
+      [
+        ['dev', { login: 'dev_acme', exists: true }],
+        ['gone', { login: 'gone_acme', exists: false }],
+        ['nobody', { login: 'nobody_acme', exists: false }],
+      ]
+    );
+    assert.deepEqual(report.username_mapping, { dev: 'dev_acme' });
+  });
+
+  it('reports failed lookups as errors without suggestions', () => {
+    const report = audit('@dev @other', {
+      dev: { status: 'error', error: 'API rate limit exceeded' },
+      other: { status: 'not_found' },
+      other_acme: { status: 'error', error: 'fetch failed' },
+    });
+
+    assert.deepEqual(
+      report.error.map(({ login, error }) => [login, error]),
+      [
+        ['dev', 'API rate limit exceeded'],
+        ['other', '@other_acme: fetch failed'],
+      ]
+    );
+    assert.deepEqual(report.not_found, []);
+    assert.deepEqual(report.username_mapping, {});
+    assert.equal(report.totals.error, 2);
+    assert.equal(report.totals.mentions, 2);
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  listAvailableBackups,
+  parseBackupSelector,
+  selectBackupFiles,
+} from '../src/helpers/backup.mjs';
+
+const FILES = [
+  'releases-backup-2024-01-15T08-00-00-000Z.json',
+  'releases-backup-2024-01-15T18-00-00-000Z.json',
+  'releases-backup-2024-02-01T00-00-00-000Z.json',
+  'issues-backup-2024-01-15T09-00-00-000Z.json',
+  'test-backup-2024-03-01T00-00-00-000Z.json',
+];
+
+/**
+ * Create a backup directory with the FILES of acme/app, removed after the test
+ */
+function createBackupDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(`${dir}/acme/app`, { recursive: true });
+  for (const file of FILES) fs.writeFileSync(`${dir}/acme/app/${file}`, '{}');
+  fs.writeFileSync(`${dir}/acme/app/notes.txt`, '');
+  fs.writeFileSync(`${dir}/backup-index.json`, '{}');
+  return dir;
+}
+
+/**
+ * File names of the selected backup files per content type
+ */
+function selectedFiles(selected) {
+  return Object.fromEntries(
+    [...selected].map(([contentType, { file }]) => [contentType, file])
+  );
+}
+
+describe('listAvailableBackups', () => {
+  it('lists the backup files of each repository', t => {
+    const dir = createBackupDir(t);
+
+    const [backup, ...others] = listAvailableBackups(dir);
+
+    assert.deepEqual(others, []);
+    assert.equal(backup.owner, 'acme');
+    assert.equal(backup.repo, 'app');
+    const issues = backup.backup_files.find(
+      ({ file }) => file === 'issues-backup-2024-01-15T09-00-00-000Z.json'
+    );
+    assert.deepEqual(issues, {
+      file: 'issues-backup-2024-01-15T09-00-00-000Z.json',
+      path: `${dir}/acme/app/issues-backup-2024-01-15T09-00-00-000Z.json`,
+      size: 2,
+      content_type: 'issues',
+      timestamp: '2024-01-15T09-00-00-000Z',
+    });
+    assert.equal(backup.backup_files.length, FILES.length);
+  });
+
+  it('returns nothing without a backup directory', t => {
+    const dir = createBackupDir(t);
+
+    assert.deepEqual(listAvailableBackups(`${dir}/missing`), []);
+  });
+});
+
+describe('selectBackupFiles', () => {
+  it('picks the latest backup of each content type, never test backups', t => {
+    const [{ backup_files }] = listAvailableBackups(createBackupDir(t));
+
+    assert.deepEqual(selectedFiles(selectBackupFiles(backup_files)), {
+      releases: 'releases-backup-2024-02-01T00-00-00-000Z.json',
+      issues: 'issues-backup-2024-01-15T09-00-00-000Z.json',
+    });
+    assert.deepEqual(
+      selectedFiles(selectBackupFiles(backup_files, 'latest', ['issues'])),
+      { issues: 'issues-backup-2024-01-15T09-00-00-000Z.json' }
+    );
+  });
+
+  it('picks backups by day or timestamp', t => {
+    const [{ backup_files }] = listAvailableBackups(createBackupDir(t));
+
+    assert.deepEqual(
+      selectedFiles(selectBackupFiles(backup_files, '2024-01-15')),
+      {
+        releases: 'releases-backup-2024-01-15T18-00-00-000Z.json',
+        issues: 'issues-backup-2024-01-15T09-00-00-000Z.json',
+      }
+    );
+    assert.deepEqual(
+      selectedFiles(
+        selectBackupFiles(backup_files, '2024-01-15T08:00:00.000Z')
+      ),
+      { releases: 'releases-backup-2024-01-15T08-00-00-000Z.json' }
+    );
+    assert.equal(selectBackupFiles(backup_files, '2023-12-31').size, 0);
+  });
+
+  it('rejects unknown and ambiguous selections', () => {
+    for (const selector of [
+      'lastest',
+      '2024',
+      '2024-01',
+      'backup-2024-01-15',
+    ]) {
+      assert.throws(() => selectBackupFiles([], selector), {
+        message: new RegExp(`^Invalid backup "${selector}"`),
+      });
+    }
+  });
+});
+
+describe('parseBackupSelector', () => {
+  it('converts ISO timestamps to the file name format', () => {
+    assert.equal(parseBackupSelector('latest'), '');
+    assert.equal(
+      parseBackupSelector('2024-01-15T10:30:00.000Z'),
+      '2024-01-15T10-30-00-000Z'
+    );
+    assert.equal(parseBackupSelector('2024-01-15T10'), '2024-01-15T10');
+  });
+});
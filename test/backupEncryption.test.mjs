@@ -0,0 +1,90 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  decryptBackup,
+  encryptBackup,
+  isEncryptedBackup,
+} from '../src/helpers/backupEncryption.mjs';
+
+const BACKUP = {
+  schema_version: 2,
+  repository: 'acme/app',
+  content_type: 'releases',
+  total_releases: 1,
+  releases: [{ id: 1, body: 'Thanks @old-user' }],
+};
+
+describe('backup encryption', () => {
+  const savedEnv = { ...process.env };
+  after(() => {
+    process.env = savedEnv;
+  });
+  beforeEach(() => {
+    delete process.env.BACKUP_KEY_FILE;
+    delete process.env.BACKUP_PASSPHRASE;
+  });
+
+  it('round-trips a backup with a passphrase', () => {
+    process.env.BACKUP_PASSPHRASE = 'correct horse';
+    const encrypted = encryptBackup(BACKUP);
+
+    assert.ok(isEncryptedBackup(encrypted));
+    assert.equal(encrypted.repository, 'acme/app');
+    assert.equal(encrypted.total_releases, 1);
+    assert.ok(!JSON.stringify(encrypted).includes('@old-user'));
+    assert.deepEqual(decryptBackup(encrypted), BACKUP);
+  });
+
+  it('round-trips a backup with a key file', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-key-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    process.env.BACKUP_KEY_FILE = path.join(dir, 'key');
+    fs.writeFileSync(process.env.BACKUP_KEY_FILE, 'key file secret\n');
+    const encrypted = encryptBackup(BACKUP);
+
+    assert.equal(encrypted.encryption.key_source, 'key_file');
+    assert.deepEqual(decryptBackup(encrypted), BACKUP);
+  });
+
+  it('rejects a wrong passphrase', () => {
+    process.env.BACKUP_PASSPHRASE = 'correct horse';
+    const encrypted = encryptBackup(BACKUP);
+    process.env.BACKUP_PASSPHRASE = 'wrong horse';
+
+    assert.throws(() => decryptBackup(encrypted), /wrong key or modified/);
+  });
+
+  it('rejects modified metadata and data', () => {
+    process.env.BACKUP_PASSPHRASE = 'correct horse';
+    const encrypted = encryptBackup(BACKUP);
+
+    assert.throws(
+      () => decryptBackup({ ...encrypted, repository: 'acme/other' }),
+      /wrong key or modified/
+    );
+    assert.throws(
+      () =>
+        decryptBackup({ ...encrypted, data: `A${encrypted.data.slice(1)}` }),
+      /wrong key or modified/
+    );
+  });
+
+  it('asks for the key the backup was encrypted with', () => {
+    process.env.BACKUP_PASSPHRASE = 'correct horse';
+    const encrypted = encryptBackup(BACKUP);
+    delete process.env.BACKUP_PASSPHRASE;
+
+    assert.throws(() => decryptBackup(encrypted), /set BACKUP_PASSPHRASE/);
+    assert.throws(() => encryptBackup(BACKUP), /Set BACKUP_KEY_FILE/);
+  });
+
+  it('refuses both a key file and a passphrase', () => {
+    process.env.BACKUP_PASSPHRASE = 'correct horse';
+    process.env.BACKUP_KEY_FILE = '/nonexistent';
+
+    assert.throws(() => encryptBackup(BACKUP), /not both/);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BACKUP_SCHEMA_VERSION,
+  sealBackup,
+  verifyBackupData,
+} from '../src/helpers/backupIntegrity.mjs';
+
+/**
+ * Create sealed backup data with two releases
+ */
+function createSealedBackup() {
+  return sealBackup({
+    repository: 'acme/app',
+    content_type: 'releases',
+    total_releases: 2,
+    releases: [
+      { id: 1, tag_name: 'v1', body: '@old-user' },
+      { id: 2, tag_name: 'v2', body: 'Notes', updated_body: 'Notes' },
+    ],
+  });
+}
+
+describe('verifyBackupData', () => {
+  it('accepts sealed backups', () => {
+    const backupData = createSealedBackup();
+
+    assert.equal(backupData.schema_version, BACKUP_SCHEMA_VERSION);
+    assert.deepEqual(verifyBackupData(backupData), {
+      version: BACKUP_SCHEMA_VERSION,
+      legacy: false,
+      errors: [],
+    });
+  });
+
+  it('detects edited items and totals', () => {
+    const backupData = createSealedBackup();
+    backupData.releases[1].body = 'Edited';
+    backupData.total_releases = 3;
+
+    assert.deepEqual(verifyBackupData(backupData).errors, [
+      'checksum mismatch',
+      'total_releases is 3 but the backup holds 2',
+      'content hash mismatch for item 2',
+    ]);
+  });
+
+  it('detects a changed field outside the items', () => {
+    const backupData = createSealedBackup();
+    backupData.repository = 'acme/other';
+
+    assert.deepEqual(verifyBackupData(backupData).errors, [
+      'checksum mismatch',
+    ]);
+  });
+
+  it('accepts version 1 backups without verifying them', () => {
+    assert.deepEqual(verifyBackupData({ releases: [] }), {
+      version: 1,
+      legacy: true,
+      errors: [],
+    });
+  });
+
+  it('rejects unknown versions and missing item lists', () => {
+    assert.match(
+      verifyBackupData({ schema_version: 99, releases: [] }).errors[0],
+      /unknown backup format version 99/
+    );
+    assert.deepEqual(
+      verifyBackupData({ schema_version: 2, content_type: 'issues' }).errors,
+      ['missing issues list']
+    );
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  exportBackupArchive,
+  importBackupArchive,
+  parseAge,
+  selectBackupsToPrune,
+} from '../src/helpers/backupManagement.mjs';
+
+const NOW = Date.parse('2024-03-01T00:00:00.000Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Backup file as listed by listAvailableBackups
+ */
+function backupFile(contentType, isoDate) {
+  const timestamp = isoDate.replace(/[:.]/g, '-');
+  return {
+    file: `${contentType}-backup-${timestamp}.json`,
+    content_type: contentType,
+    timestamp,
+  };
+}
+
+const BACKUPS = [
+  backupFile('releases', '2024-02-29T00:00:00.000Z'),
+  backupFile('releases', '2024-02-20T00:00:00.000Z'),
+  backupFile('releases', '2024-01-01T00:00:00.000Z'),
+  backupFile('issues', '2024-01-15T00:00:00.000Z'),
+];
+
+const files = selected => selected.map(({ file }) => file);
+
+/**
+ * Run the test in an empty working directory, since archives hold paths
+ * relative to it
+ */
+function useTempCwd(t) {
+  const cwd = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'));
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+}
+
+/**
+ * Write an archive with the given entries ({ path, content, sha256 })
+ */
+function writeArchive(file, entries) {
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    archive_version: ARCHIVE_VERSION,
+    files: entries.map(entry => ({
+      sha256: `sha256:${crypto.createHash('sha256').update(entry.content).digest('hex')}`,
+      ...entry,
+    })),
+  };
+  fs.writeFileSync(file, zlib.gzipSync(JSON.stringify(archive)));
+}
+
+describe('parseAge', () => {
+  it('parses ages with a unit and rejects anything else', () => {
+    assert.equal(parseAge('30d'), 30 * DAY);
+    assert.equal(parseAge('2w'), 14 * DAY);
+    assert.throws(() => parseAge('30'), /Invalid age "30"/);
+  });
+});
+
+describe('selectBackupsToPrune', () => {
+  it('keeps the newest backups of each content type', () => {
+    assert.deepEqual(
+      files(selectBackupsToPrune(BACKUPS, { keep: 1, now: NOW })),
+      [
+        'releases-backup-2024-02-20T00-00-00-000Z.json',
+        'releases-backup-2024-01-01T00-00-00-000Z.json',
+      ]
+    );
+  });
+
+  it('prunes backups older than the given age', () => {
+    assert.deepEqual(
+      files(selectBackupsToPrune(BACKUPS, { olderThan: 30 * DAY, now: NOW })),
+      [
+        'releases-backup-2024-01-01T00-00-00-000Z.json',
+        'issues-backup-2024-01-15T00-00-00-000Z.json',
+      ]
+    );
+  });
+
+  it('only prunes backups neither option keeps', () => {
+    assert.deepEqual(
+      files(
+        selectBackupsToPrune(BACKUPS, {
+          keep: 1,
+          olderThan: 5 * DAY,
+          now: NOW,
+        })
+      ),
+      [
+        'releases-backup-2024-02-20T00-00-00-000Z.json',
+        'releases-backup-2024-01-01T00-00-00-000Z.json',
+      ]
+    );
+  });
+
+  it('never prunes backups with an unrecognized timestamp by age', () => {
+    const unknown = { ...backupFile('releases', 'x'), timestamp: 'custom' };
+
+    assert.deepEqual(
+      selectBackupsToPrune([unknown], { olderThan: DAY, now: NOW }),
+      []
+    );
+    assert.deepEqual(selectBackupsToPrune([unknown], { keep: 0, now: NOW }), [
+      unknown,
+    ]);
+  });
+});
+
+describe('importBackupArchive', () => {
+  const BACKUP_PATH = 'backups/acme/app/releases-backup-1.json';
+
+  it('imports the files of an exported archive', t => {
+    useTempCwd(t);
+    fs.mkdirSync('backups/acme/app', { recursive: true });
+    fs.writeFileSync(BACKUP_PATH, '{"releases": []}');
+    exportBackupArchive('archive.json.gz', [{ path: `./${BACKUP_PATH}` }]);
+    fs.rmSync('backups', { recursive: true });
+
+    assert.deepEqual(importBackupArchive('archive.json.gz'), {
+      imported: [BACKUP_PATH],
+      identical: [],
+      conflicts: [],
+    });
+    assert.equal(fs.readFileSync(BACKUP_PATH, 'utf8'), '{"releases": []}');
+    assert.deepEqual(importBackupArchive('archive.json.gz'), {
+      imported: [],
+      identical: [BACKUP_PATH],
+      conflicts: [],
+    });
+  });
+
+  it('rejects entries outside the backup directories', t => {
+    useTempCwd(t);
+
+    for (const entryPath of [
+      'backups/../outside.json',
+      'backups/acme/../../outside.json',
+      '/tmp/outside.json',
+      'runs/outside.json',
+    ]) {
+      writeArchive('archive.json.gz', [{ path: entryPath, content: '{}' }]);
+      assert.throws(() => importBackupArchive('archive.json.gz'), {
+        message: `Archive entry ${entryPath} is outside the backup directories`,
+      });
+    }
+    assert.deepEqual(fs.readdirSync('.'), ['archive.json.gz']);
+  });
+
+  it('rejects corrupted entries before writing any file', t => {
+    useTempCwd(t);
+    writeArchive('archive.json.gz', [
+      { path: 'backups/acme/app/a.json', content: '{}' },
+      { path: 'backups/acme/app/b.json', content: '{}', sha256: 'sha256:0' },
+    ]);
+
+    assert.throws(
+      () => importBackupArchive('archive.json.gz'),
+      /Archive entry backups\/acme\/app\/b.json is corrupted \(hash mismatch\)/
+    );
+    assert.equal(fs.existsSync('backups'), false);
+  });
+
+  it('keeps conflicting files unless overwrite is set', t => {
+    useTempCwd(t);
+    fs.mkdirSync('backups/acme/app', { recursive: true });
+    fs.writeFileSync(BACKUP_PATH, 'local');
+    writeArchive('archive.json.gz', [
+      { path: BACKUP_PATH, content: 'archived' },
+    ]);
+
+    assert.deepEqual(importBackupArchive('archive.json.gz'), {
+      imported: [],
+      identical: [],
+      conflicts: [BACKUP_PATH],
+    });
+    assert.deepEqual(
+      importBackupArchive('archive.json.gz', { overwrite: true, dryRun: true }),
+      { imported: [BACKUP_PATH], identical: [], conflicts: [] }
+    );
+    assert.equal(fs.readFileSync(BACKUP_PATH, 'utf8'), 'local');
+
+    importBackupArchive('archive.json.gz', { overwrite: true });
+    assert.equal(fs.readFileSync(BACKUP_PATH, 'utf8'), 'archived');
+  });
+});
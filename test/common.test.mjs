@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getAllReleases,
+  getOwnerMapping,
+  rewriteReleaseNotes,
+} from '../src/helpers/common.mjs';
+import { compileUsernameRules } from '../src/helpers/mappingRules.mjs';
+
+/**
+ * Fake Octokit listing releases page by page; `failOnPage` makes that page
+ * fail like a network error would
+ */
+function createReleaseOctokit(pages, failOnPage = null) {
+  return {
+    rest: { repos: { listReleases: () => {} } },
+    paginate: {
+      async *iterator() {
+        for (const [index, data] of pages.entries()) {
+          if (index + 1 === failOnPage) throw new Error('Server Error');
+          yield { data };
+        }
+      },
+    },
+  };
+}
+
+describe('getAllReleases', () => {
+  it('returns the releases of every page', async t => {
+    t.mock.method(console, 'log', () => {});
+    const octokit = createReleaseOctokit([[{ id: 1 }, { id: 2 }], [{ id: 3 }]]);
+
+    assert.deepEqual(await getAllReleases(octokit, 'acme', 'app'), [
+      { id: 1 },
+      { id: 2 },
+      { id: 3 },
+    ]);
+  });
+
+  it('throws when a page cannot be fetched', async t => {
+    t.mock.method(console, 'log', () => {});
+    const octokit = createReleaseOctokit([[{ id: 1 }], [{ id: 2 }]], 2);
+
+    await assert.rejects(getAllReleases(octokit, 'acme', 'app'), {
+      message: 'Server Error',
+    });
+  });
+});
+
+describe('getOwnerMapping', () => {
+  const mapping = {
+    usernameMapping: { 'old-user': 'new-user', other: 'global' },
+    usernameRules: null,
+    ownerMappings: {
+      'Org-B': {
+        username_mapping: { other: 'owner' },
+        username_rules: { rules: [{ type: 'suffix', value: '_b' }] },
+      },
+    },
+  };
+
+  it('merges the owner mapping over the global mapping', () => {
+    const ownerMapping = getOwnerMapping(mapping, 'org-b');
+
+    assert.deepEqual(ownerMapping.usernameMapping, {
+      'old-user': 'new-user',
+      other: 'owner',
+    });
+    assert.equal(ownerMapping.usernameRules.transforms.length, 1);
+    assert.equal(getOwnerMapping(mapping, 'org-a'), mapping);
+  });
+
+  it('builds the mapping of an owner once', () => {
+    assert.equal(
+      getOwnerMapping(mapping, 'Org-B'),
+      getOwnerMapping(mapping, 'org-b')
+    );
+  });
+});
+
+describe('rewriteReleaseNotes', () => {
+  it('maps organization mentions and profile links alike', () => {
+    const mapping = {
+      usernameMapping: {},
+      usernameRules: compileUsernameRules({
+        rules: [{ type: 'suffix', value: '_corp' }],
+      }),
+      orgMapping: { 'old-org': 'new-org' },
+      repoMapping: {},
+    };
+
+    assert.equal(
+      rewriteReleaseNotes(
+        'By @old-org and @dev, see https://ghes.corp/old-org and https://ghes.corp/dev',
+        mapping,
+        { sourceHost: 'ghes.corp', targetHost: 'github.com' }
+      ),
+      'By @new-org and @dev_corp, see https://github.com/new-org and https://github.com/dev_corp'
+    );
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  mapWithConcurrency,
+  parseConcurrency,
+  runWithGroupedOutput,
+} from '../src/helpers/concurrency.mjs';
+import { delay } from '../src/helpers/common.mjs';
+
+describe('mapWithConcurrency', () => {
+  it('runs at most `limit` workers at a time', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await delay(2);
+      running--;
+    });
+
+    assert.equal(maxRunning, 3);
+  });
+
+  it('returns results in the order of the items', async () => {
+    const results = await mapWithConcurrency(
+      [30, 1, 15, 5],
+      2,
+      async (ms, index) => {
+        await delay(ms);
+        return `${index}:${ms}`;
+      }
+    );
+
+    assert.deepEqual(results, ['0:30', '1:1', '2:15', '3:5']);
+  });
+
+  it('rejects with the error of a failed worker', async () => {
+    await assert.rejects(
+      mapWithConcurrency([1, 2, 3], 2, async item => {
+        await delay(1);
+        if (item === 2) throw new Error('worker failed');
+        return item;
+      }),
+      { message: 'worker failed' }
+    );
+  });
+
+  it('returns an empty list for no items', async () => {
+    let calls = 0;
+    const results = await mapWithConcurrency([], 4, () => calls++);
+
+    assert.deepEqual(results, []);
+    assert.equal(calls, 0);
+  });
+});
+
+describe('runWithGroupedOutput', () => {
+  it('prints the output of each task in one block', async t => {
+    const lines = [];
+    t.mock.method(console, 'log', line => lines.push(line));
+
+    await Promise.all(
+      ['a', 'b'].map((name, index) =>
+        runWithGroupedOutput(async () => {
+          console.log(`${name}1`);
+          await delay(index === 0 ? 10 : 1);
+          console.log(`${name}2`);
+        })
+      )
+    );
+
+    assert.deepEqual(lines, ['b1', 'b2', 'a1', 'a2']);
+  });
+});
+
+describe('parseConcurrency', () => {
+  it('parses positive integers and falls back to the default', () => {
+    assert.equal(parseConcurrency('4', 'concurrency'), 4);
+    assert.equal(parseConcurrency(undefined, 'concurrency', 2), 2);
+  });
+
+  it('rejects other values', () => {
+    for (const value of ['abc', '0', '-1', '1.5']) {
+      assert.throws(
+        () => parseConcurrency(value, 'item-concurrency'),
+        new RegExp(
+          `--item-concurrency must be a positive integer \\(got "${value}"\\)`
+        )
+      );
+    }
+  });
+});
@@ -0,0 +1,214 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CONTENT_SOURCES,
+  DEFAULT_CONTENT_TYPES,
+  getContentSource,
+  iterateContentPages,
+  parseContentTypes,
+} from '../src/helpers/contentSources.mjs';
+
+/**
+ * Fake Octokit recording REST calls as `namespace.method` with their
+ * parameters; `paginate.iterator` yields the given pages
+ */
+function createRecordingOctokit(pages = []) {
+  const calls = [];
+  const rest = new Proxy(
+    {},
+    {
+      get: (target, namespace) =>
+        new Proxy(
+          {},
+          {
+            get: (endpoints, method) => {
+              const endpoint = params => {
+                calls.push([`${namespace}.${method}`, params]);
+                return Promise.resolve({ data: { id: 1, description: 'd' } });
+              };
+              endpoint.endpointName = `${namespace}.${method}`;
+              return endpoint;
+            },
+          }
+        ),
+    }
+  );
+  const paginate = {
+    async *iterator(endpoint, params) {
+      calls.push([`paginate ${endpoint.endpointName}`, params]);
+      for (const data of pages) yield { data };
+    },
+  };
+  return { octokit: { rest, paginate }, calls };
+}
+
+describe('parseContentTypes', () => {
+  it('defaults to releases', () => {
+    assert.deepEqual(parseContentTypes(undefined), DEFAULT_CONTENT_TYPES);
+    assert.deepEqual(parseContentTypes(''), ['releases']);
+  });
+
+  it('trims and deduplicates the listed types', () => {
+    assert.deepEqual(parseContentTypes(' issues, releases,,issues '), [
+      'issues',
+      'releases',
+    ]);
+  });
+
+  it('rejects unknown types and lists the available ones', () => {
+    assert.throws(
+      () => parseContentTypes('releases,bogus'),
+      /Unknown content type "bogus" \(available: releases, issues, /
+    );
+  });
+});
+
+describe('content sources', () => {
+  const cases = [
+    [
+      'releases',
+      { id: 7, tag_name: 'v1' },
+      'v1',
+      'repos.updateRelease',
+      { release_id: 7, body: 'new' },
+    ],
+    [
+      'issues',
+      { id: 8, number: 3 },
+      '#3',
+      'issues.update',
+      { issue_number: 3, body: 'new' },
+    ],
+    [
+      'pull_requests',
+      { id: 9, number: 4 },
+      '#4',
+      'pulls.update',
+      { pull_number: 4, body: 'new' },
+    ],
+    [
+      'issue_comments',
+      { id: 10 },
+      'comment 10',
+      'issues.updateComment',
+      { comment_id: 10, body: 'new' },
+    ],
+    [
+      'review_comments',
+      { id: 11 },
+      'review comment 11',
+      'pulls.updateReviewComment',
+      { comment_id: 11, body: 'new' },
+    ],
+    [
+      'commit_comments',
+      { id: 12 },
+      'commit comment 12',
+      'repos.updateCommitComment',
+      { comment_id: 12, body: 'new' },
+    ],
+    [
+      'milestones',
+      { id: 13, number: 2, title: 'v2' },
+      '#2 (v2)',
+      'issues.updateMilestone',
+      { milestone_number: 2, description: 'new' },
+    ],
+  ];
+
+  for (const [type, item, description, method, params] of cases) {
+    it(`describes and updates ${type}`, async () => {
+      const source = getContentSource(type);
+      const { octokit, calls } = createRecordingOctokit();
+
+      await source.update(octokit, 'acme', 'app', item, 'new');
+
+      assert.equal(source.type, type);
+      assert.equal(source.describe(item), description);
+      assert.deepEqual(calls, [
+        [method, { owner: 'acme', repo: 'app', ...params }],
+      ]);
+    });
+  }
+
+  it('describes draft releases without a tag by ID', () => {
+    assert.equal(CONTENT_SOURCES.releases.describe({ id: 5 }), 'draft 5');
+  });
+
+  it('reads milestones with their description as body', async () => {
+    const { octokit } = createRecordingOctokit();
+
+    const milestone = await CONTENT_SOURCES.milestones.get(
+      octokit,
+      'acme',
+      'app',
+      { number: 2 }
+    );
+
+    assert.equal(milestone.body, 'd');
+  });
+});
+
+describe('iterateContentPages', () => {
+  it('leaves pull requests out of the issues', async () => {
+    const { octokit, calls } = createRecordingOctokit([
+      [{ id: 1 }, { id: 2, pull_request: {} }],
+      [{ id: 3 }],
+    ]);
+    const stats = {};
+    const pages = [];
+
+    for await (const items of iterateContentPages(
+      octokit,
+      'acme',
+      'app',
+      getContentSource('issues'),
+      stats
+    )) {
+      pages.push(items.map(({ id }) => id));
+    }
+
+    assert.deepEqual(pages, [[1], [3]]);
+    assert.deepEqual(stats, { pages: 2, items: 2 });
+    assert.deepEqual(calls, [
+      [
+        'paginate issues.listForRepo',
+        { owner: 'acme', repo: 'app', per_page: 100, state: 'all' },
+      ],
+    ]);
+  });
+
+  it('keeps pull requests for the pull request source', async () => {
+    const { octokit } = createRecordingOctokit([[{ id: 2, number: 4 }]]);
+
+    const pages = [];
+    for await (const items of iterateContentPages(
+      octokit,
+      'acme',
+      'app',
+      getContentSource('pull_requests')
+    )) {
+      pages.push(items);
+    }
+
+    assert.deepEqual(pages, [[{ id: 2, number: 4 }]]);
+  });
+
+  it('normalizes milestones', async () => {
+    const { octokit } = createRecordingOctokit([
+      [{ id: 1, number: 1, description: 'Thanks @old-user' }],
+    ]);
+
+    const bodies = [];
+    for await (const items of iterateContentPages(
+      octokit,
+      'acme',
+      'app',
+      getContentSource('milestones')
+    )) {
+      bodies.push(...items.map(({ body }) => body));
+    }
+
+    assert.deepEqual(bodies, ['Thanks @old-user']);
+  });
+});
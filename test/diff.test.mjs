@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  diffLines,
+  diffWords,
+  formatUnifiedDiff,
+} from '../src/helpers/diff.mjs';
+
+/**
+ * Summarize operations as '<prefix><value>' strings
+ */
+function summarize(operations) {
+  const prefixes = { equal: ' ', remove: '-', add: '+' };
+  return operations.map(({ type, value }) => `${prefixes[type]}${value}`);
+}
+
+describe('diffLines', () => {
+  it('finds the changed lines', () => {
+    assert.deepEqual(summarize(diffLines('a\nb\nc\nd', 'a\nx\nc\nd\ne')), [
+      ' a',
+      '-b',
+      '+x',
+      ' c',
+      ' d',
+      '+e',
+    ]);
+  });
+
+  it('lists removed lines before added lines in a change block', () => {
+    assert.deepEqual(summarize(diffLines('a\nb\nc', 'x\ny\nc')), [
+      '-a',
+      '-b',
+      '+x',
+      '+y',
+      ' c',
+    ]);
+  });
+
+  it('treats missing text as empty', () => {
+    assert.deepEqual(summarize(diffLines(null, 'a')), ['-', '+a']);
+  });
+
+  it('diffs large texts', () => {
+    const lines = Array.from({ length: 20000 }, (_, i) => `line ${i}`);
+    const updated = lines.map((line, i) =>
+      i % 1000 === 0 ? `${line}!` : line
+    );
+
+    const operations = diffLines(lines.join('\n'), updated.join('\n'));
+
+    assert.equal(operations.filter(op => op.type === 'remove').length, 20);
+    assert.equal(operations.filter(op => op.type === 'add').length, 20);
+  });
+
+  it('diffs large texts without common lines', () => {
+    const lines = prefix =>
+      Array.from({ length: 3000 }, (_, i) => `${prefix}${i}`).join('\n');
+
+    const operations = diffLines(lines('a'), lines('b'));
+
+    assert.equal(operations.length, 6000);
+    assert.ok(operations.every(op => op.type !== 'equal'));
+  });
+});
+
+describe('diffWords', () => {
+  it('compares words, whitespace and punctuation', () => {
+    assert.deepEqual(
+      summarize(
+        diffWords('Thanks @old-user, again', 'Thanks @new-user! again')
+      ),
+      [' Thanks', '  ', '-@old-user', '-,', '+@new-user', '+!', '  ', ' again']
+    );
+  });
+});
+
+describe('formatUnifiedDiff', () => {
+  const oldText = ['# Notes', '', 'By @old-user', '', 'a', 'b', 'c', 'd'].join(
+    '\n'
+  );
+  const newText = oldText.replace('@old-user', '@new-user');
+
+  it('returns an empty string for equal texts', () => {
+    assert.equal(formatUnifiedDiff(oldText, oldText), '');
+  });
+
+  it('formats hunks with context and labels', () => {
+    assert.equal(
+      formatUnifiedDiff(oldText, newText, { oldLabel: 'v1', context: 1 }),
+      [
+        '--- v1',
+        '+++ after',
+        '@@ -2,3 +2,3 @@',
+        ' ',
+        '-By @old-user',
+        '+By @new-user',
+        ' ',
+      ].join('\n')
+    );
+  });
+
+  it('highlights the changed words of paired lines', () => {
+    const diff = formatUnifiedDiff(
+      'Thanks to @old-user for the release',
+      'Thanks to @new-user for the release',
+      { color: true }
+    );
+
+    assert.ok(diff.includes('\x1b[7m@old-user\x1b[0m'));
+    assert.ok(diff.includes('\x1b[7m@new-user\x1b[0m'));
+  });
+});
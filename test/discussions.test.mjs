@@ -0,0 +1,197 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getDiscussionComment,
+  listDiscussionComments,
+  listDiscussions,
+  updateDiscussion,
+  updateDiscussionComment,
+} from '../src/helpers/discussions.mjs';
+
+/**
+ * Fake Octokit whose `graphql` returns the given responses in order and
+ * records the variables of each request
+ */
+function fakeOctokit(responses) {
+  const requests = [];
+  const octokit = {
+    graphql: (query, variables) => {
+      requests.push({ query, variables });
+      return Promise.resolve(responses.shift());
+    },
+  };
+  return { octokit, requests };
+}
+
+/**
+ * GraphQL connection page
+ */
+function connection(nodes, endCursor = null) {
+  return { nodes, pageInfo: { hasNextPage: Boolean(endCursor), endCursor } };
+}
+
+/**
+ * Discussion comment node with its first page of replies
+ */
+function commentNode(id, replies = connection([])) {
+  return {
+    id,
+    body: `Body of ${id}`,
+    createdAt: '2024-01-01T00:00:00Z',
+    updatedAt: '2024-01-02T00:00:00Z',
+    url: `https://x/${id}`,
+    author: { login: 'old-user' },
+    replies,
+  };
+}
+
+/**
+ * Collect every page of an async generator
+ */
+async function collect(pages) {
+  const data = [];
+  for await (const page of pages) data.push(page.data);
+  return data;
+}
+
+describe('listDiscussions', () => {
+  it('follows the cursor and normalizes the discussions', async () => {
+    const discussion = number => ({
+      id: `D_${number}`,
+      number,
+      title: `Discussion ${number}`,
+      body: '@old-user',
+      createdAt: '2024-01-01T00:00:00Z',
+      url: `https://x/${number}`,
+    });
+    const { octokit, requests } = fakeOctokit([
+      { repository: { discussions: connection([discussion(1)], 'c1') } },
+      { repository: { discussions: connection([discussion(2)]) } },
+    ]);
+
+    const pages = await collect(listDiscussions(octokit, 'acme', 'app'));
+
+    assert.deepEqual(
+      requests.map(({ variables }) => variables),
+      [
+        { owner: 'acme', repo: 'app', cursor: null },
+        { owner: 'acme', repo: 'app', cursor: 'c1' },
+      ]
+    );
+    assert.deepEqual(pages, [
+      [
+        {
+          id: 'D_1',
+          number: 1,
+          title: 'Discussion 1',
+          body: '@old-user',
+          created_at: '2024-01-01T00:00:00Z',
+          html_url: 'https://x/1',
+        },
+      ],
+      [
+        {
+          id: 'D_2',
+          number: 2,
+          title: 'Discussion 2',
+          body: '@old-user',
+          created_at: '2024-01-01T00:00:00Z',
+          html_url: 'https://x/2',
+        },
+      ],
+    ]);
+  });
+});
+
+describe('listDiscussionComments', () => {
+  it('lists the comments and every page of replies of each discussion', async () => {
+    const { octokit, requests } = fakeOctokit([
+      {
+        repository: {
+          discussions: connection([
+            { id: 'D_1', number: 1 },
+            { id: 'D_2', number: 2 },
+          ]),
+        },
+      },
+      {
+        node: {
+          comments: connection(
+            [commentNode('C_1', connection([commentNode('R_1')], 'r1'))],
+            'c1'
+          ),
+        },
+      },
+      { node: { replies: connection([commentNode('R_2')]) } },
+      { node: { comments: connection([commentNode('C_2')]) } },
+      { node: { comments: connection([]) } },
+    ]);
+
+    const pages = await collect(listDiscussionComments(octokit, 'acme', 'app'));
+
+    assert.deepEqual(
+      requests.map(({ variables }) => variables),
+      [
+        { owner: 'acme', repo: 'app', cursor: null },
+        { id: 'D_1', cursor: null },
+        { id: 'C_1', cursor: 'r1' },
+        { id: 'D_1', cursor: 'c1' },
+        { id: 'D_2', cursor: null },
+      ]
+    );
+    assert.match(requests[2].query, /on DiscussionComment/);
+    assert.deepEqual(
+      pages.map(page => page.map(({ id }) => id)),
+      [['C_1', 'R_1', 'R_2'], ['C_2']]
+    );
+    assert.deepEqual(pages[0][0], {
+      id: 'C_1',
+      discussion_number: 1,
+      user: 'old-user',
+      body: 'Body of C_1',
+      created_at: '2024-01-01T00:00:00Z',
+      updated_at: '2024-01-02T00:00:00Z',
+      html_url: 'https://x/C_1',
+    });
+  });
+});
+
+describe('getDiscussionComment', () => {
+  it('keeps the discussion number and comments of deleted users', async () => {
+    const { octokit, requests } = fakeOctokit([
+      { node: { ...commentNode('C_1'), author: null } },
+    ]);
+
+    const comment = await getDiscussionComment(octokit, {
+      id: 'C_1',
+      discussion_number: 7,
+    });
+
+    assert.deepEqual(requests[0].variables, { id: 'C_1' });
+    assert.equal(comment.discussion_number, 7);
+    assert.equal(comment.user, null);
+  });
+});
+
+describe('discussion updates', () => {
+  it('sends the node ID and the new body', async () => {
+    const { octokit, requests } = fakeOctokit([{}, {}]);
+
+    await updateDiscussion(octokit, { id: 'D_1', number: 1 }, 'new body');
+    await updateDiscussionComment(octokit, { id: 'C_1' }, 'new comment');
+
+    assert.match(
+      requests[0].query,
+      /updateDiscussion\(input: \{ discussionId: \$id, body: \$body \}\)/
+    );
+    assert.deepEqual(requests[0].variables, { id: 'D_1', body: 'new body' });
+    assert.match(
+      requests[1].query,
+      /updateDiscussionComment\(input: \{ commentId: \$id, body: \$body \}\)/
+    );
+    assert.deepEqual(requests[1].variables, {
+      id: 'C_1',
+      body: 'new comment',
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  COMPLETED_WITH_FAILURES,
+  DONE_ITEM_STATES,
+  JOURNAL_FILE,
+  openJournal,
+} from '../src/helpers/journal.mjs';
+
+/**
+ * Create a run directory removed after the test
+ */
+function createTestRun(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { id: path.basename(dir), dir };
+}
+
+const repository = 'acme/app';
+
+describe('openJournal', () => {
+  it('appends entries and replays them when reopened', t => {
+    const run = createTestRun(t);
+    const journal = openJournal(run);
+    journal.record({ repository, state: 'started' });
+    journal.record({
+      repository,
+      content_type: 'releases',
+      state: 'started',
+      backup_file: 'backups/app.json',
+    });
+    journal.record({
+      repository,
+      content_type: 'releases',
+      item_id: 1,
+      state: 'backed_up',
+    });
+    journal.record({
+      repository,
+      content_type: 'releases',
+      item_id: 1,
+      state: 'updated',
+    });
+
+    const lines = fs
+      .readFileSync(path.join(run.dir, JOURNAL_FILE), 'utf8')
+      .trim()
+      .split('\n');
+    assert.equal(lines.length, 4);
+    assert.ok(JSON.parse(lines[0]).at);
+
+    const replayed = openJournal(run);
+    assert.equal(replayed.getRepositoryState(repository), 'started');
+    assert.deepEqual(replayed.getContent(repository, 'releases'), {
+      state: 'started',
+      backup_file: 'backups/app.json',
+      items: { 1: 'updated' },
+    });
+    assert.equal(replayed.getContent(repository, 'issues'), null);
+  });
+
+  it('treats only updated and skipped items as done', t => {
+    const journal = openJournal(createTestRun(t));
+    const states = ['backed_up', 'updated', 'skipped', 'failed'];
+    states.forEach((state, index) =>
+      journal.record({
+        repository,
+        content_type: 'issues',
+        item_id: index,
+        state,
+      })
+    );
+
+    assert.deepEqual(DONE_ITEM_STATES, ['updated', 'skipped']);
+    assert.deepEqual(
+      states.map((state, index) =>
+        journal.isItemDone(repository, 'issues', index)
+      ),
+      [false, true, true, false]
+    );
+    assert.equal(journal.isItemDone(repository, 'issues', 99), false);
+  });
+
+  it('ignores a truncated last line', t => {
+    t.mock.method(console, 'warn', () => {});
+    const run = createTestRun(t);
+    const line = JSON.stringify({
+      repository,
+      content_type: 'releases',
+      item_id: 1,
+      state: 'updated',
+    });
+    fs.writeFileSync(
+      path.join(run.dir, JOURNAL_FILE),
+      `${line}\n{"repository":"acme/app","content_`
+    );
+
+    const journal = openJournal(run);
+
+    assert.equal(journal.isItemDone(repository, 'releases', 1), true);
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+
+  it('skips only completed repositories and content types on resume', t => {
+    const run = createTestRun(t);
+    const journal = openJournal(run);
+    journal.record({ repository: 'acme/done', state: 'completed' });
+    journal.record({
+      repository: 'acme/done',
+      content_type: 'releases',
+      state: 'completed',
+    });
+    journal.record({
+      repository,
+      content_type: 'releases',
+      state: 'failed',
+      error: 'Server Error',
+    });
+    journal.record({ repository, state: 'started' });
+
+    const resumed = openJournal(run);
+
+    assert.equal(resumed.isRepositoryDone('acme/done'), true);
+    assert.equal(resumed.isContentDone('acme/done', 'releases'), true);
+    assert.equal(resumed.isRepositoryDone(repository), false);
+    assert.equal(resumed.isContentDone(repository, 'releases'), false);
+    assert.equal(resumed.isRepositoryDone('acme/new'), false);
+  });
+
+  it('retries the failed items of a resumed run', t => {
+    const run = createTestRun(t);
+    const journal = openJournal(run);
+    const record = entry =>
+      journal.record({ repository, content_type: 'releases', ...entry });
+    record({ state: 'started', backup_file: 'backups/app.json' });
+    record({ item_id: 1, state: 'updated' });
+    record({ item_id: 2, state: 'failed' });
+    record({ item_id: 3, state: 'skipped' });
+    record({ state: COMPLETED_WITH_FAILURES });
+    journal.record({ repository, state: COMPLETED_WITH_FAILURES });
+
+    const resumed = openJournal(run);
+
+    assert.equal(resumed.isRepositoryDone(repository), false);
+    assert.equal(resumed.isContentDone(repository, 'releases'), false);
+    assert.equal(
+      resumed.getContent(repository, 'releases').backup_file,
+      'backups/app.json'
+    );
+    assert.deepEqual(
+      [1, 2, 3].filter(id => !resumed.isItemDone(repository, 'releases', id)),
+      [2]
+    );
+
+    resumed.record({
+      repository,
+      content_type: 'releases',
+      item_id: 2,
+      state: 'updated',
+    });
+    resumed.record({
+      repository,
+      content_type: 'releases',
+      state: 'completed',
+    });
+    resumed.record({ repository, state: 'completed' });
+
+    const next = openJournal(run);
+    assert.equal(next.isRepositoryDone(repository), true);
+    assert.equal(next.isContentDone(repository, 'releases'), true);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyUsernameRules,
+  compileUsernameRules,
+  createUsernameResolver,
+} from '../src/helpers/mappingRules.mjs';
+
+describe('compileUsernameRules', () => {
+  it('returns null without rules', () => {
+    assert.equal(compileUsernameRules(undefined), null);
+    assert.equal(compileUsernameRules({ rules: [] }), null);
+  });
+
+  it('rejects unknown rule types, missing settings and invalid patterns', () => {
+    assert.throws(
+      () => compileUsernameRules({ rules: [{ type: 'upper' }] }),
+      /Unknown username rule type "upper" in rule 1/
+    );
+    assert.throws(
+      () => compileUsernameRules({ rules: [{ type: 'suffix' }] }),
+      /The suffix rule needs a "value" string/
+    );
+    assert.throws(
+      () =>
+        compileUsernameRules({
+          rules: [{ type: 'regex', pattern: '(', replace: '' }],
+        }),
+      /Invalid regex rule pattern/
+    );
+  });
+});
+
+describe('applyUsernameRules', () => {
+  const rules = compileUsernameRules({
+    rules: [
+      { type: 'regex', pattern: '^corp-(.+)$', replace: '$1' },
+      { type: 'lowercase' },
+      { type: 'suffix', value: '_acme' },
+    ],
+    allow: ['corp-*', 'Dev*'],
+    deny: ['*-bot'],
+  });
+
+  it('runs the rules in order', () => {
+    assert.equal(applyUsernameRules(rules, 'corp-Jane'), 'jane_acme');
+    assert.equal(applyUsernameRules(rules, 'devon_acme'), null);
+  });
+
+  it('applies the allow and deny lists case-insensitively', () => {
+    assert.equal(applyUsernameRules(rules, 'DEVON'), 'devon_acme');
+    assert.equal(applyUsernameRules(rules, 'jane'), null);
+    assert.equal(applyUsernameRules(rules, 'corp-build-BOT'), null);
+  });
+});
+
+describe('createUsernameResolver', () => {
+  const rules = compileUsernameRules({
+    rules: [{ type: 'suffix', value: '_acme' }],
+  });
+  const mapping = { 'Old-User': 'renamed' };
+
+  it('prefers explicit entries over rules', () => {
+    const resolve = createUsernameResolver(mapping, rules);
+
+    assert.equal(resolve('old-user'), 'renamed');
+    assert.equal(resolve('jane'), 'jane_acme');
+  });
+
+  it('leaves the targets of explicit entries alone', () => {
+    assert.equal(createUsernameResolver(mapping, rules)('Renamed'), null);
+  });
+
+  it('reuses the resolver of a mapping', () => {
+    assert.equal(
+      createUsernameResolver(mapping, rules),
+      createUsernameResolver(mapping, rules)
+    );
+    assert.notEqual(
+      createUsernameResolver(mapping, rules),
+      createUsernameResolver(mapping, null)
+    );
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  loadUsernameMappingSources,
+  mergeMappingSources,
+  parseDelimited,
+} from '../src/helpers/mappingSources.mjs';
+
+/**
+ * Write a file to a temporary directory removed after the test
+ */
+function writeTempFile(t, name, contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapping-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+describe('parseDelimited', () => {
+  it('parses quoted fields, escaped quotes and CRLF line endings', () => {
+    assert.deepEqual(
+      parseDelimited('a,b\r\n"x,1","say ""hi"""\r\n\r\nlast,\n', ','),
+      [
+        ['a', 'b'],
+        ['x,1', 'say "hi"'],
+        ['last', ''],
+      ]
+    );
+  });
+
+  it('keeps line breaks inside quoted fields', () => {
+    assert.deepEqual(parseDelimited('"one\ntwo"\tthree', '\t'), [
+      ['one\ntwo', 'three'],
+    ]);
+  });
+});
+
+describe('mergeMappingSources', () => {
+  it('lets later sources win and reports conflicting targets', () => {
+    const { mapping, conflicts } = mergeMappingSources([
+      {
+        name: 'gei',
+        entries: [
+          ['Old-User', 'a'],
+          ['other', 'b'],
+        ],
+      },
+      {
+        name: 'inline',
+        entries: [
+          ['old-user', 'c'],
+          ['OTHER', 'B'],
+        ],
+      },
+    ]);
+
+    assert.deepEqual(mapping, { 'Old-User': 'c', other: 'B' });
+    assert.deepEqual(conflicts, [
+      {
+        login: 'Old-User',
+        used: 'c',
+        targets: [
+          { source: 'gei', target: 'a' },
+          { source: 'inline', target: 'c' },
+        ],
+      },
+    ]);
+  });
+});
+
+describe('loadUsernameMappingSources', () => {
+  it('merges CSV sources under the explicit mapping', t => {
+    const csvFile = writeTempFile(
+      t,
+      'mannequins.csv',
+      'mannequin-user,mannequin-id,target-user\nold-user,M_1,csv-user\n'
+    );
+
+    const { mapping, sources } = loadUsernameMappingSources({
+      mapping_sources: [{ path: csvFile, format: 'gei-mannequins' }],
+      username_mapping: { 'old-user': 'new-user' },
+    });
+
+    assert.deepEqual(mapping, { 'old-user': 'new-user' });
+    assert.deepEqual(
+      sources.map(({ entries }) => entries),
+      [1, 1]
+    );
+  });
+
+  it('rejects JSON values that are not logins and names the file', t => {
+    const jsonFile = writeTempFile(
+      t,
+      'mapping.json',
+      JSON.stringify({ 'old-user': 'new-user', 'bad-user': 42 })
+    );
+
+    assert.throws(
+      () =>
+        loadUsernameMappingSources({ mapping_sources: [{ path: jsonFile }] }),
+      {
+        message: `Could not load mapping source ${jsonFile}: "bad-user" must map to a login, got 42`,
+      }
+    );
+    assert.throws(
+      () => loadUsernameMappingSources({ username_mapping: { a: null } }),
+      /username_mapping: "a" must map to a login, got null/
+    );
+  });
+});
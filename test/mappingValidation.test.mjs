@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isValidTargetLogin,
+  validateMappingConfig,
+  validateUsernameMapping,
+} from '../src/helpers/mappingValidation.mjs';
+
+/**
+ * Summarize issues as [type, severity, logins]
+ */
+function summarize(issues) {
+  return issues.map(({ type, severity, logins }) => [type, severity, logins]);
+}
+
+describe('validateUsernameMapping', () => {
+  it('accepts valid mappings and case-only entries', () => {
+    assert.deepEqual(
+      validateUsernameMapping({
+        'old-user': 'new-user_acme',
+        'Jane-Doe': 'jane-doe',
+      }),
+      []
+    );
+  });
+
+  it('reports invalid old and new logins', () => {
+    assert.deepEqual(
+      summarize(
+        validateUsernameMapping({
+          'bad login': 'fine',
+          'old-user': '-bad',
+          other: null,
+        })
+      ),
+      [
+        ['invalid_login', 'error', ['bad login']],
+        ['invalid_login', 'error', ['old-user', '-bad']],
+        ['invalid_login', 'error', ['other', null]],
+      ]
+    );
+  });
+
+  it('reports chains', () => {
+    const issues = validateUsernameMapping({ a: 'b', B: 'c' });
+
+    assert.deepEqual(summarize(issues), [['chain', 'error', ['a', 'b', 'c']]]);
+    assert.match(issues[0].message, /mentions of @a become @b, not @c/);
+  });
+
+  it('reports each cycle once', () => {
+    const issues = validateUsernameMapping({ a: 'b', b: 'c', c: 'a' });
+
+    assert.deepEqual(summarize(issues), [['cycle', 'error', ['a', 'b', 'c']]]);
+    assert.equal(issues[0].message, 'Cycle: @a -> @b -> @c -> @a');
+  });
+
+  it('warns about several logins mapped to the same target', () => {
+    assert.deepEqual(
+      summarize(validateUsernameMapping({ a: 'target', b: 'Target' })),
+      [['duplicate_target', 'warning', ['a', 'b']]]
+    );
+  });
+});
+
+describe('validateMappingConfig', () => {
+  it('reports owner issues without repeating global ones', () => {
+    const issues = validateMappingConfig({
+      usernameMapping: { a: 'b', b: 'c' },
+      usernameRules: null,
+      ownerMappings: { 'org-b': { username_mapping: { x: 'c' } } },
+    });
+
+    assert.deepEqual(
+      issues.map(({ scope, type }) => [scope, type]),
+      [
+        ['global', 'chain'],
+        ['org-b', 'duplicate_target'],
+      ]
+    );
+  });
+});
+
+describe('isValidTargetLogin', () => {
+  it('checks GHEC login rules', () => {
+    assert.ok(isValidTargetLogin('jane-doe_acme'));
+    assert.ok(!isValidTargetLogin('jane--doe'));
+    assert.ok(!isValidTargetLogin('a'.repeat(40)));
+  });
+});
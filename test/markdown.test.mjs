@@ -0,0 +1,249 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractMentions,
+  rewriteCrossReferences,
+  rewriteMentions,
+  rewriteUrls,
+  tokenizeMarkdown,
+} from '../src/helpers/markdown.mjs';
+import { compileUsernameRules } from '../src/helpers/mappingRules.mjs';
+
+const USERNAME_MAPPING = { 'old-user': 'new-user' };
+
+describe('tokenizeMarkdown', () => {
+  it('gives back the original document', () => {
+    const body =
+      'Intro @old-user\n\n```js\nconst a = `@x`;\n```\n\nSee `code` and https://example.com/path.\n';
+    const tokens = tokenizeMarkdown(body);
+
+    assert.equal(tokens.map(({ value }) => value).join(''), body);
+    assert.deepEqual(
+      tokens.map(({ type }) => type),
+      ['text', 'code', 'text', 'code', 'text', 'url', 'text']
+    );
+  });
+
+  it('treats indented code blocks as code', () => {
+    const tokens = tokenizeMarkdown('Text\n\n    @old-user\n\n    b\nAfter\n');
+
+    assert.deepEqual(tokens, [
+      { type: 'text', value: 'Text\n\n' },
+      { type: 'code', value: '    @old-user\n\n    b\n' },
+      { type: 'text', value: 'After\n' },
+    ]);
+  });
+
+  it('does not start code blocks inside paragraphs and list items', () => {
+    for (const body of ['Text\n    more\n', '- item\n\n    more\n']) {
+      assert.deepEqual(tokenizeMarkdown(body), [{ type: 'text', value: body }]);
+    }
+  });
+
+  it('stops code spans at paragraph breaks', () => {
+    const tokens = tokenizeMarkdown('`open\n\nText `code`');
+
+    assert.deepEqual(tokens, [
+      { type: 'text', value: '`open\n\nText ' },
+      { type: 'code', value: '`code`' },
+    ]);
+  });
+
+  it('runs an unclosed fence until the end of the document', () => {
+    const tokens = tokenizeMarkdown('text\n~~~\n@old-user\n');
+
+    assert.deepEqual(tokens.at(-1), {
+      type: 'code',
+      value: '~~~\n@old-user\n',
+    });
+  });
+});
+
+describe('rewriteMentions', () => {
+  it('rewrites mentions in prose', () => {
+    assert.equal(
+      rewriteMentions('Thanks @old-user! (@old-user)', USERNAME_MAPPING),
+      'Thanks @new-user! (@new-user)'
+    );
+  });
+
+  it('leaves fenced code blocks and inline code alone', () => {
+    const body = '```\n@old-user\n```\n`@old-user` and ``a `@old-user` b``';
+
+    assert.equal(rewriteMentions(body, USERNAME_MAPPING), body);
+  });
+
+  it('leaves indented code blocks alone', () => {
+    assert.equal(
+      rewriteMentions('Text\n\n    @old-user\n\n@old-user', USERNAME_MAPPING),
+      'Text\n\n    @old-user\n\n@new-user'
+    );
+  });
+
+  it('rewrites mentions after an unmatched backtick in another paragraph', () => {
+    assert.equal(
+      rewriteMentions('A `tick\n\n@old-user and `code`', USERNAME_MAPPING),
+      'A `tick\n\n@new-user and `code`'
+    );
+  });
+
+  it('rewrites mentions inside emphasis', () => {
+    assert.equal(
+      rewriteMentions(
+        '_@old-user_, *@old-user* and __@old-user__',
+        USERNAME_MAPPING
+      ),
+      '_@new-user_, *@new-user* and __@new-user__'
+    );
+  });
+
+  it('keeps the shortcode of Enterprise Managed User logins', () => {
+    assert.equal(
+      rewriteMentions('@old-user_acme and @old-user', USERNAME_MAPPING),
+      '@old-user_acme and @new-user'
+    );
+  });
+
+  it('leaves emails, npm scopes and domains alone', () => {
+    const body =
+      'old-user@example.com, me@old-user, @old-user/pkg and @old-user.example.com';
+
+    assert.equal(rewriteMentions(body, USERNAME_MAPPING), body);
+  });
+
+  it('only matches whole logins', () => {
+    assert.equal(
+      rewriteMentions('@old-users @old-user-2 @old-user', USERNAME_MAPPING),
+      '@old-users @old-user-2 @new-user'
+    );
+  });
+
+  it('matches logins case-insensitively', () => {
+    assert.equal(
+      rewriteMentions('@Old-User and @OLD-USER', USERNAME_MAPPING),
+      '@new-user and @new-user'
+    );
+  });
+
+  it('does not apply chained entries twice', () => {
+    assert.equal(rewriteMentions('@a and @b', { a: 'b', b: 'c' }), '@b and @c');
+  });
+
+  it('applies username rules to logins without an entry', () => {
+    const rules = {
+      transforms: [login => `${login}_acme`],
+      allow: null,
+      deny: null,
+    };
+
+    assert.equal(
+      rewriteMentions('@old-user and @other', USERNAME_MAPPING, rules),
+      '@new-user and @other_acme'
+    );
+  });
+
+  it('returns empty bodies as-is', () => {
+    assert.equal(rewriteMentions(null, USERNAME_MAPPING), null);
+    assert.equal(rewriteMentions('', USERNAME_MAPPING), '');
+  });
+});
+
+describe('extractMentions', () => {
+  it('lists mentions in prose in order of appearance', () => {
+    assert.deepEqual(
+      extractMentions('@b, `@code` and me@example.com, then @a and @b'),
+      ['b', 'a', 'b']
+    );
+  });
+});
+
+describe('rewriteUrls', () => {
+  const options = {
+    sourceHost: 'ghes.example.com',
+    targetHost: 'github.com',
+    usernameMapping: USERNAME_MAPPING,
+    orgMapping: { acme: 'acme-cloud' },
+    repoMapping: { 'acme/legacy': 'acme-cloud/modern' },
+  };
+
+  it('rewrites the host, profile links and repository links', () => {
+    assert.equal(
+      rewriteUrls(
+        'https://ghes.example.com/old-user, <https://ghes.example.com/acme/app/pull/1> and https://ghes.example.com/acme/legacy',
+        options
+      ),
+      'https://github.com/new-user, <https://github.com/acme-cloud/app/pull/1> and https://github.com/acme-cloud/modern'
+    );
+  });
+
+  it('maps organization profile links before applying username rules', () => {
+    const rules = compileUsernameRules({
+      rules: [{ type: 'suffix', value: '_corp' }],
+    });
+
+    assert.equal(
+      rewriteUrls(
+        'https://ghes.example.com/acme, https://ghes.example.com/old-user and https://ghes.example.com/dev',
+        { ...options, usernameRules: rules }
+      ),
+      'https://github.com/acme-cloud, https://github.com/new-user and https://github.com/dev_corp'
+    );
+  });
+
+  it('only rewrites the host of reserved paths', () => {
+    assert.equal(
+      rewriteUrls(
+        'https://ghes.example.com/api/v3/users/old-user, https://ghes.example.com/orgs/acme/teams and https://ghes.example.com/settings',
+        { ...options, usernameMapping: { api: 'x', orgs: 'y', settings: 'z' } }
+      ),
+      'https://github.com/api/v3/users/old-user, https://github.com/orgs/acme/teams and https://github.com/settings'
+    );
+  });
+
+  it('leaves other hosts and code alone', () => {
+    const body =
+      'https://other.example.com/old-user and `https://ghes.example.com/old-user`';
+
+    assert.equal(rewriteUrls(body, options), body);
+  });
+
+  it('does nothing without a source host', () => {
+    const body = 'https://ghes.example.com/old-user';
+
+    assert.equal(
+      rewriteUrls(body, { usernameMapping: USERNAME_MAPPING }),
+      body
+    );
+  });
+});
+
+describe('rewriteCrossReferences', () => {
+  const mapping = {
+    usernameMapping: USERNAME_MAPPING,
+    orgMapping: { acme: 'acme-cloud' },
+    repoMapping: { 'acme/legacy': 'acme-cloud/modern' },
+  };
+
+  it('rewrites issue and commit references', () => {
+    assert.equal(
+      rewriteCrossReferences(
+        'acme/app#12, acme/legacy#3 and old-user/tool@abcdef1',
+        mapping
+      ),
+      'acme-cloud/app#12, acme-cloud/modern#3 and new-user/tool@abcdef1'
+    );
+  });
+
+  it('rewrites team mentions with the organization mapping only', () => {
+    assert.equal(
+      rewriteCrossReferences('@acme/reviewers and @old-user/pkg', mapping),
+      '@acme-cloud/reviewers and @old-user/pkg'
+    );
+  });
+
+  it('leaves code and paths alone', () => {
+    const body = '`acme/app#12` and src/acme/app#12';
+
+    assert.equal(rewriteCrossReferences(body, mapping), body);
+  });
+});
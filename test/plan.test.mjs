@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  addRepositoryToPlan,
+  createPlan,
+  loadPlan,
+  writePlan,
+} from '../src/helpers/plan.mjs';
+
+const MAPPING = {
+  usernameMapping: { 'old-user': 'new-user' },
+  usernameRules: null,
+  orgMapping: {},
+  repoMapping: {},
+};
+
+describe('plan files', () => {
+  it('round-trips a written plan', t => {
+    const planDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plans-'));
+    t.after(() => fs.rmSync(planDir, { recursive: true, force: true }));
+
+    const plan = createPlan('acme', MAPPING);
+    addRepositoryToPlan(plan, 'acme', 'app', 'releases', [
+      { id: 1, label: 'v1.0.0', before: '@old-user', after: '@new-user' },
+    ]);
+    addRepositoryToPlan(plan, 'acme', 'app', 'issues', []);
+    const { planFile, diffFile } = writePlan(plan, planDir);
+
+    assert.deepEqual(loadPlan(planFile), plan);
+    assert.equal(plan.total_repositories, 1);
+    assert.equal(plan.total_changes, 1);
+    assert.match(fs.readFileSync(diffFile, 'utf8'), /^\+@new-user$/m);
+  });
+
+  it('rejects files that are not plans', t => {
+    const planDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plans-'));
+    t.after(() => fs.rmSync(planDir, { recursive: true, force: true }));
+    const planFile = path.join(planDir, 'plan.json');
+    fs.writeFileSync(planFile, JSON.stringify({ plan_version: 0 }));
+
+    assert.throws(() => loadPlan(planFile), /not a supported plan file/);
+    assert.throws(
+      () => loadPlan(path.join(planDir, 'missing.json')),
+      /Could not load plan file/
+    );
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Octokit } from '@octokit/rest';
+import { enableRateLimitHandling } from '../src/helpers/rateLimit.mjs';
+
+/**
+ * Create a rate-limit aware client whose requests fail with a 502 until
+ * `failures` requests were made
+ */
+function createFlakyOctokit(failures, data) {
+  const calls = [];
+  const fetch = (url, options) => {
+    calls.push(`${options.method} ${new URL(url).pathname}`);
+    const failed = calls.length <= failures;
+    return Promise.resolve(
+      new Response(JSON.stringify(failed ? { message: 'Bad' } : data), {
+        status: failed ? 502 : 200,
+        headers: { 'content-type': 'application/json' },
+      })
+    );
+  };
+  const octokit = new Octokit({ auth: 'token', request: { fetch } });
+  const tracker = enableRateLimitHandling(octokit, { retryBaseMs: 1 });
+  return { octokit, tracker, calls };
+}
+
+describe('enableRateLimitHandling', () => {
+  it('retries REST reads and updates after a server error', async t => {
+    t.mock.method(console, 'log', () => {});
+    const { octokit, tracker, calls } = createFlakyOctokit(1, { id: 1 });
+
+    const { data } = await octokit.rest.repos.updateRelease({
+      owner: 'acme',
+      repo: 'app',
+      release_id: 1,
+      body: 'new',
+    });
+
+    assert.deepEqual(data, { id: 1 });
+    assert.equal(tracker.retries, 1);
+    assert.deepEqual(calls, [
+      'PATCH /repos/acme/app/releases/1',
+      'PATCH /repos/acme/app/releases/1',
+    ]);
+  });
+
+  it('retries GraphQL queries after a server error', async t => {
+    t.mock.method(console, 'log', () => {});
+    const { octokit, tracker } = createFlakyOctokit(2, {
+      data: { viewer: { login: 'me' } },
+    });
+
+    const data = await octokit.graphql(
+      '# Current user\nquery { viewer { login } }'
+    );
+
+    assert.deepEqual(data, { viewer: { login: 'me' } });
+    assert.equal(tracker.retries, 2);
+  });
+
+  it('does not retry GraphQL mutations or REST creations', async t => {
+    t.mock.method(console, 'log', () => {});
+    const { octokit, tracker, calls } = createFlakyOctokit(2, {});
+
+    await assert.rejects(
+      octokit.graphql(
+        'mutation { updateDiscussion(input: {}) { clientMutationId } }'
+      ),
+      { status: 502 }
+    );
+    await assert.rejects(
+      octokit.rest.pulls.create({
+        owner: 'acme',
+        repo: 'app',
+        head: 'a',
+        base: 'b',
+      }),
+      { status: 502 }
+    );
+
+    assert.equal(tracker.retries, 0);
+    assert.equal(calls.length, 2);
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  fetchRepositoryFiles,
+  rewriteRepositoryFile,
+  rewriteYamlLogins,
+} from '../src/helpers/repositoryFiles.mjs';
+
+const MAPPING = {
+  usernameMapping: { 'old-user': 'new-user', 'old-lead': 'new-lead' },
+  usernameRules: null,
+  orgMapping: { acme: 'acme-cloud' },
+  repoMapping: {},
+};
+
+const DEPENDABOT = [
+  'version: 2',
+  'updates:',
+  '  - package-ecosystem: npm',
+  '    reviewers:',
+  '      - old-user',
+  '      - "acme/platform"',
+  '    assignees: [old-lead, someone]',
+  '',
+].join('\n');
+
+const DEPENDABOT_UPDATED = [
+  'version: 2',
+  'updates:',
+  '  - package-ecosystem: npm',
+  '    reviewers:',
+  '      - new-user',
+  '      - "acme-cloud/platform"',
+  '    assignees: [new-lead, someone]',
+  '',
+].join('\n');
+
+describe('rewriteYamlLogins', () => {
+  it('rewrites block lists and flow sequences', () => {
+    assert.equal(rewriteYamlLogins(DEPENDABOT, MAPPING), DEPENDABOT_UPDATED);
+  });
+
+  it('keeps CRLF line endings', () => {
+    assert.equal(
+      rewriteYamlLogins(DEPENDABOT.replace(/\n/g, '\r\n'), MAPPING),
+      DEPENDABOT_UPDATED.replace(/\n/g, '\r\n')
+    );
+  });
+
+  it('leaves other keys alone', () => {
+    const content = 'labels:\n  - old-user\nname: old-user\n';
+
+    assert.equal(rewriteYamlLogins(content, MAPPING), content);
+  });
+
+  it('stops a list at the next key', () => {
+    assert.equal(
+      rewriteYamlLogins(
+        'assignees:\n  - old-user\nlabels:\n  - old-lead\n',
+        MAPPING
+      ),
+      'assignees:\n  - new-user\nlabels:\n  - old-lead\n'
+    );
+  });
+});
+
+describe('rewriteRepositoryFile', () => {
+  it('rewrites CODEOWNERS owners', () => {
+    assert.equal(
+      rewriteRepositoryFile(
+        '.github/CODEOWNERS',
+        '* @old-user @acme/platform\n/docs/ old-user@example.com\n',
+        MAPPING
+      ),
+      '* @new-user @acme-cloud/platform\n/docs/ old-user@example.com\n'
+    );
+  });
+
+  it('rewrites front matter and mentions of Markdown issue templates', () => {
+    assert.equal(
+      rewriteRepositoryFile(
+        '.github/ISSUE_TEMPLATE/bug.md',
+        '---\r\nname: Bug\r\nassignees: old-user\r\n---\r\nPing @old-lead\r\n',
+        MAPPING
+      ),
+      '---\r\nname: Bug\r\nassignees: new-user\r\n---\r\nPing @new-lead\r\n'
+    );
+  });
+
+  it('leaves other files alone', () => {
+    assert.equal(
+      rewriteRepositoryFile('README.txt', '@old-user', MAPPING),
+      '@old-user'
+    );
+  });
+});
+
+describe('fetchRepositoryFiles', () => {
+  const base64 = text => Buffer.from(text).toString('base64');
+
+  it('reads files over 1 MB through the blob API', async () => {
+    const contents = {
+      '.github/CODEOWNERS': {
+        type: 'file',
+        path: '.github/CODEOWNERS',
+        encoding: 'base64',
+        content: base64('* @old-user\n'),
+      },
+      '.github/dependabot.yml': {
+        type: 'file',
+        path: '.github/dependabot.yml',
+        sha: 'large-blob',
+        encoding: 'none',
+        content: '',
+      },
+    };
+    const octokit = {
+      rest: {
+        repos: {
+          getContent: ({ path }) => {
+            if (contents[path]) return { data: contents[path] };
+            throw Object.assign(new Error('Not Found'), { status: 404 });
+          },
+        },
+        git: {
+          getBlob: ({ file_sha }) => {
+            assert.equal(file_sha, 'large-blob');
+            return {
+              data: { encoding: 'base64', content: base64(DEPENDABOT) },
+            };
+          },
+        },
+      },
+    };
+
+    const files = await fetchRepositoryFiles(
+      octokit,
+      'acme',
+      'app',
+      ['.github/CODEOWNERS', '.github/dependabot.yml', '.github/missing.yml'],
+      'main'
+    );
+
+    assert.deepEqual(files, [
+      { path: '.github/CODEOWNERS', content: '* @old-user\n' },
+      { path: '.github/dependabot.yml', content: DEPENDABOT },
+    ]);
+  });
+});
@@ -0,0 +1,217 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  groupSelectionByOwner,
+  parseRepositoryEntry,
+  patternToRegExp,
+  resolveRepositories,
+  selectRepositories,
+  validateRepositorySelectors,
+} from '../src/helpers/repositorySelection.mjs';
+
+const REPOS = [
+  { name: 'service-api', topics: [], visibility: 'private' },
+  { name: 'service-old', topics: [], archived: true },
+  { name: 'legacy-app', topics: [], archived: true, fork: true },
+  { name: 'lib-core', topics: ['migrated'], visibility: 'public' },
+  { name: 'service-sandbox', topics: [] },
+  { name: 'other', topics: [] },
+];
+
+const names = repos => repos.map(({ name }) => name);
+
+/**
+ * Create an error like the ones thrown by Octokit
+ */
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Fake Octokit whose repository endpoints call the given handlers.
+ * `paginate` returns the result of the endpoint.
+ */
+function fakeOctokit(repos) {
+  return {
+    rest: { repos },
+    paginate: (endpoint, params) => endpoint(params),
+  };
+}
+
+describe('patternToRegExp', () => {
+  it('matches globs case-insensitively and regular expressions as given', () => {
+    assert.ok(patternToRegExp('service-*').test('Service-API'));
+    assert.ok(!patternToRegExp('lib-?').test('lib-ui'));
+    assert.ok(patternToRegExp('/^lib-(core|ui)$/').test('lib-ui'));
+  });
+
+  it('rejects invalid regular expressions with the pattern', () => {
+    assert.throws(
+      () => patternToRegExp('/lib-(/'),
+      /Invalid repository pattern \/lib-\(\/: /
+    );
+  });
+});
+
+describe('validateRepositorySelectors', () => {
+  it('accepts missing and valid selectors', () => {
+    validateRepositorySelectors(null);
+    validateRepositorySelectors({
+      include: ['service-*', '/^lib-(core|ui)$/i'],
+      exclude: ['*-sandbox'],
+      topics: ['migrated'],
+      visibility: 'private',
+    });
+  });
+
+  it('rejects invalid patterns, lists and visibilities', () => {
+    assert.throws(
+      () => validateRepositorySelectors({ exclude: ['/[/'] }),
+      /Invalid repository pattern \/\[\//
+    );
+    assert.throws(
+      () => validateRepositorySelectors({ include: 'service-*' }),
+      /repository_selectors.include must be a list of strings/
+    );
+    assert.throws(
+      () => validateRepositorySelectors({ visibility: 'secret' }),
+      /Invalid repository_selectors.visibility "secret"/
+    );
+    assert.throws(
+      () => validateRepositorySelectors(['service-*']),
+      /repository_selectors must be an object/
+    );
+  });
+});
+
+describe('resolveRepositories', () => {
+  const repo = name => ({
+    name,
+    full_name: `acme/${name}`,
+    owner: { login: 'acme' },
+    topics: [],
+  });
+
+  it('lists the repositories of users when the owner is no organization', async t => {
+    t.mock.method(console, 'log', () => {});
+    const octokit = fakeOctokit({
+      listForOrg: () => Promise.reject(httpError(404, 'Not Found')),
+      listForUser: () => Promise.resolve([repo('app'), repo('lib')]),
+    });
+
+    const repos = await resolveRepositories(octokit, 'acme', {
+      whitelist: [],
+      selectors: { include: ['app'] },
+    });
+
+    assert.deepEqual(names(repos), ['app']);
+  });
+
+  it('throws when the repositories cannot be listed', async t => {
+    t.mock.method(console, 'log', () => {});
+    const octokit = fakeOctokit({
+      listForOrg: () => Promise.reject(httpError(401, 'Bad credentials')),
+    });
+
+    await assert.rejects(
+      resolveRepositories(octokit, 'acme', { whitelist: [], selectors: {} }),
+      /Could not resolve the repositories of acme: Bad credentials/
+    );
+  });
+
+  it('skips missing whitelisted repositories but throws on other errors', async t => {
+    t.mock.method(console, 'log', () => {});
+    const errors = { gone: httpError(404, 'Not Found') };
+    const octokit = fakeOctokit({
+      get: ({ repo: name }) =>
+        errors[name]
+          ? Promise.reject(errors[name])
+          : Promise.resolve({ data: repo(name) }),
+    });
+    const selection = { whitelist: ['app', 'gone'], selectors: null };
+
+    assert.deepEqual(
+      names(await resolveRepositories(octokit, 'acme', selection)),
+      ['app']
+    );
+
+    errors.app = httpError(403, 'API rate limit exceeded');
+    await assert.rejects(
+      resolveRepositories(octokit, 'acme', selection),
+      /Could not resolve the repositories of acme: API rate limit exceeded/
+    );
+  });
+});
+
+describe('selectRepositories', () => {
+  it('selects patterns and topics and applies the filters to them', () => {
+    const selected = selectRepositories(REPOS, [], {
+      include: ['service-*'],
+      topics: ['migrated'],
+      exclude: ['*-sandbox'],
+    });
+
+    assert.deepEqual(names(selected), ['service-api', 'lib-core']);
+  });
+
+  it('never filters out whitelisted repositories', () => {
+    const selected = selectRepositories(REPOS, ['Legacy-App'], {
+      include: ['service-*'],
+      visibility: 'public',
+    });
+
+    assert.deepEqual(names(selected), ['legacy-app']);
+  });
+
+  it('applies exclude patterns to whitelisted repositories', () => {
+    const selected = selectRepositories(REPOS, ['service-sandbox'], {
+      exclude: ['*-sandbox'],
+    });
+
+    assert.deepEqual(names(selected), []);
+  });
+
+  it('selects every repository when nothing is included', () => {
+    const selected = selectRepositories(REPOS, [], { include_archived: true });
+
+    assert.deepEqual(names(selected), [
+      'service-api',
+      'service-old',
+      'lib-core',
+      'service-sandbox',
+      'other',
+    ]);
+  });
+});
+
+describe('parseRepositoryEntry', () => {
+  it('uses the default owner for entries without an owner', () => {
+    assert.deepEqual(parseRepositoryEntry('app', 'acme'), {
+      owner: 'acme',
+      repo: 'app',
+    });
+    assert.deepEqual(parseRepositoryEntry('other/app', 'acme'), {
+      owner: 'other',
+      repo: 'app',
+    });
+  });
+
+  it('rejects invalid entries', () => {
+    assert.throws(() => parseRepositoryEntry('a/b/c', 'acme'), /Invalid/);
+  });
+});
+
+describe('groupSelectionByOwner', () => {
+  it('groups whitelist entries and selectors by owner', () => {
+    assert.deepEqual(
+      groupSelectionByOwner(
+        { whitelist: ['app', 'Other/tool'], selectors: { include: ['x-*'] } },
+        'acme'
+      ),
+      [
+        { owner: 'acme', whitelist: ['app'], selectors: { include: ['x-*'] } },
+        { owner: 'Other', whitelist: ['tool'], selectors: null },
+      ]
+    );
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addRestoreResult,
+  classifyRestore,
+  createRestoreReport,
+  matchReleases,
+} from '../src/helpers/restore.mjs';
+
+describe('classifyRestore', () => {
+  const backupItem = { body: '@old-user', updated_body: '@new-user' };
+
+  it('restores items untouched since the tool wrote them', () => {
+    assert.equal(classifyRestore(backupItem, '@new-user').status, 'restore');
+  });
+
+  it('leaves items that already match the backup alone', () => {
+    assert.equal(classifyRestore(backupItem, '@old-user').status, 'unchanged');
+  });
+
+  it('reports items edited after the update as conflicts', () => {
+    assert.deepEqual(classifyRestore(backupItem, '@new-user edited'), {
+      status: 'conflict',
+      reason: 'edited after the tool wrote it',
+    });
+  });
+
+  it('reports items without a written body as conflicts', () => {
+    assert.equal(
+      classifyRestore({ body: '@old-user' }, '@new-user').status,
+      'conflict'
+    );
+  });
+
+  it('treats empty and missing bodies alike', () => {
+    assert.equal(classifyRestore({ body: null }, '').status, 'unchanged');
+    assert.equal(
+      classifyRestore({ body: 'text', updated_body: null }, null).status,
+      'restore'
+    );
+  });
+});
+
+describe('matchReleases', () => {
+  const release = (id, tag_name, name = tag_name) => ({
+    id,
+    tag_name,
+    name,
+    created_at: `2024-01-0${id}T00:00:00Z`,
+  });
+
+  it('matches releases by ID, then tag, then name and creation date', () => {
+    const live = [
+      release(1, 'v1'),
+      release(7, 'v2'),
+      { ...release(3, 'v3-renamed', 'Third'), id: 8 },
+    ];
+    const backup = [
+      release(1, 'v1'),
+      release(2, 'v2'),
+      release(3, 'v3', 'Third'),
+      release(4, 'v4'),
+    ];
+
+    const matches = matchReleases(backup, live);
+
+    assert.deepEqual(
+      matches.map(({ release, by }) => [release && release.id, by]),
+      [
+        [1, 'id'],
+        [7, 'tag_name'],
+        [8, 'name_created_at'],
+        [null, null],
+      ]
+    );
+    assert.match(matches[3].reason, /no release with tag v4/);
+  });
+
+  it('does not guess between several candidates', () => {
+    const matches = matchReleases(
+      [release(1, 'v1')],
+      [release(5, 'v1'), release(6, 'v1')]
+    );
+
+    assert.equal(matches[0].release, null);
+    assert.match(matches[0].reason, /2 releases with tag v1/);
+  });
+
+  it('matches every live release at most once, ID matches first', () => {
+    const matches = matchReleases(
+      [release(9, 'v1'), release(1, 'v1')],
+      [release(1, 'v1')]
+    );
+
+    assert.deepEqual(
+      matches.map(({ by }) => by),
+      [null, 'id']
+    );
+  });
+});
+
+describe('restore reports', () => {
+  it('counts the outcome of every item', () => {
+    const report = createRestoreReport({ dry_run: true });
+    addRestoreResult(report, {
+      owner: 'acme',
+      repo: 'app',
+      items: [
+        { action: 'would_restore' },
+        { action: 'unchanged' },
+        { action: 'conflict' },
+        { action: 'failed' },
+        { action: 'not_found' },
+      ],
+    });
+
+    assert.deepEqual(report.totals, {
+      restored: 1,
+      unchanged: 1,
+      conflicts: 1,
+      failed: 1,
+    });
+  });
+});
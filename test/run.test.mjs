@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createRun,
+  openRun,
+  readRunFile,
+  writeRunFile,
+} from '../src/helpers/run.mjs';
+
+/**
+ * Create a directory holding runs, removed after the test
+ */
+function createRunsDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+describe('run files', () => {
+  it('reopens a run and reads its files', t => {
+    const runsDir = createRunsDir(t);
+    const run = createRun(runsDir);
+    writeRunFile(run, 'run.json', { content_types: ['releases'] });
+
+    const reopened = openRun(run.id, runsDir);
+
+    assert.deepEqual(reopened, run);
+    assert.deepEqual(readRunFile(reopened, 'run.json'), {
+      content_types: ['releases'],
+    });
+  });
+
+  it('names the directory of an unknown run', t => {
+    const runsDir = createRunsDir(t);
+
+    assert.throws(() => openRun('unknown', runsDir), {
+      message: `Run unknown not found: there is no directory ${runsDir}/unknown`,
+    });
+  });
+
+  it('reports missing and corrupt run files', t => {
+    const run = createRun(createRunsDir(t));
+    fs.writeFileSync(`${run.dir}/run.json`, '{"content_types": [');
+
+    assert.throws(
+      () => readRunFile(run, 'repositories.json'),
+      /repositories\.json not found for run/
+    );
+    assert.throws(
+      () => readRunFile(run, 'run.json'),
+      new RegExp(`Could not read ${run.dir}/run\\.json of run ${run.id}`)
+    );
+  });
+});